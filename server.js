@@ -6,6 +6,10 @@ const cors = require('cors');
 const { Resend } = require('resend');
 const { google } = require('googleapis');
 const cron = require('node-cron');
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -172,7 +176,7 @@ async function testGoogleSheetsConnection() {
     try {
         const response = await sheets.spreadsheets.values.get({
             spreadsheetId: process.env.GOOGLE_SPREADSHEET_ID,
-            range: 'Prenotazioni!A1:K1'
+            range: 'Prenotazioni!A1:L1'
         });
         console.log('✅ Test Google Sheets OK - Headers trovati:', response.data.values ? response.data.values[0] : 'Nessun header');
     } catch (error) {
@@ -180,1522 +184,7737 @@ async function testGoogleSheetsConnection() {
     }
 }
 
-// ===== FUNZIONI PER GESTIRE SLOT PRENOTATI (ANTI-DOPPIE PRENOTAZIONI) =====
+// ===== ARCHIVIO LOCALE SU DISCO =====
+// In produzione DATA_DIR deve puntare a un disco persistente montato nel container
+// (Render: Persistent Disk, Cloud Run: volume): il filesystem dell'immagine si azzera a ogni deploy
+// e con lui codici sconto, buoni regalo e fatture, che non si possono reimportare da Sheets.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 
 /**
- * Recupera tutte le prenotazioni esistenti da Google Sheets
+ * Archivio chiave/valore persistito come journal append-only (JSON Lines).
+ * Ogni modifica aggiunge una riga e viene forzata su disco prima di tornare;
+ * all'avvio il journal viene riletto e compattato.
  */
-async function getExistingBookings() {
-    if (!sheets || !process.env.GOOGLE_SPREADSHEET_ID) {
-        console.warn('⚠️ Google Sheets non configurato - nessun controllo prenotazioni esistenti');
-        return [];
+class JournalStore {
+    constructor(name) {
+        this.name = name;
+        this.filePath = path.join(DATA_DIR, `${name}.jsonl`);
+        this.records = new Map();
+        this.load();
     }
 
-    try {
-        const spreadsheetId = process.env.GOOGLE_SPREADSHEET_ID;
+    load() {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        if (!fs.existsSync(this.filePath)) return;
 
-        // Legge tutte le righe dalla colonna A alla K
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId,
-            range: 'Prenotazioni!A:K'
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                const entry = JSON.parse(line);
+                if (entry.op === 'delete') {
+                    this.records.delete(entry.id);
+                } else {
+                    this.records.set(entry.id, entry.value);
+                }
+            } catch (error) {
+                // Una riga troncata da un crash durante la scrittura non deve bloccare l'avvio
+                console.warn(`⚠️ Journal ${this.name}: riga ${index + 1} non valida, ignorata`);
+            }
         });
 
-        const rows = response.data.values || [];
+        this.compact();
+        console.log(`💾 Journal ${this.name} caricato: ${this.records.size} record`);
+    }
 
-        // Salta la riga dell'header (prima riga)
-        const bookingRows = rows.slice(1);
+    compact() {
+        const tmpPath = `${this.filePath}.tmp`;
+        const content = Array.from(this.records.entries())
+            .map(([id, value]) => JSON.stringify({ op: 'put', id, value }) + '\n')
+            .join('');
+        fs.writeFileSync(tmpPath, content);
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    append(entry) {
+        const fd = fs.openSync(this.filePath, 'a');
+        try {
+            fs.writeSync(fd, JSON.stringify(entry) + '\n');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
 
-        const existingBookings = [];
+    get(id) {
+        return this.records.get(id) || null;
+    }
 
-        bookingRows.forEach((row, index) => {
-            // Struttura: [Timestamp, Nome, Email, Telefono, Azienda, Data, Orario, Prezzo, Sconto, PaymentID, Stato]
-            if (row.length >= 7) {
-                const rawDate = row[5]; // Data
-                const time = row[6];    // Orario
-                const status = row[10]; // Stato
-
-                // Solo prenotazioni confermate
-                if (status === 'Confermata' && rawDate && time) {
-                    // Converte la data dal formato italiano (dd/mm/yyyy) al formato ISO (yyyy-mm-dd)
-                    const dateFormatted = convertItalianDateToISO(rawDate);
-
-                    if (dateFormatted) {
-                        existingBookings.push({
-                            date: dateFormatted,
-                            time: time.trim(),
-                            customerName: row[1] || '',
-                            rowIndex: index + 2 // +2 perché spreadsheet inizia da 1 e abbiamo saltato l'header
-                        });
-                    }
-                }
-            }
-        });
+    has(id) {
+        return this.records.has(id);
+    }
 
-        console.log(`📊 Trovate ${existingBookings.length} prenotazioni esistenti in Google Sheets`);
-        return existingBookings;
+    put(id, value) {
+        this.append({ op: 'put', id, value });
+        this.records.set(id, value);
+        return value;
+    }
 
-    } catch (error) {
-        console.error('❌ Errore recupero prenotazioni esistenti:', error.message);
-        return [];
+    update(id, changes) {
+        const current = this.records.get(id);
+        if (!current) return null;
+        return this.put(id, { ...current, ...changes });
+    }
+
+    delete(id) {
+        if (!this.records.has(id)) return false;
+        this.append({ op: 'delete', id });
+        this.records.delete(id);
+        return true;
+    }
+
+    values() {
+        return Array.from(this.records.values());
     }
 }
 
-/**
- * Converte data dal formato italiano (dd/mm/yyyy) al formato ISO (yyyy-mm-dd)
- */
-function convertItalianDateToISO(italianDate) {
-    try {
-        // Gestisce formati: "18/7/2025", "18/07/2025", "venerdì 18 luglio 2025"
+// ===== CATALOGO SERVIZI =====
+// Tipi di consulenza con prezzo (in centesimi), durata e descrizione, definiti in services.json
+const SERVICE_CATALOG_PATH = process.env.SERVICE_CATALOG_PATH || path.join(__dirname, 'services.json');
+let serviceCatalog = null;
 
-        // Se contiene testo (giorno della settimana), estrai solo la parte numerica
-        const dateMatch = italianDate.match(/(\d{1,2})[\s\/](\d{1,2})[\s\/](\d{4})/);
+function loadServiceCatalog() {
+    const catalog = JSON.parse(fs.readFileSync(SERVICE_CATALOG_PATH, 'utf8'));
+    const currencies = Object.keys(catalog.currencies || {});
 
-        if (dateMatch) {
-            const [, day, month, year] = dateMatch;
-            return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    if (!currencies.includes(catalog.defaultCurrency)) {
+        throw new Error(`Valuta di default ${catalog.defaultCurrency} non presente in currencies (${SERVICE_CATALOG_PATH})`);
+    }
+
+    currencies.forEach(currency => {
+        const { locale, ratePerEur } = catalog.currencies[currency];
+        if (!locale || !(ratePerEur > 0)) {
+            throw new Error(`Valuta ${currency}: locale e ratePerEur sono obbligatori`);
         }
+    });
 
-        // Prova parsing diretto
-        const parts = italianDate.split('/');
-        if (parts.length === 3) {
-            const [day, month, year] = parts;
-            return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    catalog.services.forEach(service => {
+        if (!service.id || !service.name) {
+            throw new Error(`Servizio senza id o nome in ${SERVICE_CATALOG_PATH}`);
+        }
+        if (!Number.isInteger(service.durationMinutes) || service.durationMinutes <= 0) {
+            throw new Error(`Durata non valida per il servizio ${service.id}`);
         }
+        currencies.forEach(currency => {
+            const price = (service.prices || {})[currency];
+            if (!Number.isInteger(price) || price < 50) {
+                throw new Error(`Prezzo ${currency} non valido per il servizio ${service.id} (centesimi, minimo 50)`);
+            }
+        });
+    });
 
-        return null;
-    } catch (error) {
-        console.error('❌ Errore conversione data:', italianDate, error);
-        return null;
+    if (!catalog.services.some(service => service.id === catalog.defaultServiceId)) {
+        throw new Error(`Servizio di default ${catalog.defaultServiceId} non presente nel catalogo`);
     }
-}
 
-/**
- * Controlla se uno slot specifico è già prenotato
- */
-async function isSlotBooked(date, time) {
-    const existingBookings = await getExistingBookings();
+    serviceCatalog = catalog;
+    console.log(`🧾 Catalogo servizi caricato: ${catalog.services.length} servizi`);
+    return serviceCatalog;
+}
 
-    return existingBookings.some(booking =>
-        booking.date === date && booking.time === time
-    );
+function getServiceCatalog() {
+    return serviceCatalog || loadServiceCatalog();
 }
 
 /**
- * Genera slot disponibili escludendo quelli già prenotati
+ * Trova un servizio per id o slug; senza parametro restituisce il servizio di default
  */
-async function getAvailableSlots() {
-    try {
-        // Ottieni tutte le prenotazioni esistenti
-        const existingBookings = await getExistingBookings();
-
-        // Genera tutti i possibili slot (stesso algoritmo del frontend)
-        const allSlots = generateAllPossibleSlots();
-
-        // Filtra gli slot già prenotati
-        const availableSlots = {};
-
-        Object.entries(allSlots).forEach(([date, times]) => {
-            const availableTimes = times.filter(time => {
-                return !existingBookings.some(booking =>
-                    booking.date === date && booking.time === time
-                );
-            });
+function getService(serviceId) {
+    const catalog = getServiceCatalog();
+    const id = serviceId || catalog.defaultServiceId;
+    return catalog.services.find(service => service.id === id || service.slug === id) || null;
+}
 
-            // Solo se ci sono orari disponibili, includi la data
-            if (availableTimes.length > 0) {
-                availableSlots[date] = availableTimes;
-            }
-        });
+function getActiveServices() {
+    return getServiceCatalog().services.filter(service => service.active !== false);
+}
 
-        console.log(`📅 Slot disponibili calcolati: ${Object.keys(availableSlots).length} date disponibili`);
-        return availableSlots;
+// ===== VALUTE =====
+// Ogni servizio ha un listino per valuta (services.json). Gli sconti a importo fisso
+// sono definiti in centesimi di euro e convertiti con ratePerEur.
+const COUNTRY_CURRENCIES = { US: 'usd', GB: 'gbp' };
 
-    } catch (error) {
-        console.error('❌ Errore calcolo slot disponibili:', error);
-        // Fallback: restituisci tutti gli slot possibili
-        return generateAllPossibleSlots();
-    }
+function getDefaultCurrency() {
+    return getServiceCatalog().defaultCurrency;
 }
 
 /**
- * Genera tutti i possibili slot (stessa logica del frontend)
+ * Valuta supportata in minuscolo (come la vuole Stripe), oppure null
  */
-function generateAllPossibleSlots() {
-    const allSlots = {};
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+function normalizeCurrency(currency) {
+    const normalized = String(currency || '').toLowerCase();
+    return getServiceCatalog().currencies[normalized] ? normalized : null;
+}
 
-    for (let i = 0; i <= 60; i++) {
-        const date = new Date(today);
-        date.setDate(today.getDate() + i);
+function getServicePrice(service, currency = getDefaultCurrency()) {
+    return service.prices[currency];
+}
 
-        // Salta weekend
-        if (date.getDay() === 0 || date.getDay() === 6) continue;
+function convertFromEur(amountInEurCents, currency) {
+    return Math.round(amountInEurCents * getServiceCatalog().currencies[currency].ratePerEur);
+}
 
-        // Salta festività italiane
-        if (isItalianHoliday(date)) continue;
+/**
+ * Formatta un importo in centesimi secondo le convenzioni della valuta (es. "150,00 €", "$165.00", "£130.00")
+ */
+function formatMoney(amount, currency) {
+    const normalized = normalizeCurrency(currency) || getDefaultCurrency();
+    const { locale } = getServiceCatalog().currencies[normalized];
 
-        // Se è oggi, salta se è troppo tardi
-        if (i === 0) {
-            const now = new Date();
-            if (now.getHours() >= 17) {
-                continue;
-            }
-        }
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: normalized.toUpperCase() })
+        .format((amount || 0) / 100);
+}
 
-        const dateStr = formatDateToLocalString(date);
-        const morningSlots = ['09:00', '10:30'];
-        const afternoonSlots = ['14:00', '15:30', '17:00'];
-        const slots = [...morningSlots, ...afternoonSlots];
+/**
+ * Valuta richiesta dal client (body o query "currency"), altrimenti dedotta dal paese
+ * (header CF-IPCountry o regione di Accept-Language). Restituisce { currency } oppure { error }.
+ */
+function resolveRequestCurrency(req) {
+    const requested = (req.body && req.body.currency) || req.query.currency;
 
-        allSlots[dateStr] = slots;
+    if (requested) {
+        const currency = normalizeCurrency(requested);
+        return currency ? { currency } : {
+            error: `Valuta non supportata: ${requested} (disponibili: ${Object.keys(getServiceCatalog().currencies).join(', ')})`
+        };
     }
 
-    return allSlots;
+    const acceptLanguage = req.headers['accept-language'] || '';
+    const languageRegion = (acceptLanguage.split(',')[0].match(/^[a-z]{2,3}-([A-Z]{2})\b/i) || [])[1];
+    const country = String(req.headers['cf-ipcountry'] || languageRegion || '').toUpperCase();
+
+    return { currency: normalizeCurrency(COUNTRY_CURRENCIES[country]) || getDefaultCurrency() };
 }
 
-function isItalianHoliday(date) {
-    const year = date.getFullYear();
-    const month = date.getMonth() + 1;
-    const day = date.getDate();
+/**
+ * Durata in minuti di una prenotazione o di un blocco; i record precedenti al
+ * catalogo non la riportano e usano quella del servizio di default
+ */
+function getBookingDuration(record) {
+    if (record.durationMinutes) return parseInt(record.durationMinutes);
+    const service = getService(record.serviceId) || getService();
+    return service.durationMinutes;
+}
 
-    const fixedHolidays = [
-        { month: 1, day: 1 }, { month: 1, day: 6 }, { month: 4, day: 25 },
-        { month: 5, day: 1 }, { month: 6, day: 2 }, { month: 8, day: 15 },
-        { month: 11, day: 1 }, { month: 12, day: 8 }, { month: 12, day: 25 }, { month: 12, day: 26 }
-    ];
+// ===== ARCHIVIO PRENOTAZIONI (FONTE DI VERITÀ) =====
+// Le prenotazioni vengono salvate prima su disco; Google Sheets è solo una copia
+// sincronizzata in background dal replicatore (vedi runSheetReplicator).
+const bookingStore = new JournalStore('bookings');
 
-    for (const holiday of fixedHolidays) {
-        if (month === holiday.month && day === holiday.day) return true;
+/**
+ * Salva una prenotazione confermata nell'archivio locale e avvia la sincronizzazione con Sheets.
+ * Se la prenotazione esiste già (stesso PaymentIntent) restituisce quella salvata.
+ */
+function saveBooking(bookingData) {
+    const id = bookingData.paymentIntent || bookingData.paymentId ||
+        `bk_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+    const existing = bookingStore.get(id);
+    if (existing) {
+        console.log(`ℹ️ Prenotazione ${id} già presente nell'archivio locale`);
+        return existing;
     }
 
-    const easter = calculateEaster(year);
-    const easterMonday = new Date(easter);
-    easterMonday.setDate(easter.getDate() + 1);
+    const now = new Date().toISOString();
+    const booking = bookingStore.put(id, {
+        id,
+        customerName: bookingData.customerName || bookingData.name,
+        customerEmail: bookingData.customerEmail || bookingData.email,
+        customerPhone: bookingData.customerPhone || bookingData.phone || '',
+        company: bookingData.company || '',
+        appointmentDate: bookingData.appointmentDate || null,
+        appointmentTime: bookingData.appointmentTime || null,
+        appointmentStart: bookingData.appointmentDate && bookingData.appointmentTime ?
+            getAppointmentStart(bookingData).toISOString() : null,
+        customerTimezone: bookingData.customerTimezone || null,
+        serviceId: bookingData.serviceId || getService().id,
+        durationMinutes: bookingData.durationMinutes || getBookingDuration(bookingData),
+        amount: bookingData.amount,
+        currency: bookingData.currency || getDefaultCurrency(),
+        depositAmount: bookingData.depositAmount || null,
+        giftVoucher: bookingData.giftVoucher || null,
+        amountPaid: bookingData.depositAmount || bookingData.amount - (bookingData.giftVoucher ? bookingData.giftVoucher.amount : 0),
+        balanceDue: bookingData.depositAmount ? bookingData.amount - bookingData.depositAmount : 0,
+        paymentStatus: bookingData.depositAmount ? 'Acconto versato' : 'Saldato',
+        discount: bookingData.discount || null,
+        billing: bookingData.billing || null,
+        paymentIntent: bookingData.paymentIntent || bookingData.paymentId || null,
+        status: 'Confermata',
+        createdAt: now,
+        updatedAt: now,
+        revision: 1,
+        sheetRow: null,
+        sheetRevision: 0,
+        sheetSyncAttempts: 0,
+        nextSheetSyncAt: null,
+        lastSheetSyncError: null
+    });
 
-    return date.toDateString() === easter.toDateString() ||
-        date.toDateString() === easterMonday.toDateString();
+    console.log(`💾 Prenotazione ${id} salvata nell'archivio locale`);
+    scheduleSheetSync();
+
+    if (booking.customerEmail && booking.appointmentDate) {
+        markWaitlistClaimed(booking.customerEmail, booking.appointmentDate);
+    }
+    return booking;
 }
 
-function calculateEaster(year) {
-    const f = Math.floor;
-    const G = year % 19;
-    const C = f(year / 100);
-    const H = (C - f(C / 4) - f((8 * C + 13) / 25) + 19 * G + 15) % 30;
-    const I = H - f(H / 28) * (1 - f(29 / (H + 1)) * f((21 - G) / 11));
-    const J = (year + f(year / 4) + I + 2 - C + f(C / 4)) % 7;
-    const L = I - J;
-    const month = 3 + f((L + 40) / 44);
-    const day = L + 28 - 31 * f(month / 4);
+/**
+ * Aggiorna una prenotazione e la marca come da risincronizzare con Sheets
+ */
+function updateBooking(id, changes) {
+    const current = bookingStore.get(id);
+    if (!current) return null;
+
+    const updated = bookingStore.put(id, {
+        ...current,
+        ...changes,
+        revision: current.revision + 1,
+        updatedAt: new Date().toISOString()
+    });
 
-    return new Date(year, month - 1, day);
+    scheduleSheetSync();
+    return updated;
 }
 
-function formatDateToLocalString(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+// ===== EVASIONE DELLE PRENOTAZIONI PAGATE =====
+// Webhook Stripe e /api/booking-confirmation passano entrambi da fulfillBooking.
+// Per ogni PaymentIntent si registra quali passi sono già completati, così i retry
+// di Stripe e le chiamate doppie non creano righe, eventi o email duplicati.
+const fulfillmentStore = new JournalStore('fulfillments');
+const stripeEventStore = new JournalStore('stripe-events');
+const fulfillmentsInProgress = new Map();
+const STRIPE_EVENT_RETENTION_DAYS = 30;
+const FULFILLMENT_MAX_ATTEMPTS = 10;
+
+function isFulfillmentStepDone(record, step) {
+    return !!(record.steps[step] && record.steps[step].completedAt);
 }
 
-// ===== GOOGLE MEET FUNCTIONS =====
-async function createGoogleMeetEvent(bookingData) {
-    console.log('📅 createGoogleMeetEvent chiamata con:', {
-        calendar: !!calendar,
-        calendarId: process.env.GOOGLE_CALENDAR_ID,
-        appointmentDate: bookingData.appointmentDate,
-        appointmentTime: bookingData.appointmentTime
-    });
-
-    if (!calendar) {
-        console.warn('⚠️ Google Calendar non configurato - saltando creazione evento');
-        return null;
+/**
+ * Evade una prenotazione pagata: archivio (e quindi Sheets), evento Calendar,
+ * email al cliente e all'admin, utilizzo del codice sconto e del buono regalo.
+ * I passi già completati vengono saltati; quelli falliti vengono ritentati alla chiamata successiva
+ * (per i pagamenti che arrivano solo dal webhook la chiamata successiva è retryFailedFulfillments).
+ */
+async function fulfillBooking(bookingData, { source, eventId = null } = {}) {
+    const paymentIntentId = bookingData.paymentIntent || bookingData.paymentId;
+    if (!paymentIntentId) {
+        throw new Error('PaymentIntent mancante: impossibile evadere la prenotazione');
     }
 
-    if (!process.env.GOOGLE_CALENDAR_ID) {
-        console.warn('⚠️ GOOGLE_CALENDAR_ID non configurato - saltando creazione evento');
-        return null;
+    // Una sola esecuzione alla volta per pagamento: chi arriva dopo attende e trova i passi già fatti
+    while (fulfillmentsInProgress.has(paymentIntentId)) {
+        await fulfillmentsInProgress.get(paymentIntentId).catch(() => {});
     }
 
-    // Calcola i tempi
-    const appointmentDate = new Date(bookingData.appointmentDate);
-    const [hours, minutes] = bookingData.appointmentTime.split(':');
-
-    const startTime = new Date(appointmentDate);
-    startTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-
-    const endTime = new Date(startTime);
-    endTime.setMinutes(endTime.getMinutes() + 90);
+    const run = runFulfillment(paymentIntentId, bookingData, source, eventId);
+    fulfillmentsInProgress.set(paymentIntentId, run);
 
     try {
-        console.log('📅 Creazione evento Google Calendar con Meet link fisso:', {
-            startTime: startTime.toISOString(),
-            endTime: endTime.toISOString(),
-            customerName: bookingData.customerName,
-            customerEmail: bookingData.customerEmail
-        });
-
-        // Link Google Meet fisso (configurato su Render)
-        const fixedMeetLink = process.env.GOOGLE_MEET_LINK || 'https://meet.google.com/tyv-rqts-nyr';
-
-        const event = {
-            summary: `VFX Consultation - ${bookingData.customerName}`,
-            description: `
-VFX Career Consultation with Valentin Procida
-
-Cliente: ${bookingData.customerName}
-Email: ${bookingData.customerEmail}
-Telefono: ${bookingData.customerPhone}
-${bookingData.company ? `Azienda: ${bookingData.company}` : ''}
-
-Durata: 90 minuti
-Pagamento: €${(bookingData.amount / 100).toFixed(2)}
-ID Transazione: ${bookingData.paymentIntent}
-
-🎥 GOOGLE MEET LINK: ${fixedMeetLink}
+        return await run;
+    } finally {
+        fulfillmentsInProgress.delete(paymentIntentId);
+    }
+}
 
-Argomenti da discutere:
-- Analisi portfolio VFX
-- Roadmap carriera personalizzata
-- Strategie industria VFX
-- CV e networking tips
+async function runFulfillment(paymentIntentId, bookingData, source, eventId) {
+    const existing = fulfillmentStore.get(paymentIntentId);
+    const base = existing || {
+        paymentIntentId,
+        bookingId: null,
+        steps: {},
+        sources: [],
+        eventIds: [],
+        createdAt: new Date().toISOString()
+    };
 
-IMPORTANTE: Il link Google Meet è incluso sopra
-            `.trim(),
-            start: {
-                dateTime: startTime.toISOString(),
-                timeZone: 'Europe/Rome',
-            },
-            end: {
-                dateTime: endTime.toISOString(),
-                timeZone: 'Europe/Rome',
-            },
-            location: fixedMeetLink, // Aggiunge il link anche nel campo location
-            reminders: {
-                useDefault: false,
-                overrides: [
-                    { method: 'email', minutes: 24 * 60 },
-                    { method: 'popup', minutes: 10 }
-                ]
-            }
-        };
+    let record = fulfillmentStore.put(paymentIntentId, {
+        ...base,
+        sources: base.sources.includes(source) ? base.sources : [...base.sources, source],
+        eventIds: eventId && !base.eventIds.includes(eventId) ? [...base.eventIds, eventId] : base.eventIds,
+        updatedAt: new Date().toISOString()
+    });
 
-        console.log('📅 Creazione evento con Meet link fisso:', fixedMeetLink);
+    if (existing) {
+        console.log(`🔁 Evasione ${paymentIntentId} già avviata (${existing.sources.join(', ')}) - richiesta da ${source}`);
+    }
 
-        const createdEvent = await calendar.events.insert({
-            calendarId: process.env.GOOGLE_CALENDAR_ID,
-            resource: event,
-            sendUpdates: 'none'
+    const completeStep = (step, details = {}) => {
+        record = fulfillmentStore.put(paymentIntentId, {
+            ...record,
+            steps: { ...record.steps, [step]: { completedAt: new Date().toISOString(), ...details } },
+            updatedAt: new Date().toISOString()
         });
+    };
 
-        console.log('✅ Evento creato con Meet link fisso:', {
-            eventId: createdEvent.data.id,
-            meetLink: fixedMeetLink,
-            eventLink: createdEvent.data.htmlLink
+    const skipStep = (step, reason) => {
+        record = fulfillmentStore.put(paymentIntentId, {
+            ...record,
+            steps: { ...record.steps, [step]: { skippedAt: new Date().toISOString(), reason } },
+            updatedAt: new Date().toISOString()
         });
+    };
 
-        const meetingInfo = {
-            eventId: createdEvent.data.id,
-            meetLink: fixedMeetLink, // Usa il link fisso
-            eventLink: createdEvent.data.htmlLink,
-            startTime: startTime,
-            endTime: endTime
-        };
-
-        console.log('🔗 Usato Google Meet Link fisso:', meetingInfo.meetLink);
-        return meetingInfo;
-
-    } catch (error) {
-        console.error('❌ Errore creazione evento Google Calendar:', {
-            message: error.message,
-            code: error.code,
-            errors: error.errors
+    const failStep = (step, error) => {
+        const previous = record.steps[step] || {};
+        record = fulfillmentStore.put(paymentIntentId, {
+            ...record,
+            steps: {
+                ...record.steps,
+                [step]: { failedAt: new Date().toISOString(), attempts: (previous.attempts || 0) + 1, error: error.message || String(error) }
+            },
+            updatedAt: new Date().toISOString()
         });
-        return null;
+        console.error(`❌ Evasione ${paymentIntentId}, passo "${step}" fallito:`, error.message || error);
+    };
+
+    // 1. Archivio locale: la riga su Sheets la scrive (e la ritenta) il replicatore, non questo passo.
+    // Il blocco può essere scaduto prima del pagamento: se lo slot è stato preso da un'altra
+    // prenotazione confermata, questa viene rimborsata invece che evasa.
+    const conflictingBooking = !isFulfillmentStepDone(record, 'booking') && !bookingStore.has(paymentIntentId) ?
+        findConflictingBooking(bookingData) : null;
+    const booking = saveBooking(bookingData);
+    bookingData.bookingId = booking.id;
+
+    if (!isFulfillmentStepDone(record, 'booking')) {
+        // Con Stripe Checkout il blocco non conosce il PaymentIntent: lo si trova tramite holdId
+        if (!releaseHoldForPaymentIntent(paymentIntentId, 'prenotazione confermata') && bookingData.holdId) {
+            releaseSlotHold(bookingData.holdId, 'prenotazione confermata');
+        }
+        record = { ...record, bookingId: booking.id, slotConflictWith: conflictingBooking ? conflictingBooking.id : null };
+        completeStep('booking', { bookingId: booking.id });
     }
-}
 
-// ===== FUNZIONI GOOGLE SHEETS =====
-async function saveBookingToGoogleSheets(bookingData) {
-    if (!sheets || !process.env.GOOGLE_SPREADSHEET_ID) {
-        console.warn('⚠️ Google Sheets non configurato - saltando salvataggio');
-        return;
+    if (record.slotConflictWith) {
+        if (['Confermata', 'Da rimborsare'].includes(bookingStore.get(booking.id).status)) {
+            await refundConflictingBooking(booking, bookingStore.get(record.slotConflictWith));
+        }
+        return { booking: bookingStore.get(booking.id), fulfillment: record };
     }
 
-    try {
-        const spreadsheetId = process.env.GOOGLE_SPREADSHEET_ID;
-
-        const date = new Date(bookingData.appointmentDate || new Date());
-        const formattedDate = date.toLocaleDateString('it-IT');
-        const finalAmount = (bookingData.amount / 100).toFixed(2);
-        const discountText = bookingData.discount ?
-            `${bookingData.discount.code} (-€${(bookingData.discount.discountAmount / 100).toFixed(2)})` :
-            'Nessuno';
-
-        const values = [[
-            new Date().toLocaleString('it-IT'),
-            bookingData.customerName || bookingData.name,
-            bookingData.customerEmail || bookingData.email,
-            bookingData.customerPhone || bookingData.phone,
-            bookingData.company || '',
-            formattedDate,
-            bookingData.appointmentTime || 'Non specificato',
-            `€${finalAmount}`,
-            discountText,
-            bookingData.paymentIntent || bookingData.paymentId,
-            'Confermata'
-        ]];
-
-        await sheets.spreadsheets.values.append({
-            spreadsheetId,
-            range: 'Prenotazioni!A:K',
-            valueInputOption: 'USER_ENTERED',
-            resource: { values }
+    // 2. Utilizzo del codice sconto, contato una sola volta per pagamento
+    const discountCode = bookingData.discount && bookingData.discount.code;
+    if (discountCode && !isFulfillmentStepDone(record, 'discount')) {
+        const discount = redeemDiscountCode(discountCode, {
+            paymentIntentId, bookingId: booking.id, customerEmail: bookingData.customerEmail, holdId: bookingData.holdId
         });
+        if (discount) {
+            console.log(`Codice ${discountCode} utilizzato. Nuovo conteggio: ${discount.usedCount}`);
+        }
+        completeStep('discount', { code: discountCode.toUpperCase() });
+    }
 
-        console.log('✅ Prenotazione salvata in Google Sheets:', bookingData.customerEmail || bookingData.email);
-
-    } catch (error) {
-        console.error('❌ Errore salvataggio Google Sheets:', error.message);
+    // 3. Importo pagato con il buono regalo
+    const giftVoucher = bookingData.giftVoucher;
+    if (giftVoucher && !isFulfillmentStepDone(record, 'giftVoucher')) {
+        redeemGiftVoucher(giftVoucher.code, { bookingId: booking.id, holdId: bookingData.holdId, amount: giftVoucher.amount });
+        completeStep('giftVoucher', { code: giftVoucher.code, amount: giftVoucher.amount });
     }
-}
 
-// ===== CLASSE GENERATORE CODICI SCONTO =====
-class DiscountCodeGenerator {
-    constructor() {
-        this.prefixes = {
-            general: ['SAVE', 'GET', 'DEAL', 'PROMO', 'OFFER'],
-            seasonal: ['SPRING', 'SUMMER', 'AUTUMN', 'WINTER'],
-            target: ['STUDENT', 'ARTIST', 'JUNIOR', 'SENIOR', 'FREELANCE'],
-            social: ['YOUTUBE', 'INSTAGRAM', 'LINKEDIN', 'TWITTER', 'TIKTOK'],
-            events: ['WORKSHOP', 'WEBINAR', 'CONFERENCE', 'MEETUP', 'LIVE'],
-            special: ['FLASH', 'WEEKEND', 'MIDNIGHT', 'EARLY', 'LAST'],
-            welcome: ['WELCOME', 'HELLO', 'FIRST', 'NEW', 'START']
-        };
-        this.suffixes = ['10', '2025', 'NOW', 'VFX', 'GO'];
-        this.generatedCodes = new Map();
-        this.defaultConfig = { type: 'percentage', value: 10, active: true };
+    // 4. Programma referral: codice invito del cliente e premio per chi lo ha invitato.
+    // Il premio arriva solo a prenotazione saldata: con l'acconto è recordBalancePayment a riavviare l'evasione
+    if (getReferralConfig().enabled) {
+        const usedCode = discountCode ? getDiscountCode(discountCode) : null;
+        const rewardDue = usedCode && usedCode.category === 'referral' && bookingStore.get(booking.id).balanceDue === 0;
+
+        if (!isFulfillmentStepDone(record, 'referral')) {
+            const referralCode = ensureReferralCode(bookingData.customerEmail, bookingData.customerName);
+            const reward = rewardDue ? issueReferralReward(usedCode, booking) : null;
+            completeStep('referral', { code: referralCode.code, rewardCode: reward ? reward.code : null });
+        } else if (rewardDue && !record.steps.referral.rewardCode) {
+            const reward = issueReferralReward(usedCode, booking);
+            completeStep('referral', { ...record.steps.referral, rewardCode: reward.code });
+        }
     }
 
-    generateRandomCode(length = 8) {
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-        let result = '';
-        for (let i = 0; i < length; i++) {
-            result += chars.charAt(Math.floor(Math.random() * chars.length));
+    const referralStep = isFulfillmentStepDone(record, 'referral') ? record.steps.referral : null;
+
+    // 5. Evento Google Calendar con link Meet (senza Calendar configurato il passo è saltato, non fallito:
+    // retryFailedFulfillments non lo ritenta, una chiamata successiva sì)
+    if (!isFulfillmentStepDone(record, 'calendar') && (!calendar || !process.env.GOOGLE_CALENDAR_ID)) {
+        skipStep('calendar', 'Google Calendar non configurato');
+    } else if (!isFulfillmentStepDone(record, 'calendar')) {
+        const meetingInfo = await createGoogleMeetEvent(bookingData);
+        if (meetingInfo) {
+            recordBookingMeeting(booking.id, meetingInfo);
+            completeStep('calendar', {
+                eventId: meetingInfo.eventId,
+                meetLink: meetingInfo.meetLink,
+                startTime: meetingInfo.startTime.toISOString(),
+                endTime: meetingInfo.endTime.toISOString()
+            });
+        } else {
+            failStep('calendar', new Error('Evento Google Calendar non creato'));
         }
-        return result;
     }
 
-    generateThematicCode(category, customSuffix = null) {
-        if (!this.prefixes[category]) throw new Error(`Categoria non valida: ${category}`);
-        const prefix = this.prefixes[category][Math.floor(Math.random() * this.prefixes[category].length)];
-        const suffix = customSuffix || this.suffixes[Math.floor(Math.random() * this.suffixes.length)];
-        return `${prefix}${suffix}`;
+    const calendarStep = isFulfillmentStepDone(record, 'calendar') ? record.steps.calendar : null;
+    const meetingInfo = calendarStep ? {
+        eventId: calendarStep.eventId,
+        meetLink: calendarStep.meetLink,
+        startTime: new Date(calendarStep.startTime),
+        endTime: new Date(calendarStep.endTime)
+    } : null;
+
+    // 6. Fattura o ricevuta con numero progressivo
+    if (!isFulfillmentStepDone(record, 'invoice')) {
+        const invoice = issueInvoiceForBooking(bookingStore.get(booking.id));
+        completeStep('invoice', { invoiceId: invoice.id, number: invoice.number });
     }
 
-    isCodeUnique(code) {
-        return !this.generatedCodes.has(code) && !discountCodes[code];
+    if (!resend) {
+        return { booking: bookingStore.get(booking.id), fulfillment: record };
     }
 
-    generateUniqueCode(category = null, maxRetries = 10) {
-        let attempts = 0;
-        let code;
-        do {
-            code = category ? this.generateThematicCode(category) : this.generateRandomCode();
-            attempts++;
-        } while (!this.isCodeUnique(code) && attempts < maxRetries);
+    // 7. Email di conferma al cliente, con invito ICS, documento PDF e codice invito
+    if (!isFulfillmentStepDone(record, 'customerEmail')) {
+        try {
+            const invoice = invoiceStore.get(record.steps.invoice.invoiceId);
+            await sendEmail({
+                to: bookingData.customerEmail || bookingData.email,
+                subject: '✅ Consulenza VFX Confermata - Valentin Procida',
+                html: createBookingConfirmationTemplate({ ...bookingData, referralCode: referralStep ? referralStep.code : null }),
+                attachments: [createBookingIcsAttachment(bookingData), invoice ? await createInvoiceAttachment(invoice) : null]
+            });
+            console.log(`📧 Email di conferma inviata al cliente (${source})`);
+            completeStep('customerEmail');
+        } catch (error) {
+            failStep('customerEmail', error);
+        }
+    }
 
-        if (attempts >= maxRetries) {
-            const timestamp = Date.now().toString().slice(-4);
-            code = category ? this.generateThematicCode(category, timestamp) : this.generateRandomCode() + timestamp;
+    // 8. Email con il link Google Meet
+    if (meetingInfo && !isFulfillmentStepDone(record, 'meetingEmail')) {
+        const sent = await sendMeetingLinkEmail(bookingData, meetingInfo);
+        if (sent) {
+            completeStep('meetingEmail');
+        } else {
+            failStep('meetingEmail', new Error('Email Google Meet non inviata'));
         }
-        return code;
     }
 
-    createDiscountCode(options = {}) {
-        const { category = null, description = null, maxUses = 100, validUntil = null, customCode = null } = options;
-        const code = customCode || this.generateUniqueCode(category);
+    // 9. Notifica all'admin
+    if (process.env.ADMIN_EMAIL && !isFulfillmentStepDone(record, 'adminEmail')) {
+        try {
+            await sendEmail({
+                to: process.env.ADMIN_EMAIL,
+                subject: `🎯 Nuova Prenotazione: ${bookingData.customerName || bookingData.name} - ${bookingData.appointmentDate || 'Data da confermare'}`,
+                html: createAdminNotificationTemplate(bookingData)
+            });
+            console.log(`📧 Notifica admin inviata (${source})`);
+            completeStep('adminEmail');
+        } catch (error) {
+            failStep('adminEmail', error);
+        }
+    }
 
-        let autoDescription = description;
-        if (!autoDescription) {
-            const categoryNames = {
-                general: 'Offerta Generale', seasonal: 'Offerta Stagionale', target: 'Offerta Specializzata',
-                social: 'Social Media', events: 'Eventi', special: 'Offerta Speciale', welcome: 'Benvenuto'
-            };
-            autoDescription = category ? `${categoryNames[category]} - Sconto 10%` : 'Codice Automatico - Sconto 10%';
+    // 10. Codice premio a chi ha invitato il cliente
+    if (referralStep && referralStep.rewardCode && !isFulfillmentStepDone(record, 'referralRewardEmail')) {
+        try {
+            const reward = getDiscountCode(referralStep.rewardCode);
+            await sendEmail({
+                to: reward.assignedTo,
+                subject: '🎁 Un amico ha prenotato con il tuo invito - Consulenza VFX',
+                html: createReferralRewardTemplate(reward, findReferralCode(reward.assignedTo), bookingData)
+            });
+            console.log(`📧 Codice premio inviato a ${reward.assignedTo}`);
+            completeStep('referralRewardEmail');
+        } catch (error) {
+            failStep('referralRewardEmail', error);
         }
+    }
 
-        const discountCode = {
-            ...this.defaultConfig, description: autoDescription, maxUses, usedCount: 0,
-            validUntil, createdAt: new Date(), category: category || 'generated'
-        };
+    return { booking: bookingStore.get(booking.id), fulfillment: record };
+}
 
-        this.generatedCodes.set(code, discountCode);
-        return { code, ...discountCode };
+/**
+ * Prenotazione confermata che occupa (anche in parte) lo slot richiesto
+ */
+function findConflictingBooking(bookingData) {
+    if (!bookingData.appointmentDate || !bookingData.appointmentTime) return null;
+
+    const { start, end } = getSlotInterval(bookingData.appointmentDate, bookingData.appointmentTime, getBookingDuration(bookingData));
+    const interval = getBusyIntervals({ includeHolds: false })
+        .find(busy => busy.source === 'booking' && overlapsInterval(start, end, busy));
+
+    return interval ? bookingStore.get(interval.id) : null;
+}
+
+/**
+ * Rimborsa per intero una prenotazione pagata per uno slot già occupato e avvisa cliente e admin.
+ * Se il rimborso fallisce la prenotazione resta "Da rimborsare" e va gestita a mano.
+ */
+async function refundConflictingBooking(booking, conflictingBooking) {
+    console.error(`🚨 Slot ${booking.appointmentDate} ${booking.appointmentTime} già occupato da ${conflictingBooking.id}: rimborso ${booking.id}`);
+
+    let refunds = null;
+    try {
+        refunds = await refundBookingPayments(booking, getBookingAmountPaid(booking), {
+            idempotencyKey: `slot-conflict-${booking.id}`,
+            metadata: { bookingId: booking.id, reason: 'slot_conflict' }
+        });
+    } catch (error) {
+        console.error(`❌ Rimborso per slot occupato ${booking.id} fallito:`, error.message);
     }
 
-    getAllCodes() {
-        const codes = {};
-        this.generatedCodes.forEach((data, code) => { codes[code] = data; });
-        return codes;
+    const refundAmount = refunds ? refunds.reduce((total, refund) => total + refund.amount, 0) : 0;
+    const updatedBooking = updateBooking(booking.id, {
+        status: refunds ? 'Rimborsata' : 'Da rimborsare',
+        statusChangedAt: new Date().toISOString(),
+        slotConflictWith: conflictingBooking.id,
+        refundAmount,
+        refundId: refunds && refunds.length > 0 ? refunds.map(refund => refund.id).join(', ') : null
+    });
+
+    if (!resend) return updatedBooking;
+
+    try {
+        if (refunds) {
+            await sendEmail({
+                to: updatedBooking.customerEmail,
+                subject: '✖ Consulenza VFX Annullata - Valentin Procida',
+                html: createBookingCancelledTemplate(updatedBooking, refundAmount)
+            });
+        }
+
+        if (process.env.ADMIN_EMAIL) {
+            await sendEmail({
+                to: process.env.ADMIN_EMAIL,
+                subject: `🚨 Slot già occupato: ${updatedBooking.customerName} - ${updatedBooking.appointmentDate}`,
+                html: createAdminBookingChangeTemplate(updatedBooking, 'Pagamento per uno Slot già Occupato', {
+                    'Prenotazione esistente': `${conflictingBooking.id} (${conflictingBooking.customerName})`,
+                    'Rimborso': refunds ? formatMoney(refundAmount, updatedBooking.currency) : 'Non riuscito: da rimborsare a mano'
+                })
+            });
+        }
+    } catch (emailError) {
+        console.error('Errore invio email slot occupato:', emailError);
     }
 
-    getStats() {
-        const totalCodes = this.generatedCodes.size;
-        const activeCodes = Array.from(this.generatedCodes.values()).filter(code => code.active).length;
-        const expiredCodes = Array.from(this.generatedCodes.values()).filter(code => code.validUntil && new Date() > code.validUntil).length;
-        return {
-            totalCodes, activeCodes, expiredCodes,
-            totalUses: Array.from(this.generatedCodes.values()).reduce((sum, code) => sum + code.usedCount, 0)
-        };
+    return updatedBooking;
+}
+
+/**
+ * Passi falliti e non ancora completati di un'evasione
+ */
+function getFailedFulfillmentSteps(record) {
+    return Object.keys(record.steps).filter(step => record.steps[step].failedAt && !record.steps[step].completedAt);
+}
+
+/**
+ * Ritenta le evasioni con passi falliti (Calendar, email): il webhook risponde comunque 200 a Stripe,
+ * quindi senza questo job un passo fallito non verrebbe più ritentato.
+ * Dopo FULFILLMENT_MAX_ATTEMPTS tentativi il passo resta fallito e va gestito a mano.
+ */
+async function retryFailedFulfillments() {
+    const pending = fulfillmentStore.values().filter(record =>
+        getFailedFulfillmentSteps(record).some(step => record.steps[step].attempts < FULFILLMENT_MAX_ATTEMPTS));
+
+    for (const record of pending) {
+        const booking = record.bookingId && bookingStore.get(record.bookingId);
+        if (!booking || booking.status !== 'Confermata' || fulfillmentsInProgress.has(record.paymentIntentId)) continue;
+
+        try {
+            const { fulfillment } = await fulfillBooking({ ...booking }, { source: 'retry' });
+            const stillFailed = getFailedFulfillmentSteps(fulfillment);
+            if (stillFailed.length === 0) {
+                console.log(`✅ Evasione ${record.paymentIntentId} completata al nuovo tentativo`);
+            } else if (stillFailed.every(step => fulfillment.steps[step].attempts >= FULFILLMENT_MAX_ATTEMPTS)) {
+                console.error(`🚨 Evasione ${record.paymentIntentId}: passi ${stillFailed.join(', ')} falliti dopo ${FULFILLMENT_MAX_ATTEMPTS} tentativi`);
+            }
+        } catch (error) {
+            console.error(`❌ Errore nel nuovo tentativo di evasione ${record.paymentIntentId}:`, error.message);
+        }
     }
 }
 
-// Inizializza il generatore
-const codeGenerator = new DiscountCodeGenerator();
+/**
+ * Controlla che un PaymentIntent sia un pagamento completato per una consulenza, con importo
+ * e valuta coerenti con quanto calcolato alla creazione. Restituisce null se è valido.
+ */
+function verifyBookingPaymentIntent(paymentIntent) {
+    const metadata = paymentIntent.metadata || {};
 
-// ===== DATABASE CODICI SCONTO =====
-let discountCodes = {
-    'WELCOME10': {
-        type: 'percentage', value: 10, description: 'Benvenuto - Sconto 10%',
-        active: true, maxUses: null, usedCount: 0, validUntil: null
-    },
-    'STUDENT10': {
-        type: 'percentage', value: 10, description: 'Studenti - Sconto 10%',
-        active: true, maxUses: null, usedCount: 0, validUntil: null
-    },
-    'FIRST10': {
-        type: 'percentage', value: 10, description: 'Prima Consulenza - Sconto 10%',
-        active: true, maxUses: 500, usedCount: 0, validUntil: null
+    if (metadata.product !== 'vfx-consultation') {
+        return { status: 400, code: 'NOT_A_BOOKING_PAYMENT', error: 'Il pagamento non riguarda una consulenza' };
     }
-};
 
-// ===== CONFIGURAZIONE EMAIL CON RESEND =====
-let resend;
-if (process.env.RESEND_API_KEY) {
-    resend = new Resend(process.env.RESEND_API_KEY);
-    console.log('📧 Resend email configurato');
-} else {
-    console.warn('⚠️ RESEND_API_KEY non configurata - servizio email disabilitato');
-}
+    if (paymentIntent.status !== 'succeeded') {
+        return { status: 402, code: 'PAYMENT_NOT_COMPLETED', error: `Pagamento non completato (stato: ${paymentIntent.status})` };
+    }
 
-// Funzione helper per inviare email con Resend
-async function sendEmail(options) {
-    if (!resend) {
-        throw new Error('Resend non configurato');
+    // I PaymentIntent creati prima dei listini multi-valuta non riportano la valuta nei metadata
+    if (paymentIntent.currency !== (metadata.currency || getDefaultCurrency())) {
+        return { status: 400, code: 'PAYMENT_MISMATCH', error: `Valuta non valida: ${paymentIntent.currency}` };
     }
-    
-    const { data, error } = await resend.emails.send({
-        from: options.from || `Valentin Procida <${process.env.EMAIL_FROM || 'onboarding@resend.dev'}>`,
-        to: Array.isArray(options.to) ? options.to : [options.to],
-        subject: options.subject,
-        html: options.html
-    });
-    
-    if (error) {
-        throw new Error(error.message);
+
+    const originalAmount = parseInt(metadata.originalAmount);
+    const discountAmount = parseInt(metadata.discountAmount) || 0;
+    const finalAmount = parseInt(metadata.finalAmount);
+
+    // Con l'acconto si addebita solo depositAmount (il saldo arriva con un pagamento separato),
+    // con il buono regalo solo la parte che il buono non copre
+    const isDeposit = metadata.paymentOption === 'deposit';
+    const depositAmount = parseInt(metadata.depositAmount);
+    const giftVoucherAmount = parseInt(metadata.giftVoucherAmount) || 0;
+    const expectedAmount = isDeposit ? depositAmount : finalAmount - giftVoucherAmount;
+
+    if (!Number.isInteger(finalAmount) || finalAmount !== originalAmount - discountAmount ||
+        (isDeposit && !(depositAmount > 0 && depositAmount + parseInt(metadata.balanceAmount) === finalAmount)) ||
+        paymentIntent.amount !== expectedAmount || paymentIntent.amount_received !== expectedAmount) {
+        return { status: 400, code: 'PAYMENT_MISMATCH', error: 'Importo pagato non corrispondente alla prenotazione' };
     }
-    
-    return data;
+
+    return null;
 }
-// ===== EMAIL TEMPLATES =====
-function createBookingConfirmationTemplate(bookingData) {
-    const date = new Date(bookingData.appointmentDate || new Date());
-    const formattedDate = date.toLocaleDateString('it-IT', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
 
-    const finalAmount = (bookingData.amount / 100).toFixed(2);
+/**
+ * Dati della prenotazione ricavati solo dai metadata del PaymentIntent (impostati dal server)
+ */
+function bookingDataFromPaymentIntent(paymentIntent) {
+    const metadata = paymentIntent.metadata;
 
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Prenotazione Confermata</title>
-</head>
-<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333;">
-    <div style="max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
-        
-        <!-- Header -->
-        <div style="background: #2c3e50; padding: 40px 30px; text-align: center;">
-            <div style="width: 60px; height: 60px; background: #27ae60; border-radius: 50%; margin: 0 auto 20px; display: flex; align-items: center; justify-content: center; font-size: 28px; color: white;">✓</div>
-            <h1 style="margin: 0; font-size: 28px; font-weight: 300; color: white;">Prenotazione Confermata</h1>
-            <p style="margin: 15px 0 0 0; color: #bdc3c7; font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">Consulenza VFX • Valentin Procida</p>
-        </div>
-        
-        <!-- Content -->
-        <div style="padding: 40px 30px;">
-            
-            <div style="text-align: center; margin-bottom: 40px;">
-                <h2 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 24px; font-weight: 400;">Ciao ${bookingData.customerName || bookingData.name}!</h2>
-                <p style="color: #555; font-size: 16px; line-height: 1.6; margin: 0;">
-                    La tua consulenza VFX è stata confermata con successo.<br>
-                    <strong style="color: #2c3e50;">Riceverai il link Google Meet in una email separata tra pochi minuti.</strong>
-                </p>
-            </div>
-            
-            <!-- Appointment Details -->
-            <div style="background: #f8f9fa; border: 1px solid #e9ecef; padding: 30px; margin-bottom: 30px;">
-                <h3 style="color: #2c3e50; margin: 0 0 20px 0; font-size: 16px; font-weight: 600; text-transform: uppercase; letter-spacing: 1px; border-bottom: 2px solid #3498db; padding-bottom: 10px;">📅 Dettagli Appuntamento</h3>
-                
-                <table style="width: 100%; border-collapse: collapse;">
-                    <tr style="border-bottom: 1px solid #e9ecef;">
-                        <td style="padding: 12px 0; color: #666; font-weight: 500; width: 35%;">Data:</td>
-                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">${formattedDate}</td>
-                    </tr>
-                    <tr style="border-bottom: 1px solid #e9ecef;">
-                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Orario:</td>
-                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">${bookingData.appointmentTime || 'Da confermare'}</td>
-                    </tr>
-                    <tr style="border-bottom: 1px solid #e9ecef;">
-                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Durata:</td>
-                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">90 minuti</td>
-                    </tr>
-                    <tr>
-                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Modalità:</td>
-                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">Video chiamata Google Meet</td>
-                    </tr>
-                </table>
-            </div>
-            
-            <!-- Payment Summary -->
-            <div style="background: #e8f5e9; border: 1px solid #c3e6cb; padding: 30px; margin-bottom: 30px;">
-                <h3 style="color: #2c3e50; margin: 0 0 20px 0; font-size: 16px; font-weight: 600; text-transform: uppercase; letter-spacing: 1px; border-bottom: 2px solid #27ae60; padding-bottom: 10px;">💳 Riepilogo Pagamento</h3>
-                
-                <table style="width: 100%; border-collapse: collapse;">
-                    <tr style="border-bottom: 1px solid #c3e6cb;">
-                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Consulenza VFX:</td>
-                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 700; font-size: 18px; text-align: right;">€${finalAmount}</td>
-                    </tr>
-                    ${bookingData.discount ? `
-                    <tr style="border-bottom: 1px solid #c3e6cb;">
-                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Sconto ${bookingData.discount.code}:</td>
-                        <td style="padding: 12px 0; color: #27ae60; font-weight: 600; text-align: right;">Applicato ✓</td>
-                    </tr>` : ''}
-                    <tr>
-                        <td colspan="2" style="padding: 15px 0 0 0; color: #666; font-size: 12px;">
-                            <strong>ID Transazione:</strong> ${bookingData.paymentIntent || bookingData.paymentId}
-                        </td>
-                    </tr>
-                </table>
-            </div>
-            
-            <!-- Google Meet Notice -->
-            <div style="background: #2c3e50; color: white; padding: 30px; text-align: center; margin-bottom: 30px;">
-                <div style="width: 50px; height: 50px; background: #3498db; border-radius: 50%; margin: 0 auto 15px; display: flex; align-items: center; justify-content: center; font-size: 20px;">🎥</div>
-                <h3 style="color: white; margin: 0 0 15px 0; font-size: 18px; font-weight: 500;">Link Google Meet in Arrivo</h3>
-                <p style="margin: 0; font-size: 16px; line-height: 1.5;">
-                    Ti invieremo il link per la video chiamata in una <strong>email separata tra pochi minuti</strong>.<br>
-                    Controlla la tua casella di posta!
-                </p>
-            </div>
-            
-            <!-- Support -->
-            <div style="text-align: center; padding: 25px; background: #f8f9fa; border: 1px solid #e9ecef;">
-                <p style="margin: 0; color: #666; font-size: 14px; line-height: 1.5;">
-                    Hai domande? Rispondi pure a questa email.<br>
-                    <strong style="color: #2c3e50;">Ci sentiamo presto!</strong>
-                </p>
-            </div>
-            
-        </div>
-        
-        <!-- Footer -->
-        <div style="background: #34495e; color: white; padding: 30px; text-align: center;">
-            <div style="margin-bottom: 10px;">
-                <strong style="font-size: 18px;">Valentin Procida</strong>
-            </div>
-            <div style="color: #bdc3c7; font-size: 14px; line-height: 1.4;">
-                VFX Artist & Career Consultant<br>
-                <a href="https://www.valentinprocida.it" style="color: #3498db; text-decoration: none;">www.valentinprocida.it</a>
-            </div>
-        </div>
-    </div>
-</body>
-</html>`;
+    return {
+        customerName: metadata.name,
+        customerEmail: metadata.email,
+        customerPhone: metadata.phone,
+        company: metadata.company,
+        appointmentDate: metadata.appointmentDate,
+        appointmentTime: metadata.appointmentTime,
+        appointmentStart: metadata.appointmentStart || null,
+        customerTimezone: metadata.customerTimezone || null,
+        serviceId: metadata.productId,
+        durationMinutes: parseInt(metadata.durationMinutes) || null,
+        amount: parseInt(metadata.finalAmount) || paymentIntent.amount,
+        depositAmount: metadata.paymentOption === 'deposit' ? paymentIntent.amount : null,
+        giftVoucher: metadata.giftVoucherCode ? {
+            code: metadata.giftVoucherCode,
+            amount: parseInt(metadata.giftVoucherAmount)
+        } : null,
+        currency: paymentIntent.currency,
+        paymentIntent: paymentIntent.id,
+        holdId: metadata.holdId || null,
+        billing: metadata.billing ? JSON.parse(metadata.billing) : null,
+        discount: metadata.discountCode ? {
+            code: metadata.discountCode,
+            discountAmount: parseInt(metadata.discountAmount)
+        } : null,
+        timestamp: new Date().toISOString()
+    };
 }
 
-function createMeetingLinkEmailTemplate(bookingData, meetingInfo) {
-    const date = new Date(bookingData.appointmentDate);
-    const formattedDate = date.toLocaleDateString('it-IT', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
+// ===== RIMBORSI, CONTESTAZIONI E ANNULLAMENTI DA STRIPE =====
+
+/**
+ * Annulla l'utilizzo del codice sconto contato durante l'evasione (una sola volta per pagamento)
+ */
+function rollbackDiscountUsage(paymentIntentId) {
+    const record = fulfillmentStore.get(paymentIntentId);
+    if (!record || !isFulfillmentStepDone(record, 'discount') || record.steps.discount.rolledBackAt) return false;
+
+    const discount = rollbackDiscountRedemption(record.steps.discount.code, paymentIntentId);
+    if (discount) {
+        console.log(`↩️ Utilizzo del codice ${record.steps.discount.code} annullato. Nuovo conteggio: ${discount.usedCount}`);
+    }
+
+    fulfillmentStore.put(paymentIntentId, {
+        ...record,
+        steps: { ...record.steps, discount: { ...record.steps.discount, rolledBackAt: new Date().toISOString() } },
+        updatedAt: new Date().toISOString()
     });
+    return true;
+}
+
+/**
+ * Conta di nuovo l'utilizzo del codice sconto annullato da rollbackDiscountUsage (contestazione vinta)
+ */
+function restoreDiscountUsage(paymentIntentId) {
+    const record = fulfillmentStore.get(paymentIntentId);
+    if (!record || !isFulfillmentStepDone(record, 'discount') || !record.steps.discount.rolledBackAt) return false;
 
-    const startTime = meetingInfo.startTime.toLocaleTimeString('it-IT', {
-        hour: '2-digit',
-        minute: '2-digit'
+    const booking = bookingStore.get(record.bookingId);
+    const discount = redeemDiscountCode(record.steps.discount.code, {
+        paymentIntentId, bookingId: record.bookingId, customerEmail: booking && booking.customerEmail
     });
+    if (discount) {
+        console.log(`↪️ Utilizzo del codice ${record.steps.discount.code} ripristinato. Nuovo conteggio: ${discount.usedCount}`);
+    }
 
-    const endTime = meetingInfo.endTime.toLocaleTimeString('it-IT', {
-        hour: '2-digit',
-        minute: '2-digit'
+    const { rolledBackAt, ...discountStep } = record.steps.discount;
+    fulfillmentStore.put(paymentIntentId, {
+        ...record,
+        steps: { ...record.steps, discount: { ...discountStep, restoredAt: new Date().toISOString() } },
+        updatedAt: new Date().toISOString()
     });
+    return true;
+}
 
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Link Google Meet - Valentin Procida</title>
-</head>
-<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333;">
-    <div style="max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
-        
-        <!-- Header -->
-        <div style="background: #27ae60; padding: 40px 30px; text-align: center;">
-            <div style="width: 60px; height: 60px; background: white; border-radius: 50%; margin: 0 auto 20px; display: flex; align-items: center; justify-content: center; font-size: 28px;">🎥</div>
-            <h1 style="margin: 0; font-size: 28px; font-weight: 300; color: white;">Google Meet Pronto!</h1>
-            <p style="margin: 15px 0 0 0; color: rgba(255,255,255,0.9); font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">Il tuo link è qui sotto</p>
-        </div>
-        
-        <!-- Content -->
-        <div style="padding: 40px 30px;">
-            
-            <div style="text-align: center; margin-bottom: 40px;">
-                <h2 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 24px; font-weight: 400;">Ciao ${bookingData.customerName}!</h2>
-                <p style="color: #555; font-size: 16px; line-height: 1.6; margin: 0;">
-                    La tua prenotazione è completa! Usa il link qui sotto per unirti alla video chiamata.<br>
-                    <strong style="color: #2c3e50;">Salva questa email.</strong>
-                </p>
-            </div>
-            
-            <!-- Google Meet Link prominente -->
-            <div style="background: #2c3e50; padding: 40px 30px; text-align: center; margin-bottom: 40px;">
-                <h3 style="margin: 0 0 25px 0; color: white; font-size: 16px; font-weight: 600; text-transform: uppercase; letter-spacing: 1px;">🔗 Link Video Chiamata</h3>
-                <a href="${meetingInfo.meetLink}" 
-                   style="background: white; color: #2c3e50; padding: 15px 30px; text-decoration: none; 
-                          font-weight: 600; font-size: 16px; display: inline-block; 
-                          text-transform: uppercase; letter-spacing: 1px; border-radius: 5px;">
-                    🎥 Unisciti alla Chiamata
-                </a>
-                <p style="margin: 20px 0 0 0; color: rgba(255,255,255,0.9); font-size: 14px;">
-                    Clicca 5-10 minuti prima dell'appuntamento
-                </p>
-            </div>
-            
-            <!-- Meeting Schedule -->
-            <div style="background: #f8f9fa; border: 1px solid #e9ecef; padding: 30px; margin-bottom: 30px;">
-                <h3 style="color: #2c3e50; margin: 0 0 20px 0; font-size: 16px; font-weight: 600; text-transform: uppercase; letter-spacing: 1px; border-bottom: 2px solid #27ae60; padding-bottom: 10px;">📅 Programma</h3>
-                
-                <table style="width: 100%; border-collapse: collapse;">
-                    <tr style="border-bottom: 1px solid #e9ecef;">
-                        <td style="padding: 12px 0; color: #666; font-weight: 500; width: 35%;">Data:</td>
-                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">${formattedDate}</td>
-                    </tr>
-                    <tr style="border-bottom: 1px solid #e9ecef;">
-                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Orario:</td>
-                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">${startTime} - ${endTime}</td>
-                    </tr>
-                    <tr style="border-bottom: 1px solid #e9ecef;">
-                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Fuso Orario:</td>
-                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">Europe/Rome (GMT+1)</td>
-                    </tr>
-                    <tr>
-                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Durata:</td>
-                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">90 minuti</td>
-                    </tr>
-                </table>
-            </div>
-            
-            <!-- Support -->
-            <div style="text-align: center; padding: 25px; background: #fff3cd; border: 1px solid #ffeaa7;">
-                <p style="margin: 0; color: #666; font-size: 14px; line-height: 1.5;">
-                    <strong style="color: #2c3e50;">Problemi tecnici?</strong><br>
-                    Contattami subito: 
-                    <a href="mailto:${process.env.ADMIN_EMAIL || process.env.EMAIL_USER}" style="color: #e17055; text-decoration: none; font-weight: 600;">
-                        ${process.env.ADMIN_EMAIL || process.env.EMAIL_USER}
-                    </a>
-                </p>
-            </div>
-            
-        </div>
-        
-        <!-- Footer -->
-        <div style="background: #34495e; color: white; padding: 30px; text-align: center;">
-            <div style="margin-bottom: 10px;">
-                <strong style="font-size: 18px;">Valentin Procida</strong>
-            </div>
-            <div style="color: #bdc3c7; font-size: 14px; line-height: 1.4;">
-                VFX Artist & Career Consultant<br>
-                <a href="https://www.valentinprocida.it" style="color: #3498db; text-decoration: none;">www.valentinprocida.it</a>
-            </div>
-        </div>
-    </div>
-</body>
-</html>`;
+/**
+ * Cambia lo stato di una prenotazione a seguito di un evento di pagamento.
+ * Se la prenotazione era ancora confermata libera lo slot (che getExistingBookings non conta più),
+ * elimina l'evento Calendar, annulla l'utilizzo del codice sconto e revoca il premio referral; in ogni caso avvisa l'admin.
+ */
+async function applyPaymentReversal(paymentIntentId, status, title, details = {}) {
+    const booking = findBookingByPaymentIntent(paymentIntentId);
+    if (!booking) {
+        console.warn(`⚠️ Nessuna prenotazione per il pagamento ${paymentIntentId} (${status})`);
+        return null;
+    }
+
+    const wasActive = booking.status === 'Confermata';
+    const updatedBooking = updateBooking(booking.id, {
+        status,
+        statusChangedAt: new Date().toISOString(),
+        previousStatus: booking.status
+    });
+
+    console.log(`📝 Prenotazione ${booking.id}: ${booking.status} → ${status}`);
+
+    if (wasActive) {
+        rollbackDiscountUsage(booking.id);
+        revokeReferralReward(booking.id, `prenotazione ${status.toLowerCase()}`);
+        await deleteGoogleCalendarEvent(updatedBooking);
+        notifyWaitlistForFreedSlot(updatedBooking.appointmentDate, updatedBooking.appointmentTime);
+    }
+
+    if (resend && process.env.ADMIN_EMAIL) {
+        try {
+            await sendEmail({
+                to: process.env.ADMIN_EMAIL,
+                subject: `⚠️ ${title}: ${updatedBooking.customerName} - ${updatedBooking.appointmentDate}`,
+                html: createAdminBookingChangeTemplate(updatedBooking, title, {
+                    'Stato precedente': booking.status,
+                    'Slot liberato': wasActive ? 'Sì' : 'No (già libero)',
+                    ...details
+                })
+            });
+        } catch (emailError) {
+            console.error('Errore invio notifica admin:', emailError);
+        }
+    }
+
+    return updatedBooking;
 }
 
-function createDiscountEmailTemplate(name, discountCode, discountAmount) {
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Your Discount Code - Valentin Procida</title>
-</head>
-<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333;">
-    <div style="max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
-        
-        <!-- Header -->
-        <div style="background: #e74c3c; padding: 40px 30px; text-align: center;">
-            <div style="width: 60px; height: 60px; background: white; border-radius: 50%; margin: 0 auto 20px; display: flex; align-items: center; justify-content: center; font-size: 28px;">🎉</div>
-            <h1 style="margin: 0; font-size: 28px; font-weight: 300; color: white;">Your Discount is Ready!</h1>
-            <p style="margin: 15px 0 0 0; color: rgba(255,255,255,0.9); font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">Exclusive ${discountAmount}% VFX Consultation Discount</p>
-        </div>
-        
-        <!-- Content -->
-        <div style="padding: 40px 30px;">
-            
-            <div style="text-align: center; margin-bottom: 40px;">
-                <h2 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 24px; font-weight: 400;">${name ? `Hi ${name}!` : 'Hello!'}</h2>
-                <p style="color: #555; font-size: 16px; line-height: 1.6; margin: 0;">
-                    Thank you for your interest in my VFX consultation services!<br>
-                    <strong style="color: #2c3e50;">Here's your exclusive discount code:</strong>
-                </p>
-            </div>
-            
-            <!-- Discount Code prominente -->
-            <div style="background: #2c3e50; padding: 40px 30px; text-align: center; margin-bottom: 40px;">
-                <p style="color: rgba(255,255,255,0.9); margin: 0 0 15px 0; font-size: 12px; text-transform: uppercase; letter-spacing: 1.5px; font-weight: 600;">Your Discount Code</p>
-                <div style="background: white; color: #2c3e50; padding: 20px; margin: 20px 0; font-size: 32px; font-weight: 700; letter-spacing: 4px; font-family: 'Courier New', monospace; border-radius: 5px; border: 3px solid #e74c3c;">${discountCode}</div>
-                <p style="color: white; margin: 15px 0 0 0; font-size: 18px; font-weight: 500;">Save ${discountAmount}% on your VFX consultation</p>
-            </div>
-            
-            <!-- CTA Button -->
-            <div style="text-align: center; margin-bottom: 40px;">
-                <a href="https://www.valentinprocida.it/buy.html" 
-                   style="background: #e74c3c; color: white; padding: 15px 35px; text-decoration: none; 
-                          font-weight: 600; font-size: 16px; display: inline-block;
-                          text-transform: uppercase; letter-spacing: 1px; border-radius: 5px;">
-                    🚀 Book Your Consultation Now
-                </a>
-                <p style="color: #666; margin: 15px 0 0 0; font-size: 12px; text-transform: uppercase; letter-spacing: 1px;">
-                    Limited time offer
-                </p>
-            </div>
-            
-        </div>
-        
-        <!-- Footer -->
-        <div style="background: #34495e; color: white; padding: 30px; text-align: center;">
-            <div style="margin-bottom: 15px;">
-                <h3 style="margin: 0 0 5px 0; font-size: 16px; font-weight: 500;">Best regards,</h3>
-                <strong style="font-size: 20px; font-weight: 600;">Valentin Procida</strong>
-            </div>
-            <div style="color: #bdc3c7; font-size: 14px; line-height: 1.4; margin-bottom: 20px;">
-                VFX Artist & Rigger
-            </div>
-        </div>
-    </div>
-</body>
-</html>`;
+/**
+ * Contestazione chiusa senza addebito: la prenotazione contestata torna confermata, con evento Calendar,
+ * utilizzo del codice sconto e premio referral ripristinati. Se intanto lo slot è stato preso
+ * da un'altra prenotazione resta "Contestazione vinta" e l'admin decide come procedere.
+ */
+async function restoreDisputedBooking(paymentIntentId, details = {}) {
+    const booking = findBookingByPaymentIntent(paymentIntentId);
+    if (!booking) {
+        console.warn(`⚠️ Nessuna prenotazione per il pagamento ${paymentIntentId} (contestazione vinta)`);
+        return null;
+    }
+
+    if (booking.status !== 'Contestata') {
+        console.log(`ℹ️ Prenotazione ${booking.id} in stato ${booking.status}: nessun ripristino`);
+        return booking;
+    }
+
+    const conflictingBooking = findConflictingBooking(booking);
+    const status = conflictingBooking ? 'Contestazione vinta' : 'Confermata';
+    let updatedBooking = updateBooking(booking.id, {
+        status,
+        statusChangedAt: new Date().toISOString(),
+        previousStatus: booking.status
+    });
+
+    console.log(`📝 Prenotazione ${booking.id}: ${booking.status} → ${status}`);
+
+    let meetingInfo = null;
+    if (!conflictingBooking) {
+        restoreDiscountUsage(booking.id);
+        restoreReferralReward(booking.id);
+        meetingInfo = await createGoogleMeetEvent({ ...updatedBooking });
+        updatedBooking = recordBookingMeeting(booking.id, meetingInfo) || updatedBooking;
+    }
+
+    if (resend && process.env.ADMIN_EMAIL) {
+        try {
+            await sendEmail({
+                to: process.env.ADMIN_EMAIL,
+                subject: `✅ Contestazione vinta: ${updatedBooking.customerName} - ${updatedBooking.appointmentDate}`,
+                html: createAdminBookingChangeTemplate(updatedBooking, 'Contestazione vinta', {
+                    'Slot': conflictingBooking ?
+                        `Già occupato da ${conflictingBooking.id} (${conflictingBooking.customerName}): da gestire a mano` :
+                        'Di nuovo riservato',
+                    'Evento Calendar': meetingInfo ? 'Ricreato' : 'Non creato',
+                    ...details
+                })
+            });
+        } catch (emailError) {
+            console.error('Errore invio notifica admin:', emailError);
+        }
+    }
+
+    return updatedBooking;
+}
+
+/**
+ * Contestazione sul solo saldo: l'appuntamento resta confermato, si registra lo stato
+ * della contestazione sulla prenotazione e si avvisa l'admin
+ */
+async function recordBalanceDispute(booking, dispute) {
+    const paymentStatus = {
+        won: 'Saldato',
+        warning_closed: 'Saldato',
+        lost: 'Saldo perso'
+    }[dispute.status] || 'Saldo contestato';
+
+    const updatedBooking = updateBooking(booking.id, {
+        paymentStatus,
+        balanceDispute: { id: dispute.id, status: dispute.status, reason: dispute.reason, amount: dispute.amount }
+    });
+
+    console.log(`⚖️ Saldo della prenotazione ${booking.id}: contestazione ${dispute.status}`);
+
+    if (resend && process.env.ADMIN_EMAIL) {
+        try {
+            await sendEmail({
+                to: process.env.ADMIN_EMAIL,
+                subject: `⚠️ Saldo contestato: ${updatedBooking.customerName} - ${updatedBooking.appointmentDate}`,
+                html: createAdminBookingChangeTemplate(updatedBooking, 'Saldo contestato', {
+                    'Esito': dispute.status,
+                    'Motivo': dispute.reason,
+                    'Importo contestato': formatMoney(dispute.amount, dispute.currency),
+                    'Appuntamento': 'Resta confermato'
+                })
+            });
+        } catch (emailError) {
+            console.error('Errore invio notifica admin:', emailError);
+        }
+    }
+
+    return updatedBooking;
+}
+
+/**
+ * PaymentIntent di una contestazione (per le API meno recenti si passa dall'addebito)
+ */
+async function getDisputePaymentIntentId(dispute) {
+    if (dispute.payment_intent) {
+        return typeof dispute.payment_intent === 'string' ? dispute.payment_intent : dispute.payment_intent.id;
+    }
+
+    const charge = await stripe.charges.retrieve(dispute.charge);
+    return charge.payment_intent;
+}
+
+/**
+ * Gli eventi Stripe elaborati si tengono per STRIPE_EVENT_RETENTION_DAYS giorni
+ * (Stripe ritenta la consegna per al massimo 3 giorni)
+ */
+function pruneProcessedStripeEvents() {
+    const cutoff = Date.now() - STRIPE_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    let pruned = 0;
+
+    stripeEventStore.values().forEach(entry => {
+        if (new Date(entry.processedAt).getTime() < cutoff) {
+            stripeEventStore.delete(entry.id);
+            pruned++;
+        }
+    });
+
+    if (pruned > 0) {
+        console.log(`🧹 Eventi Stripe: ${pruned} record eliminati`);
+    }
+}
+
+// ===== FATTURE E RICEVUTE =====
+// Ogni prenotazione pagata riceve un documento con numerazione annuale progressiva e senza
+// buchi (2026/0001, 2026/0002, ...): fattura se il cliente indica P.IVA, altrimenti ricevuta.
+// Il documento salvato è una fotografia immutabile; il PDF viene generato al bisogno.
+const invoiceStore = new JournalStore('invoices');
+const CODICE_FISCALE_PATTERN = /^[A-Z]{6}[0-9LMNPQRSTUV]{2}[A-Z][0-9LMNPQRSTUV]{2}[A-Z][0-9LMNPQRSTUV]{3}[A-Z]$/;
+
+/**
+ * Controllo formale della partita IVA italiana (11 cifre con carattere di controllo)
+ */
+function isValidPartitaIva(vatNumber) {
+    if (!/^\d{11}$/.test(vatNumber)) return false;
+
+    let sum = 0;
+    for (let i = 0; i < 10; i++) {
+        let digit = parseInt(vatNumber[i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+
+    return (10 - (sum % 10)) % 10 === parseInt(vatNumber[10]);
+}
+
+/**
+ * Valida i dati di fatturazione opzionali. Restituisce { billing } (null se assenti) oppure { error }.
+ */
+function validateBillingDetails(input) {
+    if (!input) return { billing: null };
+
+    const clean = (value, maxLength = 120) => String(value || '').trim().slice(0, maxLength);
+    const billing = {
+        name: clean(input.name || input.companyName),
+        codiceFiscale: clean(input.codiceFiscale, 16).toUpperCase(),
+        vatNumber: clean(input.vatNumber, 13).toUpperCase().replace(/^IT/, ''),
+        address: clean(input.address),
+        postalCode: clean(input.postalCode, 10),
+        city: clean(input.city, 60),
+        province: clean(input.province, 2).toUpperCase(),
+        country: clean(input.country || 'IT', 2).toUpperCase(),
+        sdiCode: clean(input.sdiCode, 7).toUpperCase(),
+        pec: clean(input.pec, 80)
+    };
+
+    if (!billing.name) {
+        return { error: 'Fatturazione: nome o ragione sociale richiesti' };
+    }
+
+    const isItalian = billing.country === 'IT';
+
+    if (billing.vatNumber && isItalian && !isValidPartitaIva(billing.vatNumber)) {
+        return { error: 'Fatturazione: partita IVA non valida' };
+    }
+
+    // Il codice fiscale di una società coincide con la partita IVA (11 cifre)
+    if (billing.codiceFiscale && isItalian &&
+        !CODICE_FISCALE_PATTERN.test(billing.codiceFiscale) && !isValidPartitaIva(billing.codiceFiscale)) {
+        return { error: 'Fatturazione: codice fiscale non valido' };
+    }
+
+    if (isItalian && !billing.codiceFiscale && !billing.vatNumber) {
+        return { error: 'Fatturazione: indicare codice fiscale o partita IVA' };
+    }
+
+    if (billing.vatNumber && (!billing.address || !billing.city || !billing.postalCode)) {
+        return { error: 'Fatturazione: per la fattura servono indirizzo, CAP e città' };
+    }
+
+    // I metadata Stripe accettano al massimo 500 caratteri per valore
+    if (JSON.stringify(billing).length > 500) {
+        return { error: 'Fatturazione: dati troppo lunghi' };
+    }
+
+    return { billing };
+}
+
+function getInvoicingConfig() {
+    return getServiceCatalog().invoicing || { vatRate: 0, pricesIncludeVat: true, seller: { name: 'Valentin Procida' } };
+}
+
+/**
+ * Scorporo dell'IVA da un importo lordo (prezzi IVA inclusa) in centesimi
+ */
+function calculateVatBreakdown(grossAmount, vatRate) {
+    const netAmount = Math.round(grossAmount * 100 / (100 + vatRate));
+    return { netAmount, vatAmount: grossAmount - netAmount, grossAmount, vatRate };
+}
+
+/**
+ * Emette il documento di un pagamento della prenotazione (uno solo per pagamento): di default quello
+ * iniziale, cioè l'intero importo oppure l'acconto; il saldo passa paymentIntentId, amount e kind.
+ * È sincrona: lettura del numero successivo e scrittura avvengono senza await in mezzo.
+ */
+function issueInvoiceForBooking(booking, {
+    paymentIntentId = booking.paymentIntent,
+    amount = booking.depositAmount || booking.amount,
+    kind = booking.depositAmount ? 'acconto' : 'totale'
+} = {}) {
+    const existing = invoiceStore.values().find(invoice => invoice.paymentIntentId === paymentIntentId);
+    if (existing) return existing;
+
+    const config = getInvoicingConfig();
+    const issuedAt = new Date();
+    const year = getZonedParts(issuedAt, getBusinessTimeZone()).year;
+    const sequence = invoiceStore.values()
+        .filter(invoice => invoice.year === year)
+        .reduce((max, invoice) => Math.max(max, invoice.sequence), 0) + 1;
+
+    const service = getService(booking.serviceId) || getService();
+    const appointment = describeAppointmentTimes(booking);
+    const discountAmount = booking.discount ? booking.discount.discountAmount || 0 : 0;
+    const billing = booking.billing || null;
+
+    const prefix = { acconto: 'Acconto su ', saldo: 'Saldo di ' }[kind] || '';
+
+    const id = `${year}-${String(sequence).padStart(4, '0')}`;
+    const invoice = invoiceStore.put(id, {
+        id,
+        number: `${year}/${String(sequence).padStart(4, '0')}`,
+        year,
+        sequence,
+        documentType: billing && billing.vatNumber ? 'fattura' : 'ricevuta',
+        issuedAt: issuedAt.toISOString(),
+        bookingId: booking.id,
+        paymentIntentId,
+        kind,
+        currency: booking.currency || getDefaultCurrency(),
+        seller: config.seller,
+        customer: {
+            name: billing ? billing.name : booking.customerName,
+            email: booking.customerEmail,
+            ...(billing || {})
+        },
+        // Per acconto e saldo lo sconto è già compreso nel totale della prenotazione
+        items: [{
+            description: `${prefix}${service.name} (${getBookingDuration(booking)} minuti)${appointment ? ` - ${appointment.business.date}, ${appointment.business.time}` : ''}`,
+            quantity: 1,
+            grossAmount: kind === 'totale' ? amount + discountAmount : amount
+        }],
+        discount: booking.discount && kind === 'totale' ? { code: booking.discount.code, amount: discountAmount } : null,
+        giftVoucher: kind === 'totale' ? booking.giftVoucher || null : null,
+        totals: calculateVatBreakdown(amount, config.vatRate || 0),
+        vatExemptionNote: config.vatRate ? '' : (config.vatExemptionNote || '')
+    });
+
+    console.log(`🧾 ${invoice.documentType === 'fattura' ? 'Fattura' : 'Ricevuta'} ${invoice.number} emessa per ${booking.id}`);
+    return invoice;
 }
 
-function createAdminNotificationTemplate(bookingData) {
-    const date = new Date(bookingData.appointmentDate || new Date());
-    const formattedDate = date.toLocaleDateString('it-IT', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
+/**
+ * PDF del documento (A4) come Buffer
+ */
+function generateInvoicePdf(invoice) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${invoice.documentType} ${invoice.number}` } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const money = amount => formatMoney(amount, invoice.currency);
+        const { seller, customer, totals } = invoice;
+        const title = invoice.documentType === 'fattura' ? 'FATTURA' : 'RICEVUTA';
+        const issuedDate = new Date(invoice.issuedAt).toLocaleDateString('it-IT', { timeZone: getBusinessTimeZone() });
+
+        // Intestazione
+        doc.font('Helvetica-Bold').fontSize(18).text(seller.name);
+        doc.font('Helvetica').fontSize(9).fillColor('#555');
+        [
+            seller.address,
+            seller.vatNumber ? `P.IVA ${seller.vatNumber}` : '',
+            seller.codiceFiscale ? `C.F. ${seller.codiceFiscale}` : '',
+            seller.email,
+            seller.website
+        ].filter(Boolean).forEach(line => doc.text(line));
+
+        doc.moveDown(2).fillColor('#000');
+        doc.font('Helvetica-Bold').fontSize(14).text(`${title} N. ${invoice.number}`);
+        doc.font('Helvetica').fontSize(10).text(`Data: ${issuedDate}`);
+
+        // Cliente
+        doc.moveDown().font('Helvetica-Bold').text('Cliente');
+        doc.font('Helvetica');
+        [
+            customer.name,
+            customer.address,
+            [customer.postalCode, customer.city, customer.province ? `(${customer.province})` : ''].filter(Boolean).join(' '),
+            customer.country && customer.country !== 'IT' ? customer.country : '',
+            customer.vatNumber ? `P.IVA ${customer.vatNumber}` : '',
+            customer.codiceFiscale ? `C.F. ${customer.codiceFiscale}` : '',
+            customer.sdiCode ? `Codice destinatario: ${customer.sdiCode}` : '',
+            customer.pec ? `PEC: ${customer.pec}` : '',
+            customer.email
+        ].filter(Boolean).forEach(line => doc.text(line));
+
+        // Righe
+        doc.moveDown(2);
+        const tableTop = doc.y;
+        doc.font('Helvetica-Bold').text('Descrizione', 50, tableTop).text('Importo', 400, tableTop, { width: 145, align: 'right' });
+        doc.moveTo(50, doc.y + 4).lineTo(545, doc.y + 4).stroke();
+        doc.moveDown();
+
+        doc.font('Helvetica');
+        invoice.items.forEach(item => {
+            const rowTop = doc.y;
+            doc.text(item.description, 50, rowTop, { width: 340 });
+            const rowBottom = doc.y;
+            doc.text(money(item.grossAmount), 400, rowTop, { width: 145, align: 'right' });
+            doc.y = rowBottom;
+        });
+
+        if (invoice.discount) {
+            const rowTop = doc.y;
+            doc.text(`Sconto (${invoice.discount.code})`, 50, rowTop, { width: 340 });
+            doc.text(`-${money(invoice.discount.amount)}`, 400, rowTop, { width: 145, align: 'right' });
+        }
+
+        // Riepilogo IVA
+        doc.moveDown(2);
+        const summaryRows = [
+            ['Imponibile', money(totals.netAmount)],
+            [totals.vatRate ? `IVA ${totals.vatRate}%` : 'IVA', money(totals.vatAmount)],
+            ['Totale', money(totals.grossAmount)]
+        ];
+        summaryRows.forEach(([label, value], index) => {
+            const rowTop = doc.y;
+            doc.font(index === summaryRows.length - 1 ? 'Helvetica-Bold' : 'Helvetica');
+            doc.text(label, 300, rowTop, { width: 100 }).text(value, 400, rowTop, { width: 145, align: 'right' });
+        });
+
+        doc.moveDown(2).font('Helvetica').fontSize(9).fillColor('#555');
+        if (invoice.giftVoucher) {
+            doc.text(`Pagato con buono regalo ${invoice.giftVoucher.code}: ${money(invoice.giftVoucher.amount)}`, 50);
+        }
+        if (!invoice.giftVoucher || invoice.giftVoucher.amount < totals.grossAmount) {
+            doc.text(`Pagamento ricevuto con carta tramite Stripe (rif. ${invoice.paymentIntentId})`, 50);
+        }
+        if (invoice.kind === 'acconto') {
+            doc.moveDown().text('Il saldo sarà documentato al momento del pagamento.', 50);
+        }
+        if (invoice.vatExemptionNote) {
+            doc.moveDown().text(invoice.vatExemptionNote, 50);
+        }
+        if (invoice.documentType === 'fattura') {
+            doc.moveDown().text('Copia di cortesia: il documento fiscale è quello trasmesso tramite SdI.', 50);
+        }
+
+        doc.end();
+    });
+}
+
+/**
+ * Allegato PDF del documento per le email
+ */
+async function createInvoiceAttachment(invoice) {
+    try {
+        return {
+            filename: `${invoice.documentType}-${invoice.id}.pdf`,
+            content: await generateInvoicePdf(invoice),
+            contentType: 'application/pdf'
+        };
+    } catch (error) {
+        console.error(`❌ Errore generazione PDF ${invoice.number}:`, error.message);
+        return null;
+    }
+}
+
+// ===== LINK FIRMATI E POLICY DI CANCELLAZIONE =====
+// I link nelle email contengono un token firmato con HMAC (BOOKING_LINK_SECRET)
+// che identifica la prenotazione e scade all'inizio dell'appuntamento.
+const BOOKING_MANAGE_URL = process.env.BOOKING_MANAGE_URL || 'https://www.valentinprocida.it/manage-booking.html';
+
+function signTokenPayload(encodedPayload) {
+    return crypto.createHmac('sha256', process.env.BOOKING_LINK_SECRET).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Crea un token firmato con scopo e scadenza (expiresAt come Date)
+ */
+function createSignedToken(purpose, data, expiresAt) {
+    const encodedPayload = Buffer.from(JSON.stringify({ ...data, purpose, exp: expiresAt.getTime() })).toString('base64url');
+    return `${encodedPayload}.${signTokenPayload(encodedPayload)}`;
+}
+
+/**
+ * Verifica firma, scopo e scadenza di un token; restituisce il payload oppure un errore
+ */
+function readSignedToken(token, purpose) {
+    if (!process.env.BOOKING_LINK_SECRET) {
+        return { valid: false, error: 'Link firmati non configurati' };
+    }
+
+    const [encodedPayload, signature] = String(token || '').split('.');
+    if (!encodedPayload || !signature) {
+        return { valid: false, error: 'Link non valido' };
+    }
+
+    const expected = Buffer.from(signTokenPayload(encodedPayload));
+    const provided = Buffer.from(signature);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return { valid: false, error: 'Link non valido' };
+    }
+
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    if (payload.purpose !== purpose) {
+        return { valid: false, error: 'Link non valido' };
+    }
+    if (Date.now() > payload.exp) {
+        return { valid: false, error: 'Link scaduto' };
+    }
+
+    return { valid: true, payload };
+}
+
+/**
+ * Link per annullare o spostare una prenotazione; null se BOOKING_LINK_SECRET non è configurato
+ */
+function createBookingManageLinks(bookingData) {
+    const bookingId = bookingData.bookingId || bookingData.id || bookingData.paymentIntent;
+    if (!process.env.BOOKING_LINK_SECRET || !bookingId || !describeAppointmentTimes(bookingData)) {
+        return null;
+    }
+
+    const token = createSignedToken('manage-booking', { bookingId }, getAppointmentStart(bookingData));
+    const baseUrl = `${BOOKING_MANAGE_URL}?booking=${encodeURIComponent(bookingId)}&token=${encodeURIComponent(token)}`;
+
+    return {
+        token,
+        cancelUrl: `${baseUrl}&action=cancel`,
+        rescheduleUrl: `${baseUrl}&action=reschedule`
+    };
+}
+
+function getCancellationPolicy(booking) {
+    const service = getService(booking.serviceId) || getService();
+    return { ...getServiceCatalog().cancellationPolicy, ...(service.cancellationPolicy || {}) };
+}
+
+/**
+ * Applica la policy di cancellazione: rimborso spettante e possibilità di spostare l'appuntamento
+ */
+function evaluateCancellationPolicy(booking, now = new Date()) {
+    const policy = getCancellationPolicy(booking);
+    const hoursBefore = (getAppointmentStart(booking).getTime() - now.getTime()) / (60 * 60 * 1000);
+
+    const tier = (policy.refundTiers || [])
+        .filter(refundTier => hoursBefore >= refundTier.minHoursBefore)
+        .sort((a, b) => b.refundPercent - a.refundPercent)[0];
+    const refundPercent = tier ? tier.refundPercent : 0;
+
+    const rescheduleCount = booking.rescheduleCount || 0;
+    const maxReschedules = policy.maxReschedules === undefined ? Infinity : policy.maxReschedules;
+
+    return {
+        hoursBefore: Math.round(hoursBefore * 10) / 10,
+        canCancel: booking.status === 'Confermata' && hoursBefore > 0,
+        refundPercent,
+        refundAmount: Math.round(getBookingAmountPaid(booking) * refundPercent / 100),
+        canReschedule: booking.status === 'Confermata' &&
+            hoursBefore >= (policy.rescheduleMinHoursBefore || 0) &&
+            rescheduleCount < maxReschedules,
+        rescheduleMinHoursBefore: policy.rescheduleMinHoursBefore || 0,
+        reschedulesLeft: Math.max(0, maxReschedules - rescheduleCount)
+    };
+}
+
+// ===== ACCONTO E SALDO =====
+// Alla prenotazione il cliente può versare solo un acconto (depositPolicy in services.json) e
+// pagare il saldo in seguito dal link nelle email, tramite Stripe Checkout. Se il saldo manca
+// ancora a balanceReminderHoursBefore ore dall'appuntamento parte un promemoria.
+const BALANCE_PAYMENT_URL = process.env.BALANCE_PAYMENT_URL || 'https://www.valentinprocida.it/pay-balance.html';
+let balanceRemindersRunning = false;
+
+function getDepositPolicy(service) {
+    return { ...getServiceCatalog().depositPolicy, ...(service.depositPolicy || {}) };
+}
+
+/**
+ * Divide un importo (già scontato) in acconto e saldo. Restituisce { depositAmount, balanceAmount } oppure { error }.
+ */
+function calculateDeposit(service, totalAmount, appointmentStart, now = new Date()) {
+    const policy = getDepositPolicy(service);
+    if (!policy.enabled || !(policy.percent > 0 && policy.percent < 100)) {
+        return { error: 'Il pagamento con acconto non è disponibile per questo servizio' };
+    }
+
+    const hoursBefore = (appointmentStart.getTime() - now.getTime()) / (60 * 60 * 1000);
+    if (hoursBefore < (policy.minHoursBeforeAppointment || 0)) {
+        return { error: `L'acconto è disponibile solo per appuntamenti tra almeno ${policy.minHoursBeforeAppointment} ore` };
+    }
+
+    const depositAmount = Math.round(totalAmount * policy.percent / 100);
+    const balanceAmount = totalAmount - depositAmount;
+
+    // Stripe non accetta addebiti sotto i 50 centesimi
+    if (depositAmount < 50 || balanceAmount < 50) {
+        return { error: 'Importo troppo basso per il pagamento con acconto' };
+    }
+
+    return { percent: policy.percent, depositAmount, balanceAmount };
+}
+
+/**
+ * Quanto il cliente ha effettivamente versato (le prenotazioni precedenti agli acconti non hanno amountPaid)
+ */
+function getBookingAmountPaid(booking) {
+    return booking.amountPaid === undefined ? booking.amount || 0 : booking.amountPaid;
+}
+
+/**
+ * Stato del pagamento in forma leggibile, per il foglio e le notifiche admin
+ */
+function describePaymentState(booking) {
+    if (booking.balanceDue > 0) {
+        return `Acconto ${formatMoney(getBookingAmountPaid(booking), booking.currency)} - saldo ${formatMoney(booking.balanceDue, booking.currency)} da pagare`;
+    }
+    if (booking.giftVoucher) {
+        return `Pagato (buono ${booking.giftVoucher.code}: ${formatMoney(booking.giftVoucher.amount, booking.currency)})`;
+    }
+    return booking.depositAmount ? 'Saldato (acconto + saldo)' : 'Pagato';
+}
+
+/**
+ * Link alla pagina di pagamento del saldo: usa lo stesso token firmato dei link di gestione
+ */
+function createBalancePaymentUrl(bookingData) {
+    const links = createBookingManageLinks(bookingData);
+    if (!links) return null;
+
+    const bookingId = bookingData.bookingId || bookingData.id || bookingData.paymentIntent;
+    return `${BALANCE_PAYMENT_URL}?booking=${encodeURIComponent(bookingId)}&token=${encodeURIComponent(links.token)}`;
+}
+
+/**
+ * Prenotazione a cui appartiene un pagamento: quello iniziale (che ne è la chiave) oppure il saldo
+ */
+function findBookingByPaymentIntent(paymentIntentId) {
+    return bookingStore.get(paymentIntentId) ||
+        bookingStore.values().find(booking => booking.balancePaymentIntent === paymentIntentId) || null;
+}
+
+/**
+ * Rimborsa un importo ripartendolo sui pagamenti della prenotazione, a partire dal saldo
+ */
+async function refundBookingPayments(booking, amount, { idempotencyKey, metadata }) {
+    const balancePaid = booking.balancePaymentIntent ? booking.balanceAmountPaid || 0 : 0;
+    const payments = [
+        { paymentIntent: booking.balancePaymentIntent, amount: balancePaid, idempotencyKey: `${idempotencyKey}-saldo` },
+        { paymentIntent: booking.paymentIntent, amount: getBookingAmountPaid(booking) - balancePaid, idempotencyKey }
+    ];
+
+    const refunds = [];
+    let remaining = amount;
+
+    for (const payment of payments) {
+        const refundAmount = Math.min(remaining, payment.amount);
+        if (!payment.paymentIntent || refundAmount <= 0) continue;
+
+        const refund = await stripe.refunds.create({
+            payment_intent: payment.paymentIntent,
+            amount: refundAmount,
+            metadata
+        }, {
+            idempotencyKey: payment.idempotencyKey
+        });
+        refunds.push(refund);
+        remaining -= refund.amount;
+    }
+
+    return refunds;
+}
+
+/**
+ * Registra il pagamento del saldo (webhook payment_intent.succeeded o checkout.session.completed).
+ * Idempotente; un saldo arrivato quando non è più dovuto viene rimborsato.
+ */
+async function recordBalancePayment(paymentIntent) {
+    const booking = bookingStore.get(paymentIntent.metadata.bookingId);
+    if (!booking) {
+        console.warn(`⚠️ Saldo ${paymentIntent.id}: prenotazione ${paymentIntent.metadata.bookingId} non trovata`);
+        return null;
+    }
+
+    if (booking.balancePaymentIntent === paymentIntent.id) return booking;
+
+    if (paymentIntent.status !== 'succeeded' || paymentIntent.currency !== booking.currency) {
+        console.error(`❌ Saldo ${paymentIntent.id} non registrato (stato: ${paymentIntent.status}, valuta: ${paymentIntent.currency})`);
+        return null;
+    }
+
+    // Saldo pagato due volte o prenotazione non più attiva: il pagamento viene restituito
+    if (!(booking.balanceDue > 0) || booking.status !== 'Confermata') {
+        const refund = await stripe.refunds.create({
+            payment_intent: paymentIntent.id,
+            metadata: { bookingId: booking.id, reason: 'balance_not_due' }
+        }, {
+            idempotencyKey: `balance-not-due-${paymentIntent.id}`
+        });
+        console.warn(`⚠️ Saldo ${paymentIntent.id} non dovuto per ${booking.id} (stato: ${booking.status}) - rimborso ${refund.id}`);
+        return booking;
+    }
+
+    const received = paymentIntent.amount_received;
+    const amountPaid = getBookingAmountPaid(booking) + received;
+    const updatedBooking = updateBooking(booking.id, {
+        amountPaid,
+        balanceDue: Math.max(0, booking.amount - amountPaid),
+        paymentStatus: amountPaid >= booking.amount ? 'Saldato' : 'Acconto versato',
+        balancePaymentIntent: paymentIntent.id,
+        balanceAmountPaid: received,
+        balancePaidAt: new Date().toISOString()
+    });
+
+    console.log(`💶 Saldo di ${formatMoney(received, booking.currency)} ricevuto per ${booking.id}`);
+
+    // Prenotazione saldata: l'evasione assegna l'eventuale premio referral rimasto in sospeso
+    if (updatedBooking.balanceDue === 0) {
+        try {
+            await fulfillBooking({ ...updatedBooking }, { source: 'balance' });
+        } catch (error) {
+            console.error(`❌ Errore nell'evasione dopo il saldo di ${booking.id}:`, error.message);
+        }
+    }
+
+    const invoice = issueInvoiceForBooking(updatedBooking, { paymentIntentId: paymentIntent.id, amount: received, kind: 'saldo' });
+
+    if (resend) {
+        try {
+            await sendEmail({
+                to: updatedBooking.customerEmail,
+                subject: '✅ Saldo Ricevuto - Consulenza VFX - Valentin Procida',
+                html: createBalancePaidTemplate(updatedBooking, received),
+                attachments: [await createInvoiceAttachment(invoice)]
+            });
+
+            if (process.env.ADMIN_EMAIL) {
+                await sendEmail({
+                    to: process.env.ADMIN_EMAIL,
+                    subject: `💶 Saldo ricevuto: ${updatedBooking.customerName} - ${updatedBooking.appointmentDate}`,
+                    html: createAdminBookingChangeTemplate(updatedBooking, 'Saldo Ricevuto', {
+                        'Importo': formatMoney(received, updatedBooking.currency),
+                        'Pagamento': describePaymentState(updatedBooking),
+                        'ID Stripe saldo': paymentIntent.id
+                    })
+                });
+            }
+        } catch (emailError) {
+            console.error('Errore invio email saldo:', emailError);
+        }
+    }
+
+    return updatedBooking;
+}
+
+/**
+ * Promemoria (uno per prenotazione) per i saldi ancora da pagare a ridosso dell'appuntamento
+ */
+async function sendBalanceReminders() {
+    if (!resend || balanceRemindersRunning) return;
+
+    balanceRemindersRunning = true;
+    try {
+        const now = Date.now();
+        const due = bookingStore.values().filter(booking => {
+            if (booking.status !== 'Confermata' || !(booking.balanceDue > 0) || booking.balanceReminderSentAt) return false;
+
+            const policy = getDepositPolicy(getService(booking.serviceId) || getService());
+            const hoursBefore = (getAppointmentStart(booking).getTime() - now) / (60 * 60 * 1000);
+            return hoursBefore > 0 && hoursBefore <= (policy.balanceReminderHoursBefore || 48);
+        });
+
+        for (const booking of due) {
+            const paymentUrl = createBalancePaymentUrl(booking);
+            if (!paymentUrl) {
+                console.warn(`⚠️ Promemoria saldo per ${booking.id} non inviato: BOOKING_LINK_SECRET non configurato`);
+                continue;
+            }
+
+            try {
+                await sendEmail({
+                    to: booking.customerEmail,
+                    subject: '⏰ Promemoria Saldo - Consulenza VFX - Valentin Procida',
+                    html: createBalanceReminderTemplate(booking, paymentUrl)
+                });
+                updateBooking(booking.id, { balanceReminderSentAt: new Date().toISOString() });
+                console.log(`⏰ Promemoria saldo inviato per ${booking.id} (${formatMoney(booking.balanceDue, booking.currency)})`);
+            } catch (error) {
+                console.error(`❌ Promemoria saldo per ${booking.id} non inviato:`, error.message);
+            }
+        }
+    } finally {
+        balanceRemindersRunning = false;
+    }
+}
+
+// ===== BUONI REGALO =====
+// Un buono regalo si acquista con Stripe Checkout e ha un saldo in denaro nella valuta di acquisto.
+// Si usa come mezzo di pagamento in create-payment-intent: l'importo viene riservato insieme al
+// blocco dello slot e scalato solo quando la prenotazione viene evasa; il saldo residuo resta
+// disponibile per le prenotazioni successive fino alla scadenza.
+const voucherStore = new JournalStore('gift-vouchers');
+const GIFT_VOUCHER_SUCCESS_URL = process.env.GIFT_VOUCHER_SUCCESS_URL || 'https://www.valentinprocida.it/gift-success.html';
+const GIFT_VOUCHER_CANCEL_URL = process.env.GIFT_VOUCHER_CANCEL_URL || 'https://www.valentinprocida.it/gift.html';
+const GIFT_VOUCHER_MAX_DELIVERY_ATTEMPTS = 10;
+
+function getGiftVoucherConfig() {
+    return { validityMonths: 12, minAmount: 2500, maxAmount: 50000, ...getServiceCatalog().giftVouchers };
+}
+
+function normalizeGiftVoucherCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Importo del buono non ancora impegnato da pagamenti in corso (le riserve seguono il blocco dello slot)
+ */
+function getAvailableVoucherBalance(voucher) {
+    const reserved = (voucher.reservations || [])
+        .filter(reservation => {
+            const hold = holdStore.get(reservation.holdId);
+            return hold && isHoldActive(hold);
+        })
+        .reduce((total, reservation) => total + reservation.amount, 0);
+
+    return Math.max(0, voucher.balance - reserved);
+}
+
+/**
+ * Controlla che un buono sia utilizzabile per un pagamento in una certa valuta.
+ * Restituisce { voucher, available } oppure { error, code }.
+ */
+function checkGiftVoucher(code, currency) {
+    const voucher = voucherStore.get(normalizeGiftVoucherCode(code));
+
+    if (!voucher) {
+        return { error: 'Buono regalo non valido', code: 'VOUCHER_NOT_FOUND' };
+    }
+    if (new Date(voucher.expiresAt) < new Date()) {
+        return { error: 'Buono regalo scaduto', code: 'VOUCHER_EXPIRED' };
+    }
+    if (voucher.currency !== currency) {
+        return { error: `Il buono regalo è in ${voucher.currency.toUpperCase()}: scegli questa valuta per usarlo`, code: 'VOUCHER_CURRENCY_MISMATCH' };
+    }
+
+    const available = getAvailableVoucherBalance(voucher);
+    if (available <= 0) {
+        return { error: 'Buono regalo esaurito', code: 'VOUCHER_EXHAUSTED' };
+    }
+
+    return { voucher, available };
+}
+
+/**
+ * Riserva parte del saldo per un pagamento in corso, legandola al blocco dello slot.
+ * Sincrona come createSlotHold, così due pagamenti concorrenti non possono spendere lo stesso saldo.
+ */
+function reserveGiftVoucher(code, holdId, amount) {
+    const voucher = voucherStore.get(normalizeGiftVoucherCode(code));
+
+    const reservations = (voucher.reservations || []).filter(reservation => {
+        const hold = holdStore.get(reservation.holdId);
+        return hold && isHoldActive(hold);
+    });
+
+    return voucherStore.put(voucher.code, {
+        ...voucher,
+        reservations: [...reservations, { holdId, amount, createdAt: new Date().toISOString() }]
+    });
+}
+
+/**
+ * Scala dal buono l'importo usato per una prenotazione (una sola volta per prenotazione)
+ */
+function redeemGiftVoucher(code, { bookingId, holdId, amount }) {
+    const voucher = voucherStore.get(normalizeGiftVoucherCode(code));
+    if (!voucher) {
+        console.error(`❌ Buono ${code} non trovato: utilizzo per ${bookingId} non registrato`);
+        return null;
+    }
+
+    if ((voucher.redemptions || []).some(redemption => redemption.bookingId === bookingId)) {
+        return voucher;
+    }
+
+    // Riserva scaduta e saldo nel frattempo usato altrove: si registra quanto resta
+    if (amount > voucher.balance) {
+        console.warn(`⚠️ Buono ${voucher.code}: richiesti ${amount}, saldo ${voucher.balance}`);
+    }
+    const redeemed = Math.min(amount, voucher.balance);
+
+    const updated = voucherStore.put(voucher.code, {
+        ...voucher,
+        balance: voucher.balance - redeemed,
+        reservations: (voucher.reservations || []).filter(reservation => reservation.holdId !== holdId),
+        redemptions: [...(voucher.redemptions || []), { bookingId, amount: redeemed, redeemedAt: new Date().toISOString() }],
+        updatedAt: new Date().toISOString()
+    });
+
+    console.log(`🎁 Buono ${voucher.code}: usati ${formatMoney(redeemed, voucher.currency)}, residuo ${formatMoney(updated.balance, voucher.currency)}`);
+    return updated;
+}
+
+/**
+ * Riaccredita sul buono la quota di una prenotazione annullata, in proporzione al rimborso previsto
+ */
+function restoreGiftVoucherBalance(booking, refundPercent) {
+    if (!booking.giftVoucher || refundPercent <= 0) return 0;
+
+    const voucher = voucherStore.get(booking.giftVoucher.code);
+    if (!voucher || (voucher.redemptions || []).some(redemption => redemption.bookingId === booking.id && redemption.amount < 0)) {
+        return 0;
+    }
+
+    const amount = Math.round(booking.giftVoucher.amount * refundPercent / 100);
+    voucherStore.put(voucher.code, {
+        ...voucher,
+        balance: voucher.balance + amount,
+        redemptions: [...(voucher.redemptions || []), { bookingId: booking.id, amount: -amount, redeemedAt: new Date().toISOString() }],
+        updatedAt: new Date().toISOString()
+    });
+
+    console.log(`🎁 Buono ${voucher.code}: riaccreditati ${formatMoney(amount, voucher.currency)} (${booking.id} annullata)`);
+    return amount;
+}
+
+/**
+ * Crea il buono dopo il pagamento (webhook payment_intent.succeeded o checkout.session.completed)
+ * e lo invia al destinatario. Idempotente: un pagamento genera un solo buono.
+ */
+async function issueGiftVoucher(paymentIntent) {
+    const existing = voucherStore.values().find(voucher => voucher.paymentIntentId === paymentIntent.id);
+    if (existing) return existing;
+
+    const metadata = paymentIntent.metadata;
+    if (paymentIntent.status !== 'succeeded' || paymentIntent.amount_received !== parseInt(metadata.amount)) {
+        console.error(`❌ Buono regalo non emesso per ${paymentIntent.id}: pagamento non valido`);
+        return null;
+    }
+
+    const config = getGiftVoucherConfig();
+    const now = new Date();
+    const expiresAt = new Date(now);
+    expiresAt.setMonth(expiresAt.getMonth() + config.validityMonths);
+
+    const code = codeGenerator.generateVoucherCode();
+    const voucher = voucherStore.put(code, {
+        code,
+        initialAmount: paymentIntent.amount_received,
+        balance: paymentIntent.amount_received,
+        currency: paymentIntent.currency,
+        serviceId: metadata.serviceId || null,
+        purchaserName: metadata.purchaserName,
+        purchaserEmail: metadata.purchaserEmail,
+        recipientName: metadata.recipientName,
+        recipientEmail: metadata.recipientEmail,
+        message: metadata.message || '',
+        paymentIntentId: paymentIntent.id,
+        reservations: [],
+        redemptions: [],
+        createdAt: now.toISOString(),
+        expiresAt: expiresAt.toISOString()
+    });
+
+    console.log(`🎁 Buono regalo ${code} da ${formatMoney(voucher.initialAmount, voucher.currency)} emesso per ${voucher.recipientEmail}`);
+
+    await deliverGiftVoucher(voucher);
+    return voucherStore.get(code);
+}
+
+/**
+ * Invia il buono al destinatario e, alla prima consegna, la conferma all'acquirente.
+ * Il buono è consegnato (deliveredAt) quando il destinatario ha ricevuto il codice; se l'invio
+ * fallisce lo ritenta retryUndeliveredGiftVouchers, oppure l'admin da /api/admin/gift-vouchers/:code/resend.
+ */
+async function deliverGiftVoucher(voucher) {
+    if (!resend) return false;
+
+    try {
+        await sendEmail({
+            to: voucher.recipientEmail,
+            subject: `🎁 ${voucher.purchaserName} ti ha regalato una consulenza VFX - Valentin Procida`,
+            html: createGiftVoucherTemplate(voucher)
+        });
+    } catch (emailError) {
+        console.error(`Errore invio email buono regalo ${voucher.code}:`, emailError);
+        voucherStore.update(voucher.code, {
+            deliveryAttempts: (voucher.deliveryAttempts || 0) + 1,
+            lastDeliveryError: emailError.message || String(emailError)
+        });
+        return false;
+    }
+
+    const firstDelivery = !voucher.deliveredAt;
+    voucherStore.update(voucher.code, {
+        deliveredAt: new Date().toISOString(),
+        deliveryAttempts: (voucher.deliveryAttempts || 0) + 1,
+        lastDeliveryError: null
+    });
+
+    if (firstDelivery) {
+        try {
+            await sendEmail({
+                to: voucher.purchaserEmail,
+                subject: '🎁 Buono regalo inviato - Valentin Procida',
+                html: createGiftVoucherTemplate(voucher, { forPurchaser: true })
+            });
+        } catch (emailError) {
+            console.error(`Errore invio conferma buono regalo ${voucher.code} all'acquirente:`, emailError);
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Ritenta l'invio dei buoni mai arrivati al destinatario (al massimo GIFT_VOUCHER_MAX_DELIVERY_ATTEMPTS volte).
+ * I buoni appena emessi si saltano: il primo invio è ancora in corso in issueGiftVoucher.
+ */
+async function retryUndeliveredGiftVouchers() {
+    const cutoff = Date.now() - 5 * 60 * 1000;
+    const undelivered = voucherStore.values().filter(voucher =>
+        !voucher.deliveredAt && new Date(voucher.createdAt).getTime() < cutoff &&
+        (voucher.deliveryAttempts || 0) < GIFT_VOUCHER_MAX_DELIVERY_ATTEMPTS);
+
+    for (const voucher of undelivered) {
+        if (await deliverGiftVoucher(voucher)) {
+            console.log(`📧 Buono regalo ${voucher.code} consegnato a ${voucher.recipientEmail} al nuovo tentativo`);
+        }
+    }
+}
+
+// ===== PROGRAMMA REFERRAL =====
+// Ogni cliente con una prenotazione confermata riceve un codice invito personale (categoria
+// 'referral', con referrerEmail). Chi prenota con quel codice ha uno sconto sulla prima consulenza;
+// quando la sua prenotazione è pagata, chi l'ha invitato riceve un codice premio personale
+// (categoria 'referral-reward', con i riferimenti dell'invito in referral).
+function getReferralConfig() {
+    return { enabled: true, friendDiscountPercent: 10, rewardPercent: 15, rewardValidityDays: 180, ...getServiceCatalog().referrals };
+}
+
+function findReferralCode(email) {
+    const referrerEmail = normalizeEmail(email);
+    return discountStore.values().find(discount => discount.category === 'referral' && discount.referrerEmail === referrerEmail) || null;
+}
+
+/**
+ * Codice invito del cliente: creato alla prima prenotazione confermata, poi sempre lo stesso
+ */
+function ensureReferralCode(email, name) {
+    const existing = findReferralCode(email);
+    if (existing) return existing;
+
+    const config = getReferralConfig();
+    const created = codeGenerator.createDiscountCode({
+        category: 'referral',
+        customCode: codeGenerator.generatePersonalCode('FRIEND'),
+        description: `Invito di ${name || email} - Sconto ${config.friendDiscountPercent}%`,
+        type: 'percentage',
+        value: config.friendDiscountPercent,
+        maxUses: null,
+        rules: { firstBookingOnly: true, maxUsesPerCustomer: 1 }
+    });
+
+    console.log(`🤝 Codice invito ${created.code} creato per ${email}`);
+    return discountStore.update(created.code, { referrerEmail: normalizeEmail(email), referrerName: name || null });
+}
+
+/**
+ * Codice premio per chi ha invitato il cliente della prenotazione (uno solo per prenotazione)
+ */
+function issueReferralReward(referralCode, booking) {
+    const existing = discountStore.values().find(discount =>
+        discount.category === 'referral-reward' && discount.referral.bookingId === booking.id);
+    if (existing) return existing;
+
+    const config = getReferralConfig();
+    const reward = codeGenerator.createDiscountCode({
+        category: 'referral-reward',
+        customCode: codeGenerator.generatePersonalCode('REWARD'),
+        description: `Premio invito - Sconto ${config.rewardPercent}%`,
+        type: 'percentage',
+        value: config.rewardPercent,
+        maxUses: 1,
+        validUntil: new Date(Date.now() + config.rewardValidityDays * 24 * 60 * 60 * 1000),
+        assignedTo: referralCode.referrerEmail
+    });
+
+    console.log(`🎁 Codice premio ${reward.code} per ${referralCode.referrerEmail} (invito di ${booking.customerEmail})`);
+    return discountStore.update(reward.code, {
+        referral: { code: referralCode.code, bookingId: booking.id, friendEmail: normalizeEmail(booking.customerEmail) }
+    });
+}
+
+/**
+ * Disattiva il premio legato a una prenotazione rimborsata, contestata o annullata:
+ * l'invito non si è concluso. Un premio già usato non si può più ritirare e viene solo segnalato.
+ */
+function revokeReferralReward(bookingId, reason) {
+    const reward = discountStore.values().find(discount =>
+        discount.category === 'referral-reward' && discount.referral.bookingId === bookingId);
+    if (!reward || reward.revokedAt) return null;
+
+    if (reward.usedCount > 0) {
+        console.warn(`⚠️ Codice premio ${reward.code} già utilizzato: non più revocabile (${reason})`);
+        return reward;
+    }
+
+    console.log(`↩️ Codice premio ${reward.code} revocato: ${reason}`);
+    return discountStore.update(reward.code, { active: false, revokedAt: new Date().toISOString(), revokedReason: reason });
+}
+
+/**
+ * Riattiva il premio revocato da revokeReferralReward (contestazione vinta)
+ */
+function restoreReferralReward(bookingId) {
+    const reward = discountStore.values().find(discount =>
+        discount.category === 'referral-reward' && discount.referral.bookingId === bookingId);
+    if (!reward || !reward.revokedAt) return null;
+
+    console.log(`↪️ Codice premio ${reward.code} riattivato`);
+    return discountStore.update(reward.code, { active: true, revokedAt: null, revokedReason: null });
+}
+
+/**
+ * Inviti di un cliente: prenotazioni pagate con il suo codice, premi ricevuti e, ricorsivamente,
+ * gli inviti dei clienti che ha portato
+ */
+function buildReferralChain(referralCode, visited = new Set()) {
+    visited.add(referralCode.code);
+
+    const rewards = discountStore.values().filter(discount =>
+        discount.category === 'referral-reward' && discount.referral.code === referralCode.code);
+
+    const conversions = referralCode.redemptions
+        .filter(redemption => !redemption.rolledBackAt)
+        .map(redemption => {
+            const friendCode = findReferralCode(redemption.customerEmail);
+            const reward = rewards.find(candidate => candidate.referral.bookingId === redemption.bookingId);
+            return {
+                friendEmail: redemption.customerEmail,
+                bookingId: redemption.bookingId,
+                convertedAt: redemption.redeemedAt,
+                rewardCode: reward ? reward.code : null,
+                rewardUsed: reward ? reward.usedCount > 0 : false,
+                rewardRevoked: reward ? Boolean(reward.revokedAt) : false,
+                referrals: friendCode && !visited.has(friendCode.code) ? buildReferralChain(friendCode, visited) : null
+            };
+        });
+
+    return {
+        code: referralCode.code,
+        referrerEmail: referralCode.referrerEmail,
+        referrerName: referralCode.referrerName || null,
+        createdAt: referralCode.createdAt,
+        pending: getActiveDiscountReservations(referralCode).length,
+        conversions
+    };
+}
+
+// ===== RICONCILIAZIONE STRIPE / ARCHIVIO / SHEETS =====
+// Confronta i pagamenti riusciti su Stripe (product 'vfx-consultation') con le prenotazioni
+// dell'archivio e con le righe del foglio, per scoprire pagamenti mai registrati (es. webhook
+// senza STRIPE_WEBHOOK_SECRET) e scritture su Sheets mai riuscite.
+const RECONCILIATION_LOOKBACK_DAYS = parseInt(process.env.RECONCILIATION_LOOKBACK_DAYS) || 7;
+let lastReconciliationReport = null;
+
+/**
+ * Importo che il PaymentIntent iniziale di una prenotazione doveva incassare
+ */
+function getExpectedInitialCharge(booking) {
+    if (booking.depositAmount) return booking.depositAmount;
+    return booking.amount - (booking.giftVoucher ? booking.giftVoucher.amount : 0);
+}
+
+/**
+ * Importo in centesimi da una cella del foglio ("€ 1.234,50", "$1,234.50", "100"); null se illeggibile
+ */
+function parseSheetAmount(text) {
+    const cleaned = String(text || '').replace(/[^\d.,]/g, '');
+    if (!/\d/.test(cleaned)) return null;
+
+    const decimals = cleaned.match(/^(.*)[.,](\d{2})$/);
+    const units = parseInt((decimals ? decimals[1] : cleaned).replace(/[.,]/g, '') || '0');
+    return units * 100 + (decimals ? parseInt(decimals[2]) : 0);
+}
+
+/**
+ * Righe del foglio con un PaymentID (colonna J), indicizzate per PaymentID; null se Sheets non è configurato.
+ * Struttura: [Timestamp, Nome, Email, Telefono, Azienda, Data, Orario, Prezzo, Sconto, PaymentID, Stato, Pagamento]
+ */
+async function getSheetPaymentRows() {
+    if (!sheets || !process.env.GOOGLE_SPREADSHEET_ID) return null;
+
+    const response = await sheets.spreadsheets.values.get({
+        spreadsheetId: process.env.GOOGLE_SPREADSHEET_ID,
+        range: 'Prenotazioni!A:L'
+    });
+
+    const rows = new Map();
+    // Salta la riga dell'header
+    (response.data.values || []).slice(1).forEach((row, index) => {
+        const paymentId = (row[9] || '').trim();
+        if (!paymentId) return;
+
+        rows.set(paymentId, {
+            sheetRow: index + 2,
+            // Il timestamp è scritto con toLocaleString('it-IT'), es. "18/10/2026, 17:17:17"
+            createdDate: row[0] ? convertItalianDateToISO(row[0]) : null,
+            customerEmail: row[2] || '',
+            appointmentDate: row[5] ? convertItalianDateToISO(row[5]) : null,
+            amountText: row[7] || '',
+            amount: parseSheetAmount(row[7]),
+            status: (row[10] || '').trim()
+        });
+    });
+
+    return rows;
+}
+
+/**
+ * Pagamenti riusciti delle consulenze creati nell'intervallo [from, to), con paginazione automatica
+ */
+async function listSucceededBookingPayments(from, to) {
+    const payments = [];
+
+    for await (const paymentIntent of stripe.paymentIntents.list({
+        created: { gte: Math.floor(from.getTime() / 1000), lt: Math.floor(to.getTime() / 1000) },
+        limit: 100
+    })) {
+        if (paymentIntent.status === 'succeeded' && paymentIntent.metadata.product === 'vfx-consultation') {
+            payments.push(paymentIntent);
+        }
+    }
+
+    return payments;
+}
+
+/**
+ * Confronta Stripe, archivio e foglio per il periodo indicato (date YYYY-MM-DD nel fuso dell'attività).
+ * Riporta pagamenti senza prenotazione, prenotazioni e righe del foglio senza pagamento,
+ * importi diversi (nell'archivio e nel foglio) e righe mancanti nel foglio.
+ */
+async function runReconciliation({ from, to }) {
+    const timeZone = getBusinessTimeZone();
+    const rangeStart = zonedDateTimeToInstant(from, '00:00', timeZone);
+    const rangeEnd = zonedDateTimeToInstant(addDaysToISODate(to, 1), '00:00', timeZone);
+
+    const payments = await listSucceededBookingPayments(rangeStart, rangeEnd);
+    const paymentIds = new Set(payments.map(paymentIntent => paymentIntent.id));
+    const sheetRows = await getSheetPaymentRows();
+
+    const missing = [];
+    const amountMismatches = [];
+    const sheetAmountMismatches = [];
+
+    payments.forEach(paymentIntent => {
+        const metadata = paymentIntent.metadata;
+        const booking = bookingStore.get(paymentIntent.id);
+
+        // Nel foglio la colonna Prezzo riporta il totale dopo lo sconto, anche con acconto o buono regalo
+        const sheetRow = sheetRows && sheetRows.get(paymentIntent.id);
+        const expectedSheetAmount = parseInt(metadata.finalAmount);
+        if (sheetRow && Number.isInteger(expectedSheetAmount) && sheetRow.amount !== expectedSheetAmount) {
+            sheetAmountMismatches.push({
+                paymentIntentId: paymentIntent.id,
+                sheetRow: sheetRow.sheetRow,
+                sheetAmount: sheetRow.amountText,
+                expectedAmount: expectedSheetAmount,
+                currency: paymentIntent.currency
+            });
+        }
+
+        if (!booking) {
+            // Evasione in corso in questo momento: non è un'anomalia
+            if (fulfillmentsInProgress.has(paymentIntent.id)) return;
+
+            const verificationError = verifyBookingPaymentIntent(paymentIntent);
+            missing.push({
+                paymentIntentId: paymentIntent.id,
+                amount: paymentIntent.amount_received,
+                currency: paymentIntent.currency,
+                customerEmail: metadata.email,
+                appointmentDate: metadata.appointmentDate,
+                appointmentTime: metadata.appointmentTime,
+                paidAt: new Date(paymentIntent.created * 1000).toISOString(),
+                canBackfill: !verificationError,
+                reason: verificationError ? verificationError.error : null
+            });
+            return;
+        }
+
+        // Le prenotazioni importate dal foglio non conoscono l'importo
+        if (booking.importedFromSheet) return;
+
+        const expectedAmount = getExpectedInitialCharge(booking);
+        if (paymentIntent.amount_received !== expectedAmount || paymentIntent.currency !== booking.currency) {
+            amountMismatches.push({
+                bookingId: booking.id,
+                paymentIntentId: paymentIntent.id,
+                bookingAmount: expectedAmount,
+                bookingCurrency: booking.currency,
+                stripeAmount: paymentIntent.amount_received,
+                stripeCurrency: paymentIntent.currency
+            });
+        }
+    });
+
+    // Prenotazioni registrate nel periodo (quelle importate dal foglio sono precedenti all'archivio)
+    const bookings = bookingStore.values().filter(booking => {
+        const createdAt = new Date(booking.createdAt);
+        return !booking.importedFromSheet && createdAt >= rangeStart && createdAt < rangeEnd;
+    });
+
+    const orphaned = [];
+    for (const booking of bookings) {
+        // Le prenotazioni pagate interamente con buono regalo non hanno un pagamento Stripe
+        if (paymentIds.has(booking.id) || !booking.id.startsWith('pi_')) continue;
+
+        // Il PaymentIntent può essere stato creato poco prima dell'inizio del periodo
+        let stripeStatus;
+        try {
+            const paymentIntent = await stripe.paymentIntents.retrieve(booking.id);
+            if (paymentIntent.status === 'succeeded' && paymentIntent.metadata.product === 'vfx-consultation') continue;
+            stripeStatus = paymentIntent.status;
+        } catch (error) {
+            if (error.code !== 'resource_missing') throw error;
+            stripeStatus = 'non trovato';
+        }
+
+        orphaned.push({
+            bookingId: booking.id,
+            status: booking.status,
+            customerEmail: booking.customerEmail,
+            amount: booking.amount,
+            currency: booking.currency,
+            appointmentDate: booking.appointmentDate,
+            stripeStatus
+        });
+    }
+
+    // Righe confermate del foglio, scritte nel periodo, senza un pagamento riuscito: quelle delle
+    // prenotazioni del periodo sono già controllate sopra tramite l'archivio
+    const checkedBookingIds = new Set(bookings.map(booking => booking.id));
+    const sheetOrphaned = [];
+    for (const [paymentId, row] of sheetRows || []) {
+        if (!paymentId.startsWith('pi_') || paymentIds.has(paymentId) || checkedBookingIds.has(paymentId)) continue;
+        if (row.status !== 'Confermata' || !row.createdDate || row.createdDate < from || row.createdDate > to) continue;
+
+        let stripeStatus;
+        try {
+            const paymentIntent = await stripe.paymentIntents.retrieve(paymentId);
+            if (paymentIntent.status === 'succeeded' && paymentIntent.metadata.product === 'vfx-consultation') continue;
+            stripeStatus = paymentIntent.status;
+        } catch (error) {
+            if (error.code !== 'resource_missing') throw error;
+            stripeStatus = 'non trovato';
+        }
+
+        sheetOrphaned.push({
+            paymentIntentId: paymentId,
+            sheetRow: row.sheetRow,
+            customerEmail: row.customerEmail,
+            appointmentDate: row.appointmentDate,
+            stripeStatus
+        });
+    }
+
+    const missingFromSheet = sheetRows ? bookings
+        .filter(booking => !sheetRows.has(booking.paymentIntent))
+        .map(booking => ({
+            bookingId: booking.id,
+            customerEmail: booking.customerEmail,
+            appointmentDate: booking.appointmentDate,
+            pendingSync: booking.sheetRevision !== booking.revision,
+            lastSheetSyncError: booking.lastSheetSyncError || null
+        })) : [];
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        range: { from, to, timeZone },
+        checked: { payments: payments.length, bookings: bookings.length, sheet: !!sheetRows, sheetRows: sheetRows ? sheetRows.size : 0 },
+        missing,
+        orphaned,
+        sheetOrphaned,
+        amountMismatches,
+        sheetAmountMismatches,
+        missingFromSheet,
+        issues: missing.length + orphaned.length + sheetOrphaned.length + amountMismatches.length +
+            sheetAmountMismatches.length + missingFromSheet.length
+    };
+
+    lastReconciliationReport = report;
+    console.log(`🔎 Riconciliazione ${from} → ${to}: ${payments.length} pagamenti, ${bookings.length} prenotazioni, ${report.issues} anomalie`);
+    return report;
+}
+
+/**
+ * Registra un pagamento riuscito rimasto senza prenotazione, come avrebbe fatto il webhook.
+ * Non procede se nel frattempo lo slot è stato occupato, a meno di force.
+ */
+async function backfillBookingPayment(paymentIntentId, { force = false } = {}) {
+    if (bookingStore.has(paymentIntentId)) {
+        return { paymentIntentId, result: 'already-recorded', bookingId: paymentIntentId };
+    }
+
+    let paymentIntent;
+    try {
+        paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    } catch (error) {
+        if (error.code !== 'resource_missing') throw error;
+        return { paymentIntentId, result: 'not-found', error: 'Pagamento non trovato' };
+    }
+
+    const verificationError = verifyBookingPaymentIntent(paymentIntent);
+    if (verificationError) {
+        return { paymentIntentId, result: 'invalid', error: verificationError.error };
+    }
+
+    const bookingData = bookingDataFromPaymentIntent(paymentIntent);
+    if (!force && await isSlotBooked(bookingData.appointmentDate, bookingData.appointmentTime, bookingData.durationMinutes || undefined)) {
+        return { paymentIntentId, result: 'slot-conflict', error: 'Lo slot è stato nel frattempo occupato da un\'altra prenotazione' };
+    }
+
+    const { booking } = await fulfillBooking(bookingData, { source: 'reconciliation' });
+    console.log(`🩹 Pagamento ${paymentIntentId} recuperato dalla riconciliazione`);
+    return { paymentIntentId, result: 'backfilled', bookingId: booking.id };
+}
+
+/**
+ * Riconciliazione giornaliera degli ultimi RECONCILIATION_LOOKBACK_DAYS giorni; avvisa l'admin se trova anomalie
+ */
+async function runScheduledReconciliation() {
+    if (!process.env.STRIPE_SECRET_KEY) return;
+
+    const today = getZonedParts(new Date(), getBusinessTimeZone()).date;
+
+    try {
+        const report = await runReconciliation({ from: addDaysToISODate(today, -RECONCILIATION_LOOKBACK_DAYS), to: today });
+
+        if (report.issues > 0 && resend && process.env.ADMIN_EMAIL) {
+            await sendEmail({
+                to: process.env.ADMIN_EMAIL,
+                subject: `🔎 Riconciliazione pagamenti: ${report.issues} anomalie (${report.range.from} → ${report.range.to})`,
+                html: createReconciliationReportTemplate(report)
+            });
+        }
+    } catch (error) {
+        console.error('❌ Riconciliazione pagamenti fallita:', error.message);
+    }
+}
+
+// ===== REPLICATORE GOOGLE SHEETS =====
+const SHEET_SYNC_MAX_BACKOFF_MS = 30 * 60 * 1000;
+let sheetSyncRunning = false;
+let sheetSyncScheduled = false;
+
+function getPendingSheetSyncs() {
+    return bookingStore.values().filter(booking => booking.sheetRevision !== booking.revision);
+}
+
+function scheduleSheetSync() {
+    if (sheetSyncScheduled) return;
+    sheetSyncScheduled = true;
+    setImmediate(() => {
+        sheetSyncScheduled = false;
+        runSheetReplicator();
+    });
+}
+
+/**
+ * Porta su Google Sheets tutte le prenotazioni modificate dall'ultima sincronizzazione.
+ * Gli errori non fanno perdere nulla: la prenotazione resta in coda e viene
+ * ritentata con backoff esponenziale finché la scrittura non riesce.
+ */
+async function runSheetReplicator() {
+    if (sheetSyncRunning) return;
+    if (!sheets || !process.env.GOOGLE_SPREADSHEET_ID) return;
+
+    sheetSyncRunning = true;
+    try {
+        const now = Date.now();
+        const pending = getPendingSheetSyncs().filter(booking =>
+            !booking.nextSheetSyncAt || new Date(booking.nextSheetSyncAt).getTime() <= now
+        );
+
+        for (const booking of pending) {
+            try {
+                const sheetRow = await saveBookingToGoogleSheets(booking);
+                bookingStore.update(booking.id, {
+                    sheetRow,
+                    sheetRevision: booking.revision,
+                    sheetSyncAttempts: 0,
+                    nextSheetSyncAt: null,
+                    lastSheetSyncError: null
+                });
+            } catch (error) {
+                const attempts = (booking.sheetSyncAttempts || 0) + 1;
+                const delay = Math.min(30 * 1000 * Math.pow(2, attempts - 1), SHEET_SYNC_MAX_BACKOFF_MS);
+                bookingStore.update(booking.id, {
+                    sheetSyncAttempts: attempts,
+                    nextSheetSyncAt: new Date(Date.now() + delay).toISOString(),
+                    lastSheetSyncError: error.message
+                });
+                console.error(`❌ Sincronizzazione Sheets fallita per ${booking.id} (tentativo ${attempts}, prossimo tra ${Math.round(delay / 1000)}s):`, error.message);
+            }
+        }
+    } finally {
+        sheetSyncRunning = false;
+    }
+}
+
+/**
+ * Importa nell'archivio locale le prenotazioni già presenti nel foglio (es. prima
+ * dell'introduzione dell'archivio o inserite a mano) così da non perderle.
+ */
+async function importBookingsFromGoogleSheets() {
+    if (!sheets || !process.env.GOOGLE_SPREADSHEET_ID) return 0;
+
+    try {
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId: process.env.GOOGLE_SPREADSHEET_ID,
+            range: 'Prenotazioni!A:K'
+        });
+
+        const rows = response.data.values || [];
+        let imported = 0;
+
+        // Salta la riga dell'header (prima riga)
+        rows.slice(1).forEach((row, index) => {
+            // Struttura: [Timestamp, Nome, Email, Telefono, Azienda, Data, Orario, Prezzo, Sconto, PaymentID, Stato]
+            if (row.length < 7) return;
+
+            const sheetRow = index + 2; // +2 perché spreadsheet inizia da 1 e abbiamo saltato l'header
+            const id = (row[9] || '').trim() || `sheet-row-${sheetRow}`;
+            if (bookingStore.has(id)) return;
+
+            const now = new Date().toISOString();
+            bookingStore.put(id, {
+                id,
+                customerName: row[1] || '',
+                customerEmail: row[2] || '',
+                customerPhone: row[3] || '',
+                company: row[4] || '',
+                appointmentDate: row[5] ? convertItalianDateToISO(row[5]) : null,
+                appointmentTime: row[6] ? row[6].trim() : null,
+                amount: null,
+                discount: null,
+                paymentIntent: (row[9] || '').trim() || null,
+                status: row[10] || '',
+                createdAt: now,
+                updatedAt: now,
+                revision: 1,
+                sheetRow,
+                sheetRevision: 1,
+                sheetSyncAttempts: 0,
+                nextSheetSyncAt: null,
+                lastSheetSyncError: null,
+                importedFromSheet: true
+            });
+            imported++;
+        });
+
+        console.log(`📥 Importate ${imported} prenotazioni da Google Sheets nell'archivio locale`);
+        return imported;
+
+    } catch (error) {
+        console.error('❌ Errore importazione prenotazioni da Google Sheets:', error.message);
+        return 0;
+    }
+}
+
+// ===== FUNZIONI PER GESTIRE SLOT PRENOTATI (ANTI-DOPPIE PRENOTAZIONI) =====
+
+/**
+ * Recupera tutte le prenotazioni confermate dall'archivio locale
+ */
+async function getExistingBookings() {
+    const existingBookings = bookingStore.values()
+        .filter(booking => booking.status === 'Confermata' && booking.appointmentDate && booking.appointmentTime)
+        .map(booking => ({
+            date: booking.appointmentDate,
+            time: booking.appointmentTime.trim(),
+            customerName: booking.customerName || '',
+            serviceId: booking.serviceId || getService().id,
+            durationMinutes: getBookingDuration(booking),
+            bookingId: booking.id,
+            rowIndex: booking.sheetRow
+        }));
+
+    return existingBookings;
+}
+
+/**
+ * Converte data dal formato italiano (dd/mm/yyyy) al formato ISO (yyyy-mm-dd)
+ */
+function convertItalianDateToISO(italianDate) {
+    try {
+        // Gestisce formati: "18/7/2025", "18/07/2025", "venerdì 18 luglio 2025"
+
+        // Se contiene testo (giorno della settimana), estrai solo la parte numerica
+        const dateMatch = italianDate.match(/(\d{1,2})[\s\/](\d{1,2})[\s\/](\d{4})/);
+
+        if (dateMatch) {
+            const [, day, month, year] = dateMatch;
+            return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+        }
+
+        // Prova parsing diretto
+        const parts = italianDate.split('/');
+        if (parts.length === 3) {
+            const [day, month, year] = parts;
+            return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+        }
+
+        return null;
+    } catch (error) {
+        console.error('❌ Errore conversione data:', italianDate, error);
+        return null;
+    }
+}
+
+/**
+ * Intervalli occupati (in millisecondi) da prenotazioni confermate, impegni del Google Calendar
+ * (dall'ultima lettura free/busy) e, se richiesto, da blocchi attivi.
+ * Ogni prenotazione occupa l'intera durata del proprio servizio.
+ */
+function getBusyIntervals({ includeHolds = true } = {}) {
+    const intervals = [];
+
+    bookingStore.values().forEach(booking => {
+        if (booking.status !== 'Confermata' || !booking.appointmentDate || !booking.appointmentTime) return;
+        const start = getAppointmentStart(booking).getTime();
+        intervals.push({ start, end: start + getBookingDuration(booking) * 60 * 1000, source: 'booking', id: booking.id });
+    });
+
+    intervals.push(...getCalendarBusyIntervals());
+
+    if (includeHolds) {
+        getActiveHolds().forEach(hold => {
+            const start = zonedDateTimeToInstant(hold.date, hold.time, getBusinessTimeZone()).getTime();
+            intervals.push({ start, end: start + getBookingDuration(hold) * 60 * 1000, source: 'hold', id: hold.id, email: hold.email });
+        });
+    }
+
+    return intervals;
+}
+
+function overlapsInterval(start, end, interval) {
+    return start < interval.end && interval.start < end;
+}
+
+/**
+ * Intervallo occupato da un servizio che inizia a data e orario indicati
+ */
+function getSlotInterval(date, time, durationMinutes) {
+    const start = zonedDateTimeToInstant(date, time, getBusinessTimeZone()).getTime();
+    return { start, end: start + durationMinutes * 60 * 1000 };
+}
+
+/**
+ * Controlla se uno slot è già occupato da una prenotazione confermata
+ * (anche parzialmente, per servizi di durata diversa)
+ */
+async function isSlotBooked(date, time, durationMinutes = getService().durationMinutes) {
+    await refreshCalendarBusyIntervals();
+    const { start, end } = getSlotInterval(date, time, durationMinutes);
+
+    return getBusyIntervals({ includeHolds: false }).some(interval => overlapsInterval(start, end, interval));
+}
+
+// ===== IMPEGNI DAL GOOGLE CALENDAR (FREE/BUSY) =====
+// Gli impegni personali sui calendari configurati rendono non prenotabili gli slot che
+// si sovrappongono, con un margine prima e dopo. I dati free/busy sono tenuti in cache
+// in memoria, così il controllo dentro createSlotHold resta sincrono.
+const BUSY_CALENDAR_IDS = (process.env.GOOGLE_BUSY_CALENDAR_IDS || process.env.GOOGLE_CALENDAR_ID || '')
+    .split(',').map(id => id.trim()).filter(Boolean);
+const CALENDAR_BUSY_BUFFER_BEFORE_MINUTES = parseInt(process.env.CALENDAR_BUSY_BUFFER_BEFORE_MINUTES) || 0;
+const CALENDAR_BUSY_BUFFER_AFTER_MINUTES = parseInt(process.env.CALENDAR_BUSY_BUFFER_AFTER_MINUTES) || 0;
+const CALENDAR_BUSY_CACHE_SECONDS = parseInt(process.env.CALENDAR_BUSY_CACHE_SECONDS) || 300;
+const FREEBUSY_MAX_RANGE_DAYS = 30;
+
+const calendarBusyCache = {
+    intervals: [],
+    fetchedAt: 0,
+    refreshing: null
+};
+
+/**
+ * Impegni del calendario dall'ultima lettura, già allargati con i margini
+ */
+function getCalendarBusyIntervals() {
+    const bufferBefore = CALENDAR_BUSY_BUFFER_BEFORE_MINUTES * 60 * 1000;
+    const bufferAfter = CALENDAR_BUSY_BUFFER_AFTER_MINUTES * 60 * 1000;
+
+    return removeBookingIntervals(calendarBusyCache.intervals).map(interval => ({
+        start: interval.start - bufferBefore,
+        end: interval.end + bufferAfter,
+        source: 'calendar',
+        id: `calendar:${interval.calendarId}`
+    }));
+}
+
+/**
+ * Toglie dagli impegni del calendario le parti occupate dagli eventi delle nostre prenotazioni confermate:
+ * le prenotazioni sono già considerate a parte e non devono ricevere anche i margini.
+ * Quelle annullate non si sottraggono: nello stesso orario può esserci un impegno personale.
+ * Il free/busy unisce gli eventi adiacenti, quindi si sottraggono gli intervalli invece di
+ * scartare solo quelli identici.
+ */
+function removeBookingIntervals(calendarIntervals) {
+    const bookingIntervals = bookingStore.values()
+        .filter(booking => booking.status === 'Confermata' && booking.calendarEventId && booking.appointmentDate && booking.appointmentTime)
+        .map(booking => {
+            const start = getAppointmentStart(booking).getTime();
+            return { start, end: start + getBookingDuration(booking) * 60 * 1000 };
+        });
+
+    return calendarIntervals.flatMap(interval => {
+        let pieces = [interval];
+
+        bookingIntervals.forEach(booked => {
+            pieces = pieces.flatMap(piece => {
+                if (!overlapsInterval(piece.start, piece.end, booked)) return [piece];
+                return [
+                    { ...piece, end: booked.start },
+                    { ...piece, start: booked.end }
+                ].filter(remaining => remaining.end > remaining.start);
+            });
+        });
+
+        return pieces;
+    });
+}
+
+/**
+ * Aggiorna la cache free/busy se è più vecchia di CALENDAR_BUSY_CACHE_SECONDS.
+ * In caso di errore si continua con l'ultima lettura valida.
+ */
+async function refreshCalendarBusyIntervals({ force = false } = {}) {
+    if (!calendar || BUSY_CALENDAR_IDS.length === 0) return calendarBusyCache.intervals;
+
+    const isFresh = Date.now() - calendarBusyCache.fetchedAt < CALENDAR_BUSY_CACHE_SECONDS * 1000;
+    if (isFresh && !force) return calendarBusyCache.intervals;
+
+    // Richieste concorrenti condividono la stessa lettura
+    if (!calendarBusyCache.refreshing) {
+        calendarBusyCache.refreshing = fetchCalendarBusyIntervals()
+            .then(intervals => {
+                calendarBusyCache.intervals = intervals;
+                calendarBusyCache.fetchedAt = Date.now();
+                console.log(`📅 Free/busy aggiornato: ${intervals.length} impegni su ${BUSY_CALENDAR_IDS.length} calendari`);
+            })
+            .catch(error => {
+                console.error('❌ Errore lettura free/busy Google Calendar:', error.message);
+            })
+            .finally(() => {
+                calendarBusyCache.refreshing = null;
+            });
+    }
+
+    await calendarBusyCache.refreshing;
+    return calendarBusyCache.intervals;
+}
+
+/**
+ * Forza una nuova lettura alla prossima richiesta (dopo aver modificato eventi del calendario)
+ */
+function invalidateCalendarBusyCache() {
+    calendarBusyCache.fetchedAt = 0;
+}
+
+/**
+ * Legge gli impegni da oggi fino all'orizzonte di prenotazione, a blocchi di FREEBUSY_MAX_RANGE_DAYS giorni
+ */
+async function fetchCalendarBusyIntervals() {
+    const timeMin = new Date();
+    const timeMax = new Date(timeMin.getTime() + (getAvailabilityConfig().horizonDays + 1) * 24 * 60 * 60 * 1000);
+    const intervals = [];
+
+    for (let chunkStart = timeMin; chunkStart < timeMax;) {
+        const chunkEnd = new Date(Math.min(timeMax.getTime(), chunkStart.getTime() + FREEBUSY_MAX_RANGE_DAYS * 24 * 60 * 60 * 1000));
+
+        const response = await calendar.freebusy.query({
+            requestBody: {
+                timeMin: chunkStart.toISOString(),
+                timeMax: chunkEnd.toISOString(),
+                items: BUSY_CALENDAR_IDS.map(id => ({ id }))
+            }
+        });
+
+        Object.entries(response.data.calendars || {}).forEach(([calendarId, result]) => {
+            if (result.errors && result.errors.length > 0) {
+                throw new Error(`Calendario ${calendarId}: ${result.errors.map(error => error.reason).join(', ')}`);
+            }
+            (result.busy || []).forEach(busy => {
+                intervals.push({ start: new Date(busy.start).getTime(), end: new Date(busy.end).getTime(), calendarId });
+            });
+        });
+
+        chunkStart = chunkEnd;
+    }
+
+    return intervals;
+}
+
+// ===== BLOCCHI TEMPORANEI DEGLI SLOT (HOLD) =====
+// Uno slot viene bloccato quando si crea il PaymentIntent e resta bloccato fino a
+// pagamento riuscito, fallito, annullato o alla scadenza del TTL.
+const SLOT_HOLD_TTL_MINUTES = parseInt(process.env.SLOT_HOLD_TTL_MINUTES) || 15;
+const holdStore = new JournalStore('holds');
+
+function isHoldActive(hold) {
+    return new Date(hold.expiresAt) > new Date();
+}
+
+function getActiveHolds() {
+    return holdStore.values().filter(isHoldActive);
+}
+
+/**
+ * Blocchi attivi che si sovrappongono allo slot indicato
+ */
+function findOverlappingHolds(date, time, durationMinutes) {
+    const { start, end } = getSlotInterval(date, time, durationMinutes);
+
+    return getBusyIntervals()
+        .filter(interval => interval.source === 'hold' && overlapsInterval(start, end, interval))
+        .map(interval => holdStore.get(interval.id));
+}
+
+function findHoldByPaymentIntent(paymentIntentId) {
+    if (!paymentIntentId) return null;
+    return holdStore.values().find(hold => hold.paymentIntentId === paymentIntentId) || null;
+}
+
+/**
+ * Blocca uno slot per il tempo necessario al pagamento.
+ * Restituisce null se lo slot è già prenotato o bloccato da un altro cliente.
+ * È volutamente sincrona: controllo e scrittura avvengono senza await in mezzo,
+ * quindi due richieste concorrenti non possono ottenere lo stesso slot.
+ */
+function createSlotHold(date, time, email, service, options = {}) {
+    const { ttlMinutes = SLOT_HOLD_TTL_MINUTES, waitlistEntryId = null } = options;
+    const { start, end } = getSlotInterval(date, time, service.durationMinutes);
+
+    const alreadyBooked = getBusyIntervals({ includeHolds: false }).some(interval => overlapsInterval(start, end, interval));
+    if (alreadyBooked) return null;
+
+    const overlappingHolds = findOverlappingHolds(date, time, service.durationMinutes);
+    if (overlappingHolds.some(hold => hold.email !== email)) return null;
+
+    // Lo stesso cliente che ricarica la pagina di pagamento sostituisce il proprio blocco
+    overlappingHolds.forEach(existingHold => {
+        releaseSlotHold(existingHold.id, 'sostituito da un nuovo pagamento dello stesso cliente');
+        cancelPaymentIntentQuietly(existingHold.paymentIntentId);
+    });
+
+    const id = `hold_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const now = new Date();
+
+    const hold = holdStore.put(id, {
+        id,
+        date,
+        time,
+        email,
+        serviceId: service.id,
+        durationMinutes: service.durationMinutes,
+        paymentIntentId: null,
+        waitlistEntryId,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000).toISOString()
+    });
+
+    console.log(`🔒 Slot ${date} alle ${time} bloccato fino a ${hold.expiresAt}`);
+    return hold;
+}
+
+function attachPaymentIntentToHold(holdId, paymentIntentId) {
+    return holdStore.update(holdId, { paymentIntentId });
+}
+
+function attachCheckoutSessionToHold(holdId, checkoutSessionId) {
+    return holdStore.update(holdId, { checkoutSessionId });
+}
+
+function releaseHoldForCheckoutSession(checkoutSessionId, reason) {
+    const hold = holdStore.values().find(candidate => candidate.checkoutSessionId === checkoutSessionId);
+    return hold ? releaseSlotHold(hold.id, reason) : null;
+}
+
+function releaseSlotHold(holdId, reason) {
+    const hold = holdStore.get(holdId);
+    if (!hold) return null;
+
+    holdStore.delete(holdId);
+    releaseDiscountReservation(holdId);
+    console.log(`🔓 Slot ${hold.date} alle ${hold.time} liberato (${reason})`);
+    return hold;
+}
+
+function releaseHoldForPaymentIntent(paymentIntentId, reason) {
+    const hold = findHoldByPaymentIntent(paymentIntentId);
+    return hold ? releaseSlotHold(hold.id, reason) : null;
+}
+
+/**
+ * Chiude una Checkout Session non più valida, così il link di pagamento smette di funzionare
+ */
+async function expireCheckoutSessionQuietly(checkoutSessionId) {
+    if (!checkoutSessionId) return;
+
+    try {
+        await stripe.checkout.sessions.expire(checkoutSessionId);
+        console.log(`🚫 Checkout Session ${checkoutSessionId} chiusa`);
+    } catch (error) {
+        // Sessione già completata o scaduta
+        console.log(`ℹ️ Checkout Session ${checkoutSessionId} non chiusa: ${error.message}`);
+    }
+}
+
+/**
+ * Annulla un PaymentIntent non più valido, così non può essere pagato dopo che lo slot è stato liberato
+ */
+async function cancelPaymentIntentQuietly(paymentIntentId) {
+    if (!paymentIntentId) return;
+
+    try {
+        await stripe.paymentIntents.cancel(paymentIntentId);
+        console.log(`🚫 PaymentIntent ${paymentIntentId} annullato`);
+    } catch (error) {
+        // Es. già annullato o già pagato: lo stato definitivo arriverà dal webhook
+        console.warn(`⚠️ Impossibile annullare PaymentIntent ${paymentIntentId}:`, error.message);
+    }
+}
+
+/**
+ * Rimuove i blocchi scaduti e annulla i relativi PaymentIntent
+ */
+function expireSlotHolds() {
+    const expiredHolds = holdStore.values().filter(hold => !isHoldActive(hold));
+
+    expiredHolds.forEach(hold => {
+        releaseSlotHold(hold.id, 'blocco scaduto');
+        cancelPaymentIntentQuietly(hold.paymentIntentId);
+        expireCheckoutSessionQuietly(hold.checkoutSessionId);
+
+        if (hold.waitlistEntryId) {
+            waitlistStore.update(hold.waitlistEntryId, { status: 'expired' });
+        }
+        notifyWaitlistForFreedSlot(hold.date, hold.time);
+    });
+
+    return expiredHolds.length;
+}
+
+// ===== LISTA D'ATTESA =====
+// I clienti si iscrivono a una data oppure a "qualsiasi slot nei prossimi N giorni".
+// L'iscrizione va confermata dal link inviato per email (entro WAITLIST_CONFIRM_HOURS):
+// fino ad allora resta "pending" e non riceve offerte.
+// Quando uno slot si libera, il primo iscritto compatibile riceve un link per
+// prenotarlo; lo slot resta bloccato a suo nome per WAITLIST_CLAIM_MINUTES.
+const WAITLIST_CLAIM_MINUTES = parseInt(process.env.WAITLIST_CLAIM_MINUTES) || 120;
+const WAITLIST_CLAIM_URL = process.env.WAITLIST_CLAIM_URL || 'https://www.valentinprocida.it/buy.html';
+const WAITLIST_CONFIRM_HOURS = parseInt(process.env.WAITLIST_CONFIRM_HOURS) || 48;
+const WAITLIST_CONFIRM_URL = process.env.WAITLIST_CONFIRM_URL || 'https://www.valentinprocida.it/waitlist-confirm.html';
+const WAITLIST_SIGNUPS_PER_HOUR = parseInt(process.env.WAITLIST_SIGNUPS_PER_HOUR) || 5;
+const waitlistStore = new JournalStore('waitlist');
+const waitlistSignupAttempts = new Map();
+
+function getWaitingEntries() {
+    return waitlistStore.values()
+        .filter(entry => entry.status === 'waiting')
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function waitlistEntryMatchesDate(entry, date) {
+    return entry.type === 'date' ? entry.date === date : date >= entry.fromDate && date <= entry.toDate;
+}
+
+/**
+ * Iscrive un cliente alla lista d'attesa per una data o per i prossimi N giorni.
+ * La nuova iscrizione resta "pending" finché il cliente non la conferma dal link ricevuto per email.
+ */
+function addToWaitlist({ email, name, service, date, withinDays }) {
+    const today = getZonedParts(new Date(), getBusinessTimeZone()).date;
+    const criteria = date ?
+        { type: 'date', date } :
+        { type: 'range', fromDate: today, toDate: addDaysToISODate(today, withinDays) };
+
+    const duplicate = waitlistStore.values().find(entry =>
+        ['pending', 'waiting'].includes(entry.status) &&
+        entry.email === email && entry.serviceId === service.id &&
+        entry.type === criteria.type && entry.date === criteria.date && entry.toDate === criteria.toDate
+    );
+    if (duplicate) return duplicate;
+
+    const id = `wl_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const entry = waitlistStore.put(id, {
+        id,
+        email,
+        name: name || '',
+        serviceId: service.id,
+        ...criteria,
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        confirmExpiresAt: new Date(Date.now() + WAITLIST_CONFIRM_HOURS * 60 * 60 * 1000).toISOString(),
+        confirmedAt: null,
+        notifiedAt: null,
+        offeredSlot: null,
+        claimExpiresAt: null
+    });
+
+    console.log(`📝 ${email} iscritto alla lista d'attesa, in attesa di conferma (${criteria.type === 'date' ? criteria.date : `${criteria.fromDate} → ${criteria.toDate}`})`);
+    return entry;
+}
+
+/**
+ * Invia il link per confermare l'iscrizione (anche per un'iscrizione ripetuta non ancora confermata)
+ */
+async function sendWaitlistConfirmation(entry, service) {
+    const confirmToken = createSignedToken('waitlist-confirm', { entryId: entry.id }, new Date(entry.confirmExpiresAt));
+    const confirmUrl = `${WAITLIST_CONFIRM_URL}?token=${encodeURIComponent(confirmToken)}`;
+
+    await sendEmail({
+        to: entry.email,
+        subject: '📝 Conferma la tua iscrizione alla lista d\'attesa - Consulenza VFX',
+        html: createWaitlistConfirmTemplate(entry, service, confirmUrl)
+    });
+    console.log(`📧 Link di conferma della lista d'attesa inviato a ${entry.email}`);
+}
+
+/**
+ * Middleware per l'iscrizione alla lista d'attesa: al massimo WAITLIST_SIGNUPS_PER_HOUR richieste
+ * all'ora per IP, impronta del client e indirizzo email, così l'endpoint non diventa un modo
+ * per inondare di email di conferma un indirizzo altrui
+ */
+function throttleWaitlistSignups(req, res, next) {
+    const now = Date.now();
+    const keys = [...getDiscountAttemptKeys(req), `email:${normalizeEmail(req.body && req.body.email)}`];
+    const states = keys.map(key => {
+        const requests = (waitlistSignupAttempts.get(key) || []).filter(time => now - time < 60 * 60 * 1000);
+        waitlistSignupAttempts.set(key, requests);
+        return requests;
+    });
+
+    const throttled = states.filter(requests => requests.length >= WAITLIST_SIGNUPS_PER_HOUR);
+    if (throttled.length > 0) {
+        const retryAfter = Math.ceil(Math.max(...throttled.map(requests => requests[0] + 60 * 60 * 1000 - now)) / 1000);
+        res.setHeader('Retry-After', retryAfter);
+        return res.status(429).json({
+            success: false,
+            error: 'Troppe iscrizioni alla lista d\'attesa. Riprova più tardi.',
+            code: 'WAITLIST_SIGNUPS_THROTTLED',
+            retryAfter
+        });
+    }
+
+    states.forEach(requests => requests.push(now));
+    next();
+}
+
+function addDaysToISODate(dateStr, days) {
+    const date = parseISODateToCalendarDate(dateStr);
+    date.setDate(date.getDate() + days);
+    return formatDateToLocalString(date);
+}
+
+/**
+ * Offre uno slot appena liberato al primo iscritto compatibile della lista d'attesa.
+ * Lo slot viene bloccato a suo nome e gli viene inviato il link per prenotarlo.
+ */
+async function notifyWaitlistForFreedSlot(date, time) {
+    try {
+        if (!process.env.BOOKING_LINK_SECRET) {
+            console.warn('⚠️ BOOKING_LINK_SECRET non configurato - lista d\'attesa non notificata');
+            return null;
+        }
+
+        if (!isSlotOffered(date, time)) return null;
+
+        await refreshCalendarBusyIntervals();
+
+        for (const entry of getWaitingEntries()) {
+            if (!waitlistEntryMatchesDate(entry, date)) continue;
+
+            const service = getService(entry.serviceId) || getService();
+            const hold = createSlotHold(date, time, entry.email, service, {
+                ttlMinutes: WAITLIST_CLAIM_MINUTES,
+                waitlistEntryId: entry.id
+            });
+
+            // Slot non compatibile con la durata di questo servizio: prova il prossimo iscritto
+            if (!hold) continue;
+
+            const claimExpiresAt = new Date(hold.expiresAt);
+            const notifiedEntry = waitlistStore.update(entry.id, {
+                status: 'notified',
+                notifiedAt: new Date().toISOString(),
+                offeredSlot: { date, time },
+                claimExpiresAt: hold.expiresAt
+            });
+
+            const claimToken = createSignedToken('waitlist-claim', { entryId: entry.id }, claimExpiresAt);
+            const claimUrl = `${WAITLIST_CLAIM_URL}?claim=${encodeURIComponent(claimToken)}`;
+
+            console.log(`📣 Slot ${date} alle ${time} offerto a ${entry.email} (lista d'attesa)`);
+
+            if (resend) {
+                await sendEmail({
+                    to: entry.email,
+                    subject: '⏰ Si è liberato un posto per la tua consulenza VFX',
+                    html: createWaitlistSlotAvailableTemplate(notifiedEntry, service, claimUrl)
+                });
+            }
+
+            return notifiedEntry;
+        }
+
+        return null;
+
+    } catch (error) {
+        console.error('❌ Errore notifica lista d\'attesa:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Rilascia il blocco creato per un'offerta della lista d'attesa, se il token corrisponde allo slot
+ */
+function releaseWaitlistClaimHold(claimToken, date, time) {
+    const result = readSignedToken(claimToken, 'waitlist-claim');
+    if (!result.valid) return false;
+
+    const entry = waitlistStore.get(result.payload.entryId);
+    if (!entry || entry.status !== 'notified' || entry.offeredSlot.date !== date || entry.offeredSlot.time !== time) {
+        return false;
+    }
+
+    const hold = holdStore.values().find(candidate => candidate.waitlistEntryId === entry.id);
+    return hold ? !!releaseSlotHold(hold.id, 'riscattato dalla lista d\'attesa') : false;
+}
+
+/**
+ * Segna come concluse le iscrizioni del cliente che ha appena prenotato
+ */
+function markWaitlistClaimed(email, date) {
+    waitlistStore.values()
+        .filter(entry => entry.email === email && ['waiting', 'notified'].includes(entry.status) && waitlistEntryMatchesDate(entry, date))
+        .forEach(entry => waitlistStore.update(entry.id, { status: 'claimed', claimedAt: new Date().toISOString() }));
+}
+
+/**
+ * Chiude le iscrizioni per date ormai passate, quelle mai confermate e le offerte non riscattate in tempo
+ */
+function expireWaitlistEntries() {
+    const today = getZonedParts(new Date(), getBusinessTimeZone()).date;
+    let expired = 0;
+
+    waitlistStore.values().forEach(entry => {
+        const isPast = ['pending', 'waiting'].includes(entry.status) && (entry.type === 'date' ? entry.date < today : entry.toDate < today);
+        const offerExpired = entry.status === 'notified' && new Date(entry.claimExpiresAt) < new Date();
+        const notConfirmed = entry.status === 'pending' && new Date(entry.confirmExpiresAt) < new Date();
+
+        if (isPast || offerExpired || notConfirmed) {
+            waitlistStore.update(entry.id, { status: 'expired' });
+            expired++;
+        }
+    });
+
+    if (expired > 0) {
+        console.log(`🧹 Lista d'attesa: ${expired} iscrizioni scadute`);
+    }
+}
+
+/**
+ * Genera slot disponibili escludendo quelli già prenotati
+ */
+async function getAvailableSlots(service = getService()) {
+    try {
+        // Prenotazioni confermate, impegni del calendario e pagamenti in corso
+        await refreshCalendarBusyIntervals();
+        const busyIntervals = getBusyIntervals();
+
+        // Genera tutti i possibili slot secondo le regole di disponibilità
+        const allSlots = generateAllPossibleSlots();
+
+        // Filtra gli slot in cui il servizio si sovrapporrebbe a una prenotazione o a un blocco
+        const availableSlots = {};
+
+        Object.entries(allSlots).forEach(([date, times]) => {
+            const availableTimes = times.filter(time => {
+                const { start, end } = getSlotInterval(date, time, service.durationMinutes);
+                return !busyIntervals.some(interval => overlapsInterval(start, end, interval));
+            });
+
+            // Solo se ci sono orari disponibili, includi la data
+            if (availableTimes.length > 0) {
+                availableSlots[date] = availableTimes;
+            }
+        });
+
+        console.log(`📅 Slot disponibili calcolati: ${Object.keys(availableSlots).length} date disponibili`);
+        return availableSlots;
+
+    } catch (error) {
+        console.error('❌ Errore calcolo slot disponibili:', error);
+        // Fallback: restituisci tutti gli slot possibili
+        return generateAllPossibleSlots();
+    }
+}
+
+// ===== MOTORE REGOLE DI DISPONIBILITÀ =====
+// La configurazione di default è in availability.json; le modifiche fatte tramite
+// l'API admin vengono salvate nella cartella dati e hanno la precedenza.
+const DEFAULT_AVAILABILITY_CONFIG_PATH = process.env.AVAILABILITY_CONFIG_PATH || path.join(__dirname, 'availability.json');
+const AVAILABILITY_OVERRIDE_PATH = path.join(DATA_DIR, 'availability.json');
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+let availabilityConfig = null;
+
+function loadAvailabilityConfig() {
+    const configPath = fs.existsSync(AVAILABILITY_OVERRIDE_PATH) ? AVAILABILITY_OVERRIDE_PATH : DEFAULT_AVAILABILITY_CONFIG_PATH;
+    availabilityConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    availabilityConfig.source = configPath;
+    console.log(`📆 Regole di disponibilità caricate da ${configPath}`);
+    return availabilityConfig;
+}
+
+function getAvailabilityConfig() {
+    return availabilityConfig || loadAvailabilityConfig();
+}
+
+/**
+ * Valida e salva una nuova configurazione di disponibilità
+ */
+function saveAvailabilityConfig(config) {
+    const errors = validateAvailabilityConfig(config);
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    const { source, ...configToSave } = config;
+    const tmpPath = `${AVAILABILITY_OVERRIDE_PATH}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(configToSave, null, 4) + '\n');
+    fs.renameSync(tmpPath, AVAILABILITY_OVERRIDE_PATH);
+
+    availabilityConfig = { ...configToSave, source: AVAILABILITY_OVERRIDE_PATH };
+    console.log('📆 Regole di disponibilità aggiornate tramite API admin');
+    return { valid: true, config: availabilityConfig };
+}
+
+function validateAvailabilityConfig(config) {
+    const errors = [];
+    const isTimeList = (times) => Array.isArray(times) && times.every(time => TIME_PATTERN.test(time));
+
+    if (!config || typeof config !== 'object') {
+        return ['La configurazione deve essere un oggetto JSON'];
+    }
+
+    if (config.timezone !== undefined && !isValidTimeZone(config.timezone)) {
+        errors.push(`timezone: fuso orario non valido "${config.timezone}"`);
+    }
+
+    if (!Number.isInteger(config.horizonDays) || config.horizonDays < 1 || config.horizonDays > 365) {
+        errors.push('horizonDays deve essere un intero tra 1 e 365');
+    }
+
+    if (typeof config.minNoticeHours !== 'number' || config.minNoticeHours < 0) {
+        errors.push('minNoticeHours deve essere un numero maggiore o uguale a 0');
+    }
+
+    Object.entries(config.weeklyTemplate || {}).forEach(([day, times]) => {
+        if (!WEEKDAY_NAMES.includes(day)) errors.push(`weeklyTemplate: giorno non valido "${day}"`);
+        if (!isTimeList(times)) errors.push(`weeklyTemplate.${day}: orari non validi (formato HH:MM)`);
+    });
+
+    Object.entries(config.overrides || {}).forEach(([date, times]) => {
+        if (!ISO_DATE_PATTERN.test(date)) errors.push(`overrides: data non valida "${date}" (formato YYYY-MM-DD)`);
+        if (!isTimeList(times)) errors.push(`overrides.${date}: orari non validi (formato HH:MM)`);
+    });
+
+    if (config.blackouts !== undefined && !Array.isArray(config.blackouts)) {
+        errors.push('blackouts deve essere una lista');
+    } else {
+        (config.blackouts || []).forEach((blackout, index) => {
+            if (!blackout || typeof blackout !== 'object') {
+                errors.push(`blackouts[${index}]: deve essere un oggetto { from, to, reason }`);
+            } else if (!ISO_DATE_PATTERN.test(blackout.from) || !ISO_DATE_PATTERN.test(blackout.to)) {
+                errors.push(`blackouts[${index}]: from e to devono essere date YYYY-MM-DD`);
+            } else if (blackout.from > blackout.to) {
+                errors.push(`blackouts[${index}]: from deve precedere to`);
+            }
+        });
+    }
+
+    Object.entries(config.rules || {}).forEach(([ruleName, enabled]) => {
+        if (!availabilityDateRules[ruleName]) errors.push(`rules: regola sconosciuta "${ruleName}"`);
+        if (typeof enabled !== 'boolean') errors.push(`rules.${ruleName}: deve essere true o false`);
+    });
+
+    return errors;
+}
+
+/**
+ * Regole che chiudono un'intera giornata, attivabili da config.rules.
+ * Ogni regola restituisce il motivo della chiusura oppure null.
+ */
+const availabilityDateRules = {
+    weekends: (date) => (date.getDay() === 0 || date.getDay() === 6) ? 'Weekend' : null,
+    italianHolidays: (date) => isItalianHoliday(date) ? 'Festività italiana' : null
+};
+
+/**
+ * Orari previsti per una data, senza considerare prenotazioni e preavviso minimo.
+ * Precedenza: periodi di chiusura, eccezioni per data, regole, modello settimanale.
+ */
+function getScheduledTimesForDate(date, config = getAvailabilityConfig()) {
+    const dateStr = formatDateToLocalString(date);
+
+    const blackout = (config.blackouts || []).find(range => dateStr >= range.from && dateStr <= range.to);
+    if (blackout) {
+        return { times: [], closedBy: blackout.reason || 'Chiusura programmata' };
+    }
+
+    if (config.overrides && config.overrides[dateStr]) {
+        return { times: [...config.overrides[dateStr]].sort(), closedBy: null };
+    }
+
+    for (const [ruleName, enabled] of Object.entries(config.rules || {})) {
+        const reason = enabled && availabilityDateRules[ruleName] ? availabilityDateRules[ruleName](date) : null;
+        if (reason) {
+            return { times: [], closedBy: reason };
+        }
+    }
+
+    const times = (config.weeklyTemplate || {})[WEEKDAY_NAMES[date.getDay()]] || [];
+    return { times: [...times].sort(), closedBy: null };
+}
+
+/**
+ * Genera tutti i possibili slot secondo le regole di disponibilità
+ */
+function generateAllPossibleSlots(config = getAvailabilityConfig()) {
+    const allSlots = {};
+    const timeZone = config.timezone || DEFAULT_BUSINESS_TIMEZONE;
+    const today = parseISODateToCalendarDate(getZonedParts(new Date(), timeZone).date);
+
+    // Preavviso minimo: gli slot che iniziano prima di questo istante non sono prenotabili
+    const earliestStart = new Date(Date.now() + config.minNoticeHours * 60 * 60 * 1000);
+
+    for (let i = 0; i <= config.horizonDays; i++) {
+        const date = new Date(today);
+        date.setDate(today.getDate() + i);
+
+        const dateStr = formatDateToLocalString(date);
+        const { times } = getScheduledTimesForDate(date, config);
+
+        const bookableTimes = times.filter(time =>
+            zonedDateTimeToInstant(dateStr, time, timeZone) >= earliestStart
+        );
+
+        if (bookableTimes.length > 0) {
+            allSlots[dateStr] = bookableTimes;
+        }
+    }
+
+    return allSlots;
+}
+
+/**
+ * Controlla che data e orario siano previsti dalle regole di disponibilità
+ */
+function isSlotOffered(date, time) {
+    const allSlots = generateAllPossibleSlots();
+    return !!allSlots[date] && allSlots[date].includes(time);
+}
+
+/**
+ * Elenca gli slot come istanti assoluti, con data e orario nel fuso richiesto dal client
+ */
+function listSlotInstants(slotsByDate, clientTimeZone, durationMinutes) {
+    const businessTimeZone = getBusinessTimeZone();
+    const slots = [];
+
+    Object.entries(slotsByDate).forEach(([date, times]) => {
+        times.forEach(time => {
+            const start = zonedDateTimeToInstant(date, time, businessTimeZone);
+            const local = getZonedParts(start, clientTimeZone);
+            slots.push({
+                start: start.toISOString(),
+                end: new Date(start.getTime() + durationMinutes * 60 * 1000).toISOString(),
+                businessDate: date,
+                businessTime: time,
+                localDate: local.date,
+                localTime: local.time
+            });
+        });
+    });
+
+    return slots;
+}
+
+/**
+ * Anteprima delle giornate nell'orizzonte di prenotazione con il motivo di eventuali chiusure
+ */
+function previewAvailability(config = getAvailabilityConfig()) {
+    const preview = [];
+    const today = parseISODateToCalendarDate(getZonedParts(new Date(), config.timezone || DEFAULT_BUSINESS_TIMEZONE).date);
+
+    for (let i = 0; i <= config.horizonDays; i++) {
+        const date = new Date(today);
+        date.setDate(today.getDate() + i);
+        preview.push({ date: formatDateToLocalString(date), ...getScheduledTimesForDate(date, config) });
+    }
+
+    return preview;
+}
+
+function isItalianHoliday(date) {
+    const year = date.getFullYear();
+    const month = date.getMonth() + 1;
+    const day = date.getDate();
+
+    const fixedHolidays = [
+        { month: 1, day: 1 }, { month: 1, day: 6 }, { month: 4, day: 25 },
+        { month: 5, day: 1 }, { month: 6, day: 2 }, { month: 8, day: 15 },
+        { month: 11, day: 1 }, { month: 12, day: 8 }, { month: 12, day: 25 }, { month: 12, day: 26 }
+    ];
+
+    for (const holiday of fixedHolidays) {
+        if (month === holiday.month && day === holiday.day) return true;
+    }
+
+    const easter = calculateEaster(year);
+    const easterMonday = new Date(easter);
+    easterMonday.setDate(easter.getDate() + 1);
+
+    return date.toDateString() === easter.toDateString() ||
+        date.toDateString() === easterMonday.toDateString();
+}
+
+function calculateEaster(year) {
+    const f = Math.floor;
+    const G = year % 19;
+    const C = f(year / 100);
+    const H = (C - f(C / 4) - f((8 * C + 13) / 25) + 19 * G + 15) % 30;
+    const I = H - f(H / 28) * (1 - f(29 / (H + 1)) * f((21 - G) / 11));
+    const J = (year + f(year / 4) + I + 2 - C + f(C / 4)) % 7;
+    const L = I - J;
+    const month = 3 + f((L + 40) / 44);
+    const day = L + 28 - 31 * f(month / 4);
+
+    return new Date(year, month - 1, day);
+}
+
+function formatDateToLocalString(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+// ===== FUSI ORARI =====
+// Gli slot sono definiti come data + orario nel fuso dell'attività (availability.json)
+// e convertiti in istanti assoluti, indipendentemente dal fuso del container.
+const DEFAULT_BUSINESS_TIMEZONE = 'Europe/Rome';
+
+function getBusinessTimeZone() {
+    return getAvailabilityConfig().timezone || DEFAULT_BUSINESS_TIMEZONE;
+}
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Scompone un istante nei campi di calendario di un fuso orario
+ */
+function getZonedParts(instant, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(instant).forEach(part => { parts[part.type] = part.value; });
+
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        second: parseInt(parts.second),
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`
+    };
+}
+
+function getTimeZoneOffsetMs(instant, timeZone) {
+    const parts = getZonedParts(instant, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converte data (YYYY-MM-DD) e orario (HH:MM) di un fuso orario in un istante assoluto
+ */
+function zonedDateTimeToInstant(dateStr, timeStr, timeZone) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const [hours, minutes] = timeStr.split(':').map(Number);
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // Il secondo passaggio corregge i giorni di cambio ora legale
+    let instant = wallClockAsUtc - getTimeZoneOffsetMs(new Date(wallClockAsUtc), timeZone);
+    instant = wallClockAsUtc - getTimeZoneOffsetMs(new Date(instant), timeZone);
+    return new Date(instant);
+}
+
+/**
+ * Data di calendario (mezzanotte locale) corrispondente a una stringa YYYY-MM-DD,
+ * usata solo per i campi di calendario (giorno della settimana, festività)
+ */
+function parseISODateToCalendarDate(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Istante di inizio dell'appuntamento, dai dati della prenotazione
+ */
+function getAppointmentStart(bookingData) {
+    if (bookingData.appointmentStart) {
+        return new Date(bookingData.appointmentStart);
+    }
+    return zonedDateTimeToInstant(bookingData.appointmentDate, bookingData.appointmentTime, getBusinessTimeZone());
+}
+
+/**
+ * Ricava data e orario nel fuso dell'attività da un istante ISO-8601 con offset
+ * (es. "2025-11-03T08:00:00Z") oppure da data + orario già nel fuso dell'attività.
+ * Restituisce null se i valori non sono validi.
+ */
+function resolveAppointmentSlot({ start, date, time }) {
+    const businessTimeZone = getBusinessTimeZone();
+
+    if (start) {
+        const instant = new Date(start);
+        if (typeof start !== 'string' || !/(Z|[+-]\d{2}:?\d{2})$/i.test(start) || isNaN(instant.getTime())) {
+            return null;
+        }
+        const parts = getZonedParts(instant, businessTimeZone);
+        return { date: parts.date, time: parts.time, start: instant };
+    }
+
+    if (!ISO_DATE_PATTERN.test(date || '') || !TIME_PATTERN.test(time || '')) {
+        return null;
+    }
+    return { date, time, start: zonedDateTimeToInstant(date, time, businessTimeZone) };
+}
+
+/**
+ * Data e orario dell'appuntamento nel fuso dell'attività e, se diverso, in quello del cliente
+ */
+function describeAppointmentTimes(bookingData) {
+    if (!bookingData.appointmentStart && (!bookingData.appointmentDate || !bookingData.appointmentTime)) {
+        return null;
+    }
+
+    const start = getAppointmentStart(bookingData);
+    const businessTimeZone = getBusinessTimeZone();
+    const customerTimeZone = bookingData.customerTimezone;
+
+    return {
+        start,
+        business: formatInTimeZone(start, businessTimeZone),
+        customer: customerTimeZone && customerTimeZone !== businessTimeZone && isValidTimeZone(customerTimeZone) ?
+            formatInTimeZone(start, customerTimeZone) : null
+    };
+}
+
+/**
+ * Formatta un istante per le email (es. "lunedì 3 novembre 2025" / "09:00")
+ */
+function formatInTimeZone(instant, timeZone) {
+    return {
+        date: instant.toLocaleDateString('it-IT', { timeZone, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+        time: instant.toLocaleTimeString('it-IT', { timeZone, hour: '2-digit', minute: '2-digit' }),
+        zoneLabel: `${timeZone}, ${instant.toLocaleTimeString('en-US', { timeZone, timeZoneName: 'shortOffset' }).split(' ').pop()}`
+    };
+}
+
+// ===== GOOGLE MEET FUNCTIONS =====
+async function createGoogleMeetEvent(bookingData) {
+    console.log('📅 createGoogleMeetEvent chiamata con:', {
+        calendar: !!calendar,
+        calendarId: process.env.GOOGLE_CALENDAR_ID,
+        appointmentDate: bookingData.appointmentDate,
+        appointmentTime: bookingData.appointmentTime
+    });
+
+    if (!calendar) {
+        console.warn('⚠️ Google Calendar non configurato - saltando creazione evento');
+        return null;
+    }
+
+    if (!process.env.GOOGLE_CALENDAR_ID) {
+        console.warn('⚠️ GOOGLE_CALENDAR_ID non configurato - saltando creazione evento');
+        return null;
+    }
+
+    // Calcola i tempi (istanti assoluti, indipendenti dal fuso del server)
+    const businessTimeZone = getBusinessTimeZone();
+    const startTime = getAppointmentStart(bookingData);
+    const service = getService(bookingData.serviceId) || getService();
+    const durationMinutes = getBookingDuration(bookingData);
+
+    const endTime = new Date(startTime);
+    endTime.setMinutes(endTime.getMinutes() + durationMinutes);
+
+    // Link fisso (configurato su Render) usato solo se Google non riesce a creare la videochiamata
+    const fallbackMeetLink = process.env.GOOGLE_MEET_LINK || 'https://meet.google.com/tyv-rqts-nyr';
+
+    const buildDescription = (meetLink) => `
+${service.name} with Valentin Procida
+
+Cliente: ${bookingData.customerName}
+Email: ${bookingData.customerEmail}
+Telefono: ${bookingData.customerPhone}
+${bookingData.company ? `Azienda: ${bookingData.company}` : ''}
+
+Durata: ${durationMinutes} minuti
+Pagamento: ${formatMoney(bookingData.amount, bookingData.currency)}
+ID Transazione: ${bookingData.paymentIntent}
+
+🎥 GOOGLE MEET LINK: ${meetLink}
+
+Argomenti da discutere:
+${(service.topics || []).map(topic => `- ${topic}`).join('\n')}
+
+IMPORTANTE: Il link Google Meet è incluso sopra
+            `.trim();
+
+    const event = {
+        summary: `${service.name} - ${bookingData.customerName}`,
+        description: buildDescription('vedi i dettagli della videochiamata'),
+        start: {
+            dateTime: startTime.toISOString(),
+            timeZone: businessTimeZone,
+        },
+        end: {
+            dateTime: endTime.toISOString(),
+            timeZone: businessTimeZone,
+        },
+        reminders: {
+            useDefault: false,
+            overrides: [
+                { method: 'email', minutes: 24 * 60 },
+                { method: 'popup', minutes: 10 }
+            ]
+        }
+    };
+
+    try {
+        console.log('📅 Creazione evento Google Calendar con Meet dedicato:', {
+            startTime: startTime.toISOString(),
+            endTime: endTime.toISOString(),
+            customerName: bookingData.customerName,
+            customerEmail: bookingData.customerEmail
+        });
+
+        let createdEvent;
+        let meetLink = null;
+
+        try {
+            // Ogni evento riceve la propria stanza Meet; requestId stabile per la stessa prenotazione
+            createdEvent = (await calendar.events.insert({
+                calendarId: process.env.GOOGLE_CALENDAR_ID,
+                conferenceDataVersion: 1,
+                resource: {
+                    ...event,
+                    conferenceData: {
+                        createRequest: {
+                            requestId: `meet-${bookingData.bookingId || bookingData.paymentIntent || Date.now()}`,
+                            conferenceSolutionKey: { type: 'hangoutsMeet' }
+                        }
+                    }
+                },
+                sendUpdates: 'none'
+            })).data;
+
+            meetLink = await waitForConferenceMeetLink(createdEvent);
+        } catch (conferenceError) {
+            console.error('❌ Creazione evento con Google Meet dedicato fallita, uso il link fisso:', conferenceError.message);
+        }
+
+        if (!createdEvent) {
+            createdEvent = (await calendar.events.insert({
+                calendarId: process.env.GOOGLE_CALENDAR_ID,
+                resource: event,
+                sendUpdates: 'none'
+            })).data;
+        }
+
+        if (!meetLink) {
+            console.warn(`⚠️ Nessun link Meet dedicato per l'evento ${createdEvent.id} - uso il link fisso`);
+            meetLink = fallbackMeetLink;
+        }
+
+        // Descrizione e luogo riportano il link effettivo
+        try {
+            await calendar.events.patch({
+                calendarId: process.env.GOOGLE_CALENDAR_ID,
+                eventId: createdEvent.id,
+                resource: {
+                    description: buildDescription(meetLink),
+                    location: meetLink
+                },
+                sendUpdates: 'none'
+            });
+        } catch (patchError) {
+            console.error('❌ Errore aggiornamento descrizione evento:', patchError.message);
+        }
+
+        console.log('✅ Evento creato:', {
+            eventId: createdEvent.id,
+            meetLink: meetLink,
+            dedicatedMeet: meetLink !== fallbackMeetLink,
+            eventLink: createdEvent.htmlLink
+        });
+
+        return {
+            eventId: createdEvent.id,
+            meetLink: meetLink,
+            eventLink: createdEvent.htmlLink,
+            startTime: startTime,
+            endTime: endTime
+        };
+
+    } catch (error) {
+        console.error('❌ Errore creazione evento Google Calendar:', {
+            message: error.message,
+            code: error.code,
+            errors: error.errors
+        });
+        return null;
+    }
+}
+
+/**
+ * Link Meet dell'evento; se la creazione della conferenza è ancora "pending" rilegge l'evento
+ * qualche volta prima di arrendersi
+ */
+async function waitForConferenceMeetLink(createdEvent) {
+    const extractMeetLink = (eventData) => {
+        const videoEntry = ((eventData.conferenceData || {}).entryPoints || [])
+            .find(entryPoint => entryPoint.entryPointType === 'video');
+        return eventData.hangoutLink || (videoEntry ? videoEntry.uri : null);
+    };
+
+    let eventData = createdEvent;
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const meetLink = extractMeetLink(eventData);
+        if (meetLink) return meetLink;
+
+        const status = eventData.conferenceData && eventData.conferenceData.createRequest &&
+            eventData.conferenceData.createRequest.status ? eventData.conferenceData.createRequest.status.statusCode : null;
+        if (status !== 'pending') return null;
+
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        eventData = (await calendar.events.get({
+            calendarId: process.env.GOOGLE_CALENDAR_ID,
+            eventId: createdEvent.id
+        })).data;
+    }
+
+    return extractMeetLink(eventData);
+}
+
+/**
+ * Sposta l'evento Google Calendar di una prenotazione al nuovo orario
+ */
+async function moveGoogleCalendarEvent(booking) {
+    if (!calendar || !process.env.GOOGLE_CALENDAR_ID || !booking.calendarEventId) {
+        console.warn(`⚠️ Nessun evento Google Calendar da spostare per ${booking.id}`);
+        return false;
+    }
+
+    const startTime = getAppointmentStart(booking);
+    const endTime = new Date(startTime.getTime() + getBookingDuration(booking) * 60 * 1000);
+
+    try {
+        await calendar.events.patch({
+            calendarId: process.env.GOOGLE_CALENDAR_ID,
+            eventId: booking.calendarEventId,
+            resource: {
+                start: { dateTime: startTime.toISOString(), timeZone: getBusinessTimeZone() },
+                end: { dateTime: endTime.toISOString(), timeZone: getBusinessTimeZone() }
+            },
+            sendUpdates: 'none'
+        });
+        console.log(`📅 Evento ${booking.calendarEventId} spostato a ${startTime.toISOString()}`);
+        invalidateCalendarBusyCache();
+        return true;
+    } catch (error) {
+        console.error('❌ Errore spostamento evento Google Calendar:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Elimina l'evento Google Calendar di una prenotazione annullata
+ */
+async function deleteGoogleCalendarEvent(booking) {
+    if (!calendar || !process.env.GOOGLE_CALENDAR_ID || !booking.calendarEventId) {
+        console.warn(`⚠️ Nessun evento Google Calendar da eliminare per ${booking.id}`);
+        return false;
+    }
+
+    try {
+        await calendar.events.delete({
+            calendarId: process.env.GOOGLE_CALENDAR_ID,
+            eventId: booking.calendarEventId,
+            sendUpdates: 'none'
+        });
+        console.log(`🗑️ Evento ${booking.calendarEventId} eliminato`);
+        invalidateCalendarBusyCache();
+        return true;
+    } catch (error) {
+        console.error('❌ Errore eliminazione evento Google Calendar:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Registra sulla prenotazione l'evento Calendar creato, per poterlo spostare o eliminare in seguito
+ */
+function recordBookingMeeting(bookingId, meetingInfo) {
+    if (!meetingInfo) return null;
+    return bookingStore.update(bookingId, {
+        calendarEventId: meetingInfo.eventId,
+        meetLink: meetingInfo.meetLink
+    });
+}
+
+// ===== FILE ICALENDAR (ICS) =====
+// Inviti RFC 5545 allegati alle email, per chi non usa Google Calendar.
+// Lo stesso UID viene riusato per aggiornamenti e cancellazioni, con SEQUENCE crescente.
+const ICS_DOMAIN = 'valentinprocida.it';
+const ICS_PRODUCT_ID = '-//Valentin Procida//VFX Consultation//IT';
+
+/**
+ * Escape dei testi secondo RFC 5545 (3.3.11)
+ */
+function escapeIcsText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Spezza le righe oltre i 75 ottetti (RFC 5545 3.1), senza tagliare i caratteri multibyte
+ */
+function foldIcsLine(line) {
+    const chunks = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char);
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            chunks.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+}
+
+function formatIcsDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Righe VEVENT di una prenotazione. Gli orari sono in UTC, così non serve un VTIMEZONE.
+ */
+function createBookingIcsEvent(booking, { cancelled = false, includeContact = false } = {}) {
+    const service = getService(booking.serviceId) || getService();
+    const start = getAppointmentStart(booking);
+    const end = new Date(start.getTime() + getBookingDuration(booking) * 60 * 1000);
+    const bookingId = booking.id || booking.bookingId || booking.paymentIntent;
+    const meetLink = booking.meetLink || '';
+    const organizerEmail = process.env.EMAIL_FROM || 'onboarding@resend.dev';
+
+    // Ogni spostamento o cancellazione deve avere una SEQUENCE maggiore della precedente
+    const sequence = (booking.rescheduleCount || 0) + (cancelled ? 1 : 0);
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${bookingId}@${ICS_DOMAIN}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${formatIcsDate(new Date())}`,
+        `DTSTART:${formatIcsDate(start)}`,
+        `DTEND:${formatIcsDate(end)}`,
+        `SUMMARY:${escapeIcsText(`${service.name} - Valentin Procida`)}`,
+        `DESCRIPTION:${escapeIcsText([
+            `${service.name} con Valentin Procida (${getBookingDuration(booking)} minuti)`,
+            meetLink ? `Google Meet: ${meetLink}` : '',
+            `Cliente: ${booking.customerName || ''}`,
+            includeContact ? `Email: ${booking.customerEmail || ''}` : '',
+            includeContact && booking.customerPhone ? `Telefono: ${booking.customerPhone}` : '',
+            includeContact && booking.company ? `Azienda: ${booking.company}` : ''
+        ].filter(Boolean).join('\n'))}`,
+        meetLink ? `LOCATION:${escapeIcsText(meetLink)}` : 'LOCATION:Google Meet',
+        meetLink ? `URL:${meetLink}` : null,
+        `ORGANIZER;CN=Valentin Procida:mailto:${organizerEmail}`,
+        booking.customerEmail ?
+            `ATTENDEE;CN="${String(booking.customerName || booking.customerEmail).replace(/["\r\n]/g, '')}";ROLE=REQ-PARTICIPANT:mailto:${booking.customerEmail}` : null,
+        `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+        'TRANSP:OPAQUE',
+        ...(cancelled ? [] : [
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeIcsText(service.name)}`,
+            'TRIGGER:-PT15M',
+            'END:VALARM'
+        ]),
+        'END:VEVENT'
+    ].filter(Boolean);
+}
+
+/**
+ * Documento VCALENDAR completo (METHOD REQUEST per inviti/aggiornamenti, CANCEL per annullamenti,
+ * PUBLISH per il feed)
+ */
+function createIcsCalendar(eventLines, method, extraLines = []) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        ...extraLines,
+        ...eventLines,
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Allegato .ics per le email al cliente. Usa i dati aggiornati dall'archivio quando disponibili.
+ */
+function createBookingIcsAttachment(bookingData, { cancelled = false } = {}) {
+    try {
+        const booking = bookingStore.get(bookingData.bookingId || bookingData.id) || bookingData;
+        if (!booking.appointmentStart && (!booking.appointmentDate || !booking.appointmentTime)) return null;
+
+        const method = cancelled ? 'CANCEL' : 'REQUEST';
+        return {
+            filename: cancelled ? 'consulenza-annullata.ics' : 'consulenza.ics',
+            content: Buffer.from(createIcsCalendar(createBookingIcsEvent(booking, { cancelled }), method)),
+            contentType: `text/calendar; charset=utf-8; method=${method}`
+        };
+    } catch (error) {
+        console.error('❌ Errore creazione file ICS:', error.message);
+        return null;
+    }
+}
+
+// ===== FUNZIONI GOOGLE SHEETS =====
+
+/**
+ * Cerca nel foglio la riga di una prenotazione tramite PaymentID (colonna J)
+ */
+async function findBookingRowInGoogleSheets(paymentId) {
+    if (!paymentId) return null;
+
+    const response = await sheets.spreadsheets.values.get({
+        spreadsheetId: process.env.GOOGLE_SPREADSHEET_ID,
+        range: 'Prenotazioni!J:J'
+    });
+
+    const rows = response.data.values || [];
+    const index = rows.findIndex(row => (row[0] || '').trim() === paymentId);
+    return index > 0 ? index + 1 : null;
+}
+
+/**
+ * Scrive una prenotazione dell'archivio locale su Google Sheets e restituisce il numero di riga.
+ * Le prenotazioni nuove vengono aggiunte in fondo; per quelle già presenti vengono
+ * aggiornati solo data, orario, stato e pagamento, lasciando intatte le altre colonne.
+ * Lancia un errore se la scrittura fallisce, così il replicatore può ritentare.
+ */
+async function saveBookingToGoogleSheets(booking) {
+    const spreadsheetId = process.env.GOOGLE_SPREADSHEET_ID;
+
+    // La data è già nel fuso dell'attività: formattata in UTC per non farla slittare
+    const date = new Date(booking.appointmentDate || new Date());
+    const formattedDate = date.toLocaleDateString('it-IT', { timeZone: 'UTC' });
+
+    // Un tentativo precedente potrebbe aver scritto la riga senza riuscire a registrarla
+    const sheetRow = booking.sheetRow || await findBookingRowInGoogleSheets(booking.paymentIntent);
+
+    if (sheetRow) {
+        await sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId,
+            resource: {
+                valueInputOption: 'USER_ENTERED',
+                data: [
+                    { range: `Prenotazioni!F${sheetRow}:G${sheetRow}`, values: [[formattedDate, booking.appointmentTime || 'Non specificato']] },
+                    { range: `Prenotazioni!K${sheetRow}:L${sheetRow}`, values: [[booking.status, describePaymentState(booking)]] }
+                ]
+            }
+        });
+
+        console.log(`✅ Prenotazione ${booking.id} aggiornata in Google Sheets (riga ${sheetRow})`);
+        return sheetRow;
+    }
+
+    const discountText = booking.discount ?
+        `${booking.discount.code} (-${formatMoney(booking.discount.discountAmount, booking.currency)})` :
+        'Nessuno';
+
+    const values = [[
+        new Date(booking.createdAt).toLocaleString('it-IT'),
+        booking.customerName,
+        booking.customerEmail,
+        booking.customerPhone,
+        booking.company || '',
+        formattedDate,
+        booking.appointmentTime || 'Non specificato',
+        formatMoney(booking.amount, booking.currency),
+        discountText,
+        booking.paymentIntent || '',
+        booking.status,
+        describePaymentState(booking)
+    ]];
+
+    const response = await sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range: 'Prenotazioni!A:L',
+        valueInputOption: 'USER_ENTERED',
+        resource: { values }
+    });
+
+    // updatedRange ha la forma "Prenotazioni!A15:L15"
+    const updatedRange = response.data.updates && response.data.updates.updatedRange;
+    const rowMatch = updatedRange && updatedRange.match(/![A-Z]+(\d+)/);
+
+    console.log('✅ Prenotazione salvata in Google Sheets:', booking.customerEmail);
+    return rowMatch ? parseInt(rowMatch[1]) : null;
+}
+
+// ===== CLASSE GENERATORE CODICI SCONTO =====
+// Caratteri casuali da CSPRNG; l'alfabeto predefinito esclude quelli ambigui (0/O, 1/I/L)
+const DISCOUNT_CODE_ALPHABET = (() => {
+    const alphabet = [...new Set((process.env.DISCOUNT_CODE_ALPHABET || '').toUpperCase().replace(/[^A-Z0-9]/g, ''))].join('');
+    return alphabet.length >= 16 ? alphabet : 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+})();
+const DISCOUNT_CODE_LENGTH = Math.max(6, parseInt(process.env.DISCOUNT_CODE_LENGTH) || 10);
+
+class DiscountCodeGenerator {
+    constructor() {
+        this.prefixes = {
+            general: ['SAVE', 'GET', 'DEAL', 'PROMO', 'OFFER'],
+            seasonal: ['SPRING', 'SUMMER', 'AUTUMN', 'WINTER'],
+            target: ['STUDENT', 'ARTIST', 'JUNIOR', 'SENIOR', 'FREELANCE'],
+            social: ['YOUTUBE', 'INSTAGRAM', 'LINKEDIN', 'TWITTER', 'TIKTOK'],
+            events: ['WORKSHOP', 'WEBINAR', 'CONFERENCE', 'MEETUP', 'LIVE'],
+            special: ['FLASH', 'WEEKEND', 'MIDNIGHT', 'EARLY', 'LAST'],
+            welcome: ['WELCOME', 'HELLO', 'FIRST', 'NEW', 'START']
+        };
+        this.defaultConfig = { type: 'percentage', value: 10, active: true };
+    }
+
+    generateRandomCode(length = DISCOUNT_CODE_LENGTH) {
+        let result = '';
+        for (let i = 0; i < length; i++) {
+            result += DISCOUNT_CODE_ALPHABET.charAt(crypto.randomInt(DISCOUNT_CODE_ALPHABET.length));
+        }
+        return result;
+    }
+
+    /**
+     * Codice tematico (es. SAVE-7KQ2M9XA4P): il prefisso indica la campagna, la parte casuale
+     * evita che i codici si indovinino combinando prefissi e suffissi noti
+     */
+    generateThematicCode(category, customSuffix = null) {
+        if (!this.prefixes[category]) throw new Error(`Categoria non valida: ${category}`);
+        const prefix = this.prefixes[category][crypto.randomInt(this.prefixes[category].length)];
+        return `${prefix}-${customSuffix || this.generateRandomCode()}`;
+    }
+
+    isCodeUnique(code) {
+        return !discountStore.has(code);
+    }
+
+    /**
+     * Codice dei buoni regalo (es. GIFT-7KQ2-M9XA): casuale, perché vale denaro
+     */
+    generateVoucherCode() {
+        let code;
+        do {
+            code = `GIFT-${this.generateRandomCode(4)}-${this.generateRandomCode(4)}`;
+        } while (!this.isCodeUnique(code) || voucherStore.has(code));
+        return code;
+    }
+
+    /**
+     * Codice personale del programma referral (es. FRIEND-4HQ7XPM9TA): casuale, così non si
+     * indovinano quelli degli altri clienti
+     */
+    generatePersonalCode(prefix) {
+        let code;
+        do {
+            code = `${prefix}-${this.generateRandomCode()}`;
+        } while (!this.isCodeUnique(code));
+        return code;
+    }
+
+    generateUniqueCode(category = null) {
+        let code;
+        do {
+            code = category ? this.generateThematicCode(category) : this.generateRandomCode();
+        } while (!this.isCodeUnique(code));
+        return code;
+    }
+
+    createDiscountCode(options = {}) {
+        const {
+            category = null, description = null, maxUses = 100, validUntil = null, customCode = null, assignedTo = null,
+            type = this.defaultConfig.type, value = this.defaultConfig.value, rules = null
+        } = options;
+        const code = customCode ? customCode.toUpperCase() : this.generateUniqueCode(category);
+
+        if (!this.isCodeUnique(code)) throw new Error(`Codice ${code} già esistente`);
+
+        let autoDescription = description;
+        if (!autoDescription) {
+            const categoryNames = {
+                general: 'Offerta Generale', seasonal: 'Offerta Stagionale', target: 'Offerta Specializzata',
+                social: 'Social Media', events: 'Eventi', special: 'Offerta Speciale', welcome: 'Benvenuto'
+            };
+            // Il valore dei codici a importo fisso è in centesimi di euro
+            const amount = type === 'fixed' ? formatMoney(value, 'eur') : `${value}%`;
+            autoDescription = category ? `${categoryNames[category]} - Sconto ${amount}` : `Codice Automatico - Sconto ${amount}`;
+        }
+
+        const discountCode = {
+            ...this.defaultConfig, type, value, description: autoDescription, maxUses, usedCount: 0,
+            validUntil: validUntil ? new Date(validUntil).toISOString() : null,
+            createdAt: new Date().toISOString(), category: category || 'generated',
+            assignedTo, rules, redemptions: []
+        };
+
+        discountStore.put(code, { code, ...discountCode });
+        return { code, ...discountCode };
+    }
+
+    /**
+     * Codici creati dal generatore (i codici fissi non hanno categoria)
+     */
+    getAllCodes() {
+        const codes = {};
+        discountStore.values().filter(data => data.category).forEach(data => { codes[data.code] = data; });
+        return codes;
+    }
+
+    getStats() {
+        const generatedCodes = Object.values(this.getAllCodes());
+        return {
+            totalCodes: generatedCodes.length,
+            activeCodes: generatedCodes.filter(code => code.active).length,
+            expiredCodes: generatedCodes.filter(code => isDiscountCodeExpired(code)).length,
+            totalUses: generatedCodes.reduce((sum, code) => sum + code.usedCount, 0)
+        };
+    }
+}
+
+// Inizializza il generatore
+const codeGenerator = new DiscountCodeGenerator();
+
+// ===== DATABASE CODICI SCONTO =====
+// Codici e storico degli utilizzi stanno nel journal locale, così i codici personali inviati
+// per email e i conteggi sopravvivono a deploy e riavvii. Ogni utilizzo aggiorna usedCount e
+// redemptions con una sola scrittura. Durante il pagamento il codice è prenotato (reservations),
+// legato al blocco dello slot: la prenotazione conta nei limiti finché il blocco è attivo.
+const discountStore = new JournalStore('discount-codes');
+
+// Codici fissi, creati al primo avvio se mancanti
+const DEFAULT_DISCOUNT_CODES = {
+    'WELCOME10': {
+        type: 'percentage', value: 10, description: 'Benvenuto - Sconto 10%',
+        active: true, maxUses: null, validUntil: null
+    },
+    'STUDENT10': {
+        type: 'percentage', value: 10, description: 'Studenti - Sconto 10%',
+        active: true, maxUses: null, validUntil: null
+    },
+    'FIRST10': {
+        type: 'percentage', value: 10, description: 'Prima Consulenza - Sconto 10%',
+        active: true, maxUses: 500, validUntil: null, rules: { firstBookingOnly: true }
+    }
+};
+
+function getDiscountCode(code) {
+    return code ? discountStore.get(String(code).trim().toUpperCase()) : null;
+}
+
+function isDiscountCodeExpired(discount, now = new Date()) {
+    return !!discount.validUntil && now > new Date(discount.validUntil);
+}
+
+const DISCOUNT_CODE_PATTERN = /^[A-Z0-9-]{3,32}$/;
+
+/**
+ * Valida i campi di un codice sconto inviati dall'admin. In creazione (current null) applica
+ * i valori predefiniti, in modifica valida solo i campi presenti rispetto al codice attuale.
+ */
+function validateDiscountCodeInput(input, current = null) {
+    const errors = [];
+    const values = {};
+    const has = field => input[field] !== undefined;
+
+    if (!current) {
+        if (has('category') && input.category !== null && !codeGenerator.prefixes[input.category]) {
+            errors.push(`category deve essere una tra: ${Object.keys(codeGenerator.prefixes).join(', ')}`);
+        } else {
+            values.category = input.category || null;
+        }
+
+        if (has('customCode') && input.customCode !== null) {
+            const customCode = String(input.customCode).trim().toUpperCase();
+            if (!DISCOUNT_CODE_PATTERN.test(customCode)) {
+                errors.push('customCode: da 3 a 32 caratteri tra lettere, numeri e trattini');
+            } else {
+                values.customCode = customCode;
+            }
+        }
+    }
+
+    const type = has('type') ? input.type : (current ? current.type : codeGenerator.defaultConfig.type);
+    const value = has('value') ? input.value : (current ? current.value : codeGenerator.defaultConfig.value);
+    if (type !== 'percentage' && type !== 'fixed') {
+        errors.push('type deve essere "percentage" o "fixed"');
+    } else if (type === 'percentage' && !(Number.isInteger(value) && value >= 1 && value <= 100)) {
+        errors.push('value: per gli sconti percentuali un intero tra 1 e 100');
+    } else if (type === 'fixed' && !(Number.isInteger(value) && value > 0)) {
+        errors.push('value: per gli sconti a importo fisso un intero positivo in centesimi di euro');
+    } else {
+        values.type = type;
+        values.value = value;
+    }
+
+    if (has('maxUses')) {
+        if (input.maxUses !== null && !(Number.isInteger(input.maxUses) && input.maxUses > 0)) {
+            errors.push('maxUses deve essere un intero positivo o null (illimitato)');
+        } else {
+            values.maxUses = input.maxUses;
+        }
+    }
+
+    if (has('validUntil')) {
+        const validUntil = input.validUntil === null ? null : new Date(input.validUntil);
+        if (validUntil && isNaN(validUntil.getTime())) {
+            errors.push('validUntil deve essere una data ISO 8601 o null');
+        } else if (validUntil && !current && validUntil <= new Date()) {
+            errors.push('validUntil deve essere nel futuro');
+        } else {
+            values.validUntil = validUntil ? validUntil.toISOString() : null;
+        }
+    }
+
+    if (has('description')) {
+        const description = typeof input.description === 'string' ? input.description.trim() : '';
+        if (!description || description.length > 200) {
+            errors.push('description deve essere un testo tra 1 e 200 caratteri');
+        } else {
+            values.description = description;
+        }
+    }
+
+    if (has('assignedTo')) {
+        if (input.assignedTo !== null && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(input.assignedTo).trim())) {
+            errors.push('assignedTo deve essere un indirizzo email o null');
+        } else {
+            values.assignedTo = input.assignedTo === null ? null : normalizeEmail(input.assignedTo);
+        }
+    }
+
+    if (has('rules')) {
+        const validation = input.rules === null ? { errors: [], rules: null } : validateDiscountRules(input.rules);
+        errors.push(...validation.errors);
+        values.rules = validation.rules && Object.keys(validation.rules).length > 0 ? validation.rules : null;
+    }
+
+    if (current && has('active')) {
+        if (typeof input.active !== 'boolean') {
+            errors.push('active deve essere true o false');
+        } else {
+            values.active = input.active;
+        }
+    }
+
+    return { valid: errors.length === 0, errors, values };
+}
+
+/**
+ * Prenotazioni del codice legate a blocchi ancora attivi
+ */
+function getActiveDiscountReservations(discount) {
+    return (discount.reservations || []).filter(reservation => {
+        const hold = holdStore.get(reservation.holdId);
+        return hold && isHoldActive(hold);
+    });
+}
+
+/**
+ * Prenota un utilizzo del codice per il pagamento legato al blocco holdId.
+ * Sincrona come createSlotHold: controllo dei limiti (utilizzi e prenotazioni) e scrittura
+ * avvengono senza await in mezzo, quindi due pagamenti paralleli non superano maxUses.
+ * Restituisce { discount } oppure { error, code }.
+ */
+function reserveDiscountCode(code, holdId, customerEmail) {
+    const discount = getDiscountCode(code);
+    if (!discount) {
+        return { error: 'Codice sconto non valido', code: 'DISCOUNT_INVALID' };
+    }
+
+    const email = normalizeEmail(customerEmail);
+    const reservations = getActiveDiscountReservations(discount);
+
+    if (discount.maxUses && discount.usedCount + reservations.length >= discount.maxUses) {
+        return { error: 'Codice sconto esaurito', code: 'DISCOUNT_EXHAUSTED' };
+    }
+
+    const maxUsesPerCustomer = discount.rules && discount.rules.maxUsesPerCustomer;
+    const customerReservations = reservations.filter(reservation => reservation.customerEmail === email).length;
+    if (maxUsesPerCustomer && countCustomerRedemptions(discount, email) + customerReservations >= maxUsesPerCustomer) {
+        return { error: 'Hai già utilizzato questo codice sconto il numero massimo di volte', code: 'DISCOUNT_CUSTOMER_LIMIT_REACHED' };
+    }
+
+    return {
+        discount: discountStore.put(discount.code, {
+            ...discount,
+            reservations: [...reservations, { holdId, customerEmail: email, createdAt: new Date().toISOString() }]
+        })
+    };
+}
+
+/**
+ * Libera la prenotazione del codice legata a un blocco (pagamento concluso, fallito o scaduto)
+ */
+function releaseDiscountReservation(holdId) {
+    const discount = discountStore.values().find(candidate =>
+        (candidate.reservations || []).some(reservation => reservation.holdId === holdId));
+    if (!discount) return null;
+
+    return discountStore.put(discount.code, {
+        ...discount,
+        reservations: discount.reservations.filter(reservation => reservation.holdId !== holdId)
+    });
+}
+
+/**
+ * Conta l'utilizzo di un codice per un pagamento (una sola volta per paymentIntentId)
+ * e chiude l'eventuale prenotazione fatta alla creazione del pagamento
+ */
+function redeemDiscountCode(code, { paymentIntentId, bookingId, customerEmail, holdId = null }) {
+    const discount = getDiscountCode(code);
+    if (!discount) return null;
+
+    const alreadyRedeemed = discount.redemptions.some(redemption =>
+        redemption.paymentIntentId === paymentIntentId && !redemption.rolledBackAt);
+    if (alreadyRedeemed) return discount;
+
+    return discountStore.put(discount.code, {
+        ...discount,
+        reservations: getActiveDiscountReservations(discount).filter(reservation => reservation.holdId !== holdId),
+        usedCount: discount.usedCount + 1,
+        redemptions: [...discount.redemptions, {
+            paymentIntentId, bookingId, customerEmail: normalizeEmail(customerEmail), redeemedAt: new Date().toISOString()
+        }]
+    });
+}
+
+/**
+ * Annulla l'utilizzo contato per un pagamento (rimborso, contestazione, ...)
+ */
+function rollbackDiscountRedemption(code, paymentIntentId) {
+    const discount = getDiscountCode(code);
+    if (!discount) return null;
+
+    const index = discount.redemptions.findIndex(redemption =>
+        redemption.paymentIntentId === paymentIntentId && !redemption.rolledBackAt);
+    if (index === -1) return discount;
+
+    const redemptions = [...discount.redemptions];
+    redemptions[index] = { ...redemptions[index], rolledBackAt: new Date().toISOString() };
+
+    return discountStore.put(discount.code, {
+        ...discount,
+        usedCount: Math.max(0, discount.usedCount - 1),
+        redemptions
+    });
+}
+
+// ===== REGOLE DI IDONEITÀ DEI CODICI SCONTO =====
+// Ogni codice può avere un oggetto rules, con regole tutte facoltative:
+//   allowedEmails, allowedDomains  solo per questi indirizzi o domini (i domini valgono anche per i sottodomini)
+//   firstBookingOnly               solo per chi non ha già prenotazioni confermate
+//   minOrderAmount                 prezzo minimo del servizio, in centesimi di euro
+//   weekdays, timeWindow           giorni (sunday ... saturday) e fascia oraria { from, to } dell'appuntamento
+//   serviceIds                     solo per questi servizi
+//   maxUsesPerCustomer             utilizzi massimi per lo stesso indirizzo email
+// I codici personali (assignedTo) valgono solo per l'indirizzo a cui sono stati inviati.
+const DISCOUNT_RULE_NAMES = ['allowedEmails', 'allowedDomains', 'firstBookingOnly', 'minOrderAmount', 'weekdays', 'timeWindow', 'serviceIds', 'maxUsesPerCustomer'];
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Valida le regole inviate dall'admin e le restituisce normalizzate
+ */
+function validateDiscountRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return { errors: ['rules deve essere un oggetto o null'], rules: null };
+    }
+
+    const errors = [];
+    const normalized = {};
+    const isStringList = list => Array.isArray(list) && list.length > 0 && list.every(item => typeof item === 'string' && item.trim());
+
+    Object.keys(rules).filter(name => !DISCOUNT_RULE_NAMES.includes(name)).forEach(name => {
+        errors.push(`rules.${name}: regola sconosciuta`);
+    });
+
+    if (rules.allowedEmails !== undefined) {
+        if (!isStringList(rules.allowedEmails) || !rules.allowedEmails.every(email => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim()))) {
+            errors.push('rules.allowedEmails deve essere una lista di indirizzi email');
+        } else {
+            normalized.allowedEmails = rules.allowedEmails.map(normalizeEmail);
+        }
+    }
+
+    if (rules.allowedDomains !== undefined) {
+        if (!isStringList(rules.allowedDomains)) {
+            errors.push('rules.allowedDomains deve essere una lista di domini (es. "unimi.it")');
+        } else {
+            normalized.allowedDomains = rules.allowedDomains.map(domain => domain.trim().toLowerCase().replace(/^[@.]/, ''));
+        }
+    }
+
+    if (rules.firstBookingOnly !== undefined) {
+        if (typeof rules.firstBookingOnly !== 'boolean') {
+            errors.push('rules.firstBookingOnly deve essere true o false');
+        } else if (rules.firstBookingOnly) {
+            normalized.firstBookingOnly = true;
+        }
+    }
+
+    ['minOrderAmount', 'maxUsesPerCustomer'].forEach(name => {
+        if (rules[name] === undefined) return;
+        if (!Number.isInteger(rules[name]) || rules[name] <= 0) {
+            errors.push(`rules.${name} deve essere un intero positivo`);
+        } else {
+            normalized[name] = rules[name];
+        }
+    });
+
+    if (rules.weekdays !== undefined) {
+        if (!isStringList(rules.weekdays) || !rules.weekdays.every(day => WEEKDAY_NAMES.includes(day))) {
+            errors.push(`rules.weekdays deve essere una lista di giorni tra: ${WEEKDAY_NAMES.join(', ')}`);
+        } else {
+            normalized.weekdays = [...new Set(rules.weekdays)];
+        }
+    }
+
+    if (rules.timeWindow !== undefined) {
+        const { from, to } = rules.timeWindow || {};
+        if (!TIME_PATTERN.test(from || '') || !TIME_PATTERN.test(to || '') || from >= to) {
+            errors.push('rules.timeWindow deve essere { from, to } in formato HH:MM, con from prima di to');
+        } else {
+            normalized.timeWindow = { from, to };
+        }
+    }
+
+    if (rules.serviceIds !== undefined) {
+        if (!isStringList(rules.serviceIds) || !rules.serviceIds.every(serviceId => getServiceCatalog().services.some(service => service.id === serviceId))) {
+            errors.push('rules.serviceIds deve essere una lista di servizi del catalogo');
+        } else {
+            normalized.serviceIds = rules.serviceIds;
+        }
+    }
+
+    return { errors, rules: normalized };
+}
+
+function hasConfirmedBookings(customerEmail) {
+    return bookingStore.values().some(booking =>
+        booking.status === 'Confermata' && normalizeEmail(booking.customerEmail) === customerEmail);
+}
+
+function countCustomerRedemptions(discount, customerEmail) {
+    return discount.redemptions.filter(redemption =>
+        !redemption.rolledBackAt && redemption.customerEmail === customerEmail).length;
+}
+
+/**
+ * Controlla assegnatario e regole del codice per un ordine. Restituisce null se il codice è
+ * utilizzabile, altrimenti { error, code }. I controlli che richiedono dati non forniti
+ * (es. l'email nell'anteprima dello sconto) sono rimandati alla creazione del pagamento.
+ */
+function checkDiscountEligibility(discount, { email, serviceId, originalPrice, currency, appointmentDate, appointmentTime } = {}) {
+    const rules = discount.rules || {};
+    const customerEmail = email ? normalizeEmail(email) : null;
+
+    if (customerEmail) {
+        if (discount.assignedTo && normalizeEmail(discount.assignedTo) !== customerEmail) {
+            return { error: 'Questo codice sconto è personale e non è associato al tuo indirizzo email', code: 'DISCOUNT_NOT_ASSIGNED_TO_CUSTOMER' };
+        }
+
+        if (discount.referrerEmail === customerEmail) {
+            return { error: 'Non puoi usare il tuo codice invito: condividilo con i tuoi amici', code: 'DISCOUNT_OWN_REFERRAL' };
+        }
+
+        if (rules.allowedEmails || rules.allowedDomains) {
+            const domain = customerEmail.split('@')[1] || '';
+            const allowed = (rules.allowedEmails || []).includes(customerEmail) ||
+                (rules.allowedDomains || []).some(allowedDomain => domain === allowedDomain || domain.endsWith(`.${allowedDomain}`));
+            if (!allowed) {
+                return { error: 'Codice sconto non valido per questo indirizzo email', code: 'DISCOUNT_EMAIL_NOT_ALLOWED' };
+            }
+        }
+
+        if (rules.firstBookingOnly && hasConfirmedBookings(customerEmail)) {
+            return { error: 'Codice sconto valido solo per la prima prenotazione', code: 'DISCOUNT_FIRST_BOOKING_ONLY' };
+        }
+
+        if (rules.maxUsesPerCustomer && countCustomerRedemptions(discount, customerEmail) >= rules.maxUsesPerCustomer) {
+            return { error: 'Hai già utilizzato questo codice sconto il numero massimo di volte', code: 'DISCOUNT_CUSTOMER_LIMIT_REACHED' };
+        }
+    }
+
+    if (serviceId && rules.serviceIds && !rules.serviceIds.includes(serviceId)) {
+        return { error: 'Codice sconto non valido per questo servizio', code: 'DISCOUNT_SERVICE_NOT_ALLOWED' };
+    }
+
+    if (rules.minOrderAmount && originalPrice < convertFromEur(rules.minOrderAmount, currency)) {
+        return {
+            error: `Codice sconto valido per ordini di almeno ${formatMoney(convertFromEur(rules.minOrderAmount, currency), currency)}`,
+            code: 'DISCOUNT_MIN_AMOUNT_NOT_REACHED'
+        };
+    }
+
+    if (appointmentDate && rules.weekdays && !rules.weekdays.includes(WEEKDAY_NAMES[new Date(`${appointmentDate}T12:00:00Z`).getUTCDay()])) {
+        return { error: 'Codice sconto non valido per il giorno dell\'appuntamento', code: 'DISCOUNT_DAY_NOT_ALLOWED' };
+    }
+
+    if (appointmentTime && rules.timeWindow && !(appointmentTime >= rules.timeWindow.from && appointmentTime < rules.timeWindow.to)) {
+        return {
+            error: `Codice sconto valido solo per appuntamenti tra le ${rules.timeWindow.from} e le ${rules.timeWindow.to}`,
+            code: 'DISCOUNT_TIME_NOT_ALLOWED'
+        };
+    }
+
+    return null;
+}
+
+// ===== CONFIGURAZIONE EMAIL CON RESEND =====
+let resend;
+if (process.env.RESEND_API_KEY) {
+    resend = new Resend(process.env.RESEND_API_KEY);
+    console.log('📧 Resend email configurato');
+} else {
+    console.warn('⚠️ RESEND_API_KEY non configurata - servizio email disabilitato');
+}
+
+// Funzione helper per inviare email con Resend
+async function sendEmail(options) {
+    if (!resend) {
+        throw new Error('Resend non configurato');
+    }
+    
+    const { data, error } = await resend.emails.send({
+        from: options.from || `Valentin Procida <${process.env.EMAIL_FROM || 'onboarding@resend.dev'}>`,
+        to: Array.isArray(options.to) ? options.to : [options.to],
+        subject: options.subject,
+        html: options.html,
+        attachments: (options.attachments || []).filter(Boolean)
+    });
+    
+    if (error) {
+        throw new Error(error.message);
+    }
+    
+    return data;
+}
+// ===== EMAIL TEMPLATES =====
+/**
+ * Testo scritto dai clienti (nomi, email, messaggi) da inserire nelle email HTML
+ */
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function createBookingConfirmationTemplate(bookingData) {
+    const appointment = describeAppointmentTimes(bookingData);
+    const service = getService(bookingData.serviceId) || getService();
+    const durationMinutes = getBookingDuration(bookingData);
+    const formattedDate = appointment ? appointment.business.date : 'Da confermare';
+
+    const finalAmount = formatMoney(bookingData.amount, bookingData.currency);
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Prenotazione Confermata</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        
+        <!-- Header -->
+        <div style="background: #2c3e50; padding: 40px 30px; text-align: center;">
+            <div style="width: 60px; height: 60px; background: #27ae60; border-radius: 50%; margin: 0 auto 20px; display: flex; align-items: center; justify-content: center; font-size: 28px; color: white;">✓</div>
+            <h1 style="margin: 0; font-size: 28px; font-weight: 300; color: white;">Prenotazione Confermata</h1>
+            <p style="margin: 15px 0 0 0; color: #bdc3c7; font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">Consulenza VFX • Valentin Procida</p>
+        </div>
+        
+        <!-- Content -->
+        <div style="padding: 40px 30px;">
+            
+            <div style="text-align: center; margin-bottom: 40px;">
+                <h2 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 24px; font-weight: 400;">Ciao ${escapeHtml(bookingData.customerName || bookingData.name)}!</h2>
+                <p style="color: #555; font-size: 16px; line-height: 1.6; margin: 0;">
+                    La tua consulenza VFX è stata confermata con successo.<br>
+                    <strong style="color: #2c3e50;">Riceverai il link Google Meet in una email separata tra pochi minuti.</strong>
+                </p>
+            </div>
+            
+            <!-- Appointment Details -->
+            <div style="background: #f8f9fa; border: 1px solid #e9ecef; padding: 30px; margin-bottom: 30px;">
+                <h3 style="color: #2c3e50; margin: 0 0 20px 0; font-size: 16px; font-weight: 600; text-transform: uppercase; letter-spacing: 1px; border-bottom: 2px solid #3498db; padding-bottom: 10px;">📅 Dettagli Appuntamento</h3>
+                
+                <table style="width: 100%; border-collapse: collapse;">
+                    <tr style="border-bottom: 1px solid #e9ecef;">
+                        <td style="padding: 12px 0; color: #666; font-weight: 500; width: 35%;">Data:</td>
+                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">${formattedDate}</td>
+                    </tr>
+                    <tr style="border-bottom: 1px solid #e9ecef;">
+                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Orario:</td>
+                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">${appointment ? `${appointment.business.time} (${appointment.business.zoneLabel})` : 'Da confermare'}</td>
+                    </tr>
+                    ${appointment && appointment.customer ? `
+                    <tr style="border-bottom: 1px solid #e9ecef;">
+                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Il tuo orario:</td>
+                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">${appointment.customer.date}, ${appointment.customer.time} (${appointment.customer.zoneLabel})</td>
+                    </tr>` : ''}
+                    <tr style="border-bottom: 1px solid #e9ecef;">
+                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Durata:</td>
+                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">${durationMinutes} minuti</td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Modalità:</td>
+                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">Video chiamata Google Meet</td>
+                    </tr>
+                </table>
+            </div>
+            
+            <!-- Payment Summary -->
+            <div style="background: #e8f5e9; border: 1px solid #c3e6cb; padding: 30px; margin-bottom: 30px;">
+                <h3 style="color: #2c3e50; margin: 0 0 20px 0; font-size: 16px; font-weight: 600; text-transform: uppercase; letter-spacing: 1px; border-bottom: 2px solid #27ae60; padding-bottom: 10px;">💳 Riepilogo Pagamento</h3>
+                
+                <table style="width: 100%; border-collapse: collapse;">
+                    <tr style="border-bottom: 1px solid #c3e6cb;">
+                        <td style="padding: 12px 0; color: #666; font-weight: 500;">${service.name}:</td>
+                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 700; font-size: 18px; text-align: right;">${finalAmount}</td>
+                    </tr>
+                    ${bookingData.depositAmount ? `
+                    <tr style="border-bottom: 1px solid #c3e6cb;">
+                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Acconto pagato:</td>
+                        <td style="padding: 12px 0; color: #27ae60; font-weight: 600; text-align: right;">${formatMoney(bookingData.depositAmount, bookingData.currency)}</td>
+                    </tr>
+                    <tr style="border-bottom: 1px solid #c3e6cb;">
+                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Saldo da pagare:</td>
+                        <td style="padding: 12px 0; color: #e67e22; font-weight: 600; text-align: right;">${formatMoney(bookingData.amount - bookingData.depositAmount, bookingData.currency)}</td>
+                    </tr>` : ''}
+                    ${bookingData.discount ? `
+                    <tr style="border-bottom: 1px solid #c3e6cb;">
+                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Sconto ${bookingData.discount.code}:</td>
+                        <td style="padding: 12px 0; color: #27ae60; font-weight: 600; text-align: right;">Applicato ✓</td>
+                    </tr>` : ''}
+                    ${bookingData.giftVoucher ? `
+                    <tr style="border-bottom: 1px solid #c3e6cb;">
+                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Buono regalo ${bookingData.giftVoucher.code}:</td>
+                        <td style="padding: 12px 0; color: #27ae60; font-weight: 600; text-align: right;">-${formatMoney(bookingData.giftVoucher.amount, bookingData.currency)}</td>
+                    </tr>` : ''}
+                    <tr>
+                        <td colspan="2" style="padding: 15px 0 0 0; color: #666; font-size: 12px;">
+                            <strong>ID Transazione:</strong> ${bookingData.paymentIntent || bookingData.paymentId}
+                        </td>
+                    </tr>
+                </table>
+            </div>
+            
+            <!-- Google Meet Notice -->
+            <div style="background: #2c3e50; color: white; padding: 30px; text-align: center; margin-bottom: 30px;">
+                <div style="width: 50px; height: 50px; background: #3498db; border-radius: 50%; margin: 0 auto 15px; display: flex; align-items: center; justify-content: center; font-size: 20px;">🎥</div>
+                <h3 style="color: white; margin: 0 0 15px 0; font-size: 18px; font-weight: 500;">Link Google Meet in Arrivo</h3>
+                <p style="margin: 0; font-size: 16px; line-height: 1.5;">
+                    Ti invieremo il link per la video chiamata in una <strong>email separata tra pochi minuti</strong>.<br>
+                    Controlla la tua casella di posta!
+                </p>
+            </div>
+            ${createBalanceDueSection(bookingData)}
+            ${createManageBookingSection(bookingData)}
+            ${createReferralInviteSection(bookingData)}
+            <!-- Support -->
+            <div style="text-align: center; padding: 25px; background: #f8f9fa; border: 1px solid #e9ecef;">
+                <p style="margin: 0; color: #666; font-size: 14px; line-height: 1.5;">
+                    Hai domande? Rispondi pure a questa email.<br>
+                    <strong style="color: #2c3e50;">Ci sentiamo presto!</strong>
+                </p>
+            </div>
+            
+        </div>
+        
+        <!-- Footer -->
+        <div style="background: #34495e; color: white; padding: 30px; text-align: center;">
+            <div style="margin-bottom: 10px;">
+                <strong style="font-size: 18px;">Valentin Procida</strong>
+            </div>
+            <div style="color: #bdc3c7; font-size: 14px; line-height: 1.4;">
+                VFX Artist & Career Consultant<br>
+                <a href="https://www.valentinprocida.it" style="color: #3498db; text-decoration: none;">www.valentinprocida.it</a>
+            </div>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function createMeetingLinkEmailTemplate(bookingData, meetingInfo) {
+    const durationMinutes = getBookingDuration(bookingData);
+    const businessTimeZone = getBusinessTimeZone();
+    const start = formatInTimeZone(meetingInfo.startTime, businessTimeZone);
+    const end = formatInTimeZone(meetingInfo.endTime, businessTimeZone);
+    const formattedDate = start.date;
+
+    // Orario anche nel fuso del cliente, se diverso da quello dell'attività
+    const customerTimeZone = bookingData.customerTimezone;
+    const showCustomerTime = customerTimeZone && customerTimeZone !== businessTimeZone && isValidTimeZone(customerTimeZone);
+    const customerStart = showCustomerTime ? formatInTimeZone(meetingInfo.startTime, customerTimeZone) : null;
+    const customerEnd = showCustomerTime ? formatInTimeZone(meetingInfo.endTime, customerTimeZone) : null;
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Link Google Meet - Valentin Procida</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        
+        <!-- Header -->
+        <div style="background: #27ae60; padding: 40px 30px; text-align: center;">
+            <div style="width: 60px; height: 60px; background: white; border-radius: 50%; margin: 0 auto 20px; display: flex; align-items: center; justify-content: center; font-size: 28px;">🎥</div>
+            <h1 style="margin: 0; font-size: 28px; font-weight: 300; color: white;">Google Meet Pronto!</h1>
+            <p style="margin: 15px 0 0 0; color: rgba(255,255,255,0.9); font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">Il tuo link è qui sotto</p>
+        </div>
+        
+        <!-- Content -->
+        <div style="padding: 40px 30px;">
+            
+            <div style="text-align: center; margin-bottom: 40px;">
+                <h2 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 24px; font-weight: 400;">Ciao ${escapeHtml(bookingData.customerName)}!</h2>
+                <p style="color: #555; font-size: 16px; line-height: 1.6; margin: 0;">
+                    La tua prenotazione è completa! Usa il link qui sotto per unirti alla video chiamata.<br>
+                    <strong style="color: #2c3e50;">Salva questa email.</strong>
+                </p>
+            </div>
+            
+            <!-- Google Meet Link prominente -->
+            <div style="background: #2c3e50; padding: 40px 30px; text-align: center; margin-bottom: 40px;">
+                <h3 style="margin: 0 0 25px 0; color: white; font-size: 16px; font-weight: 600; text-transform: uppercase; letter-spacing: 1px;">🔗 Link Video Chiamata</h3>
+                <a href="${meetingInfo.meetLink}" 
+                   style="background: white; color: #2c3e50; padding: 15px 30px; text-decoration: none; 
+                          font-weight: 600; font-size: 16px; display: inline-block; 
+                          text-transform: uppercase; letter-spacing: 1px; border-radius: 5px;">
+                    🎥 Unisciti alla Chiamata
+                </a>
+                <p style="margin: 20px 0 0 0; color: rgba(255,255,255,0.9); font-size: 14px;">
+                    Clicca 5-10 minuti prima dell'appuntamento
+                </p>
+            </div>
+            
+            <!-- Meeting Schedule -->
+            <div style="background: #f8f9fa; border: 1px solid #e9ecef; padding: 30px; margin-bottom: 30px;">
+                <h3 style="color: #2c3e50; margin: 0 0 20px 0; font-size: 16px; font-weight: 600; text-transform: uppercase; letter-spacing: 1px; border-bottom: 2px solid #27ae60; padding-bottom: 10px;">📅 Programma</h3>
+                
+                <table style="width: 100%; border-collapse: collapse;">
+                    <tr style="border-bottom: 1px solid #e9ecef;">
+                        <td style="padding: 12px 0; color: #666; font-weight: 500; width: 35%;">Data:</td>
+                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">${formattedDate}</td>
+                    </tr>
+                    <tr style="border-bottom: 1px solid #e9ecef;">
+                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Orario:</td>
+                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">${start.time} - ${end.time}</td>
+                    </tr>
+                    <tr style="border-bottom: 1px solid #e9ecef;">
+                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Fuso Orario:</td>
+                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">${start.zoneLabel}</td>
+                    </tr>
+                    ${customerStart ? `
+                    <tr style="border-bottom: 1px solid #e9ecef;">
+                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Il tuo orario:</td>
+                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">${customerStart.date}, ${customerStart.time} - ${customerEnd.time} (${customerStart.zoneLabel})</td>
+                    </tr>` : ''}
+                    <tr>
+                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Durata:</td>
+                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">${durationMinutes} minuti</td>
+                    </tr>
+                </table>
+            </div>
+            
+            ${createManageBookingSection(bookingData)}
+            <!-- Support -->
+            <div style="text-align: center; padding: 25px; background: #fff3cd; border: 1px solid #ffeaa7;">
+                <p style="margin: 0; color: #666; font-size: 14px; line-height: 1.5;">
+                    <strong style="color: #2c3e50;">Problemi tecnici?</strong><br>
+                    Contattami subito: 
+                    <a href="mailto:${process.env.ADMIN_EMAIL || process.env.EMAIL_USER}" style="color: #e17055; text-decoration: none; font-weight: 600;">
+                        ${process.env.ADMIN_EMAIL || process.env.EMAIL_USER}
+                    </a>
+                </p>
+            </div>
+            
+        </div>
+        
+        <!-- Footer -->
+        <div style="background: #34495e; color: white; padding: 30px; text-align: center;">
+            <div style="margin-bottom: 10px;">
+                <strong style="font-size: 18px;">Valentin Procida</strong>
+            </div>
+            <div style="color: #bdc3c7; font-size: 14px; line-height: 1.4;">
+                VFX Artist & Career Consultant<br>
+                <a href="https://www.valentinprocida.it" style="color: #3498db; text-decoration: none;">www.valentinprocida.it</a>
+            </div>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function createDiscountEmailTemplate(name, discountCode, discountAmount) {
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Your Discount Code - Valentin Procida</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        
+        <!-- Header -->
+        <div style="background: #e74c3c; padding: 40px 30px; text-align: center;">
+            <div style="width: 60px; height: 60px; background: white; border-radius: 50%; margin: 0 auto 20px; display: flex; align-items: center; justify-content: center; font-size: 28px;">🎉</div>
+            <h1 style="margin: 0; font-size: 28px; font-weight: 300; color: white;">Your Discount is Ready!</h1>
+            <p style="margin: 15px 0 0 0; color: rgba(255,255,255,0.9); font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">Exclusive ${discountAmount}% VFX Consultation Discount</p>
+        </div>
+        
+        <!-- Content -->
+        <div style="padding: 40px 30px;">
+            
+            <div style="text-align: center; margin-bottom: 40px;">
+                <h2 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 24px; font-weight: 400;">${name ? `Hi ${escapeHtml(name)}!` : 'Hello!'}</h2>
+                <p style="color: #555; font-size: 16px; line-height: 1.6; margin: 0;">
+                    Thank you for your interest in my VFX consultation services!<br>
+                    <strong style="color: #2c3e50;">Here's your exclusive discount code:</strong>
+                </p>
+            </div>
+            
+            <!-- Discount Code prominente -->
+            <div style="background: #2c3e50; padding: 40px 30px; text-align: center; margin-bottom: 40px;">
+                <p style="color: rgba(255,255,255,0.9); margin: 0 0 15px 0; font-size: 12px; text-transform: uppercase; letter-spacing: 1.5px; font-weight: 600;">Your Discount Code</p>
+                <div style="background: white; color: #2c3e50; padding: 20px; margin: 20px 0; font-size: 32px; font-weight: 700; letter-spacing: 4px; font-family: 'Courier New', monospace; border-radius: 5px; border: 3px solid #e74c3c;">${discountCode}</div>
+                <p style="color: white; margin: 15px 0 0 0; font-size: 18px; font-weight: 500;">Save ${discountAmount}% on your VFX consultation</p>
+            </div>
+            
+            <!-- CTA Button -->
+            <div style="text-align: center; margin-bottom: 40px;">
+                <a href="https://www.valentinprocida.it/buy.html" 
+                   style="background: #e74c3c; color: white; padding: 15px 35px; text-decoration: none; 
+                          font-weight: 600; font-size: 16px; display: inline-block;
+                          text-transform: uppercase; letter-spacing: 1px; border-radius: 5px;">
+                    🚀 Book Your Consultation Now
+                </a>
+                <p style="color: #666; margin: 15px 0 0 0; font-size: 12px; text-transform: uppercase; letter-spacing: 1px;">
+                    Limited time offer
+                </p>
+            </div>
+            
+        </div>
+        
+        <!-- Footer -->
+        <div style="background: #34495e; color: white; padding: 30px; text-align: center;">
+            <div style="margin-bottom: 15px;">
+                <h3 style="margin: 0 0 5px 0; font-size: 16px; font-weight: 500;">Best regards,</h3>
+                <strong style="font-size: 20px; font-weight: 600;">Valentin Procida</strong>
+            </div>
+            <div style="color: #bdc3c7; font-size: 14px; line-height: 1.4; margin-bottom: 20px;">
+                VFX Artist & Rigger
+            </div>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function createAdminNotificationTemplate(bookingData) {
+    const appointment = describeAppointmentTimes(bookingData);
+    const service = getService(bookingData.serviceId) || getService();
+    const durationMinutes = getBookingDuration(bookingData);
+    const formattedDate = appointment ? appointment.business.date : 'Non specificata';
+
+    const finalAmount = formatMoney(bookingData.amount, bookingData.currency);
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>New Booking - Admin Notification</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        
+        <!-- Header Admin -->
+        <div style="background: #9b59b6; padding: 30px; text-align: center;">
+            <div style="width: 50px; height: 50px; background: white; border-radius: 50%; margin: 0 auto 15px; display: flex; align-items: center; justify-content: center; font-size: 20px;">🎯</div>
+            <h1 style="margin: 0; font-size: 24px; font-weight: 600; color: white;">Nuova Prenotazione</h1>
+            <p style="margin: 10px 0 0 0; color: rgba(255,255,255,0.9); font-size: 12px; text-transform: uppercase; letter-spacing: 1px;">Sistema VFX Booking</p>
+        </div>
+        
+        <!-- Content Admin -->
+        <div style="padding: 30px;">
+            
+            <!-- Customer Section -->
+            <div style="margin-bottom: 30px;">
+                <h3 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 14px; font-weight: 600; text-transform: uppercase; letter-spacing: 1px; border-bottom: 2px solid #9b59b6; padding-bottom: 8px;">👤 Cliente</h3>
+                
+                <div style="background: #f8f9fa; border-left: 4px solid #9b59b6; padding: 20px;">
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <tr style="border-bottom: 1px solid #e9ecef;">
+                            <td style="padding: 8px 0; color: #666; font-weight: 500; width: 30%;">Nome:</td>
+                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 600;">${escapeHtml(bookingData.customerName || bookingData.name)}</td>
+                        </tr>
+                        <tr style="border-bottom: 1px solid #e9ecef;">
+                            <td style="padding: 8px 0; color: #666; font-weight: 500;">Email:</td>
+                            <td style="padding: 8px 0;"><a href="mailto:${escapeHtml(bookingData.customerEmail || bookingData.email)}" style="color: #9b59b6; text-decoration: none; font-weight: 500;">${escapeHtml(bookingData.customerEmail || bookingData.email)}</a></td>
+                        </tr>
+                        <tr style="border-bottom: 1px solid #e9ecef;">
+                            <td style="padding: 8px 0; color: #666; font-weight: 500;">Telefono:</td>
+                            <td style="padding: 8px 0;"><a href="tel:${escapeHtml(bookingData.customerPhone || bookingData.phone)}" style="color: #9b59b6; text-decoration: none; font-weight: 500;">${escapeHtml(bookingData.customerPhone || bookingData.phone)}</a></td>
+                        </tr>
+                        ${bookingData.company ? `
+                        <tr>
+                            <td style="padding: 8px 0; color: #666; font-weight: 500;">Azienda:</td>
+                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 600;">${escapeHtml(bookingData.company)}</td>
+                        </tr>` : ''}
+                    </table>
+                </div>
+            </div>
+            
+            <!-- Appointment Section -->
+            <div style="margin-bottom: 30px;">
+                <h3 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 14px; font-weight: 600; text-transform: uppercase; letter-spacing: 1px; border-bottom: 2px solid #3498db; padding-bottom: 8px;">📅 Appuntamento</h3>
+                
+                <div style="background: #e3f2fd; border-left: 4px solid #3498db; padding: 20px;">
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <tr style="border-bottom: 1px solid #bbdefb;">
+                            <td style="padding: 8px 0; color: #666; font-weight: 500; width: 30%;">Servizio:</td>
+                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 600;">${service.name}</td>
+                        </tr>
+                        <tr style="border-bottom: 1px solid #bbdefb;">
+                            <td style="padding: 8px 0; color: #666; font-weight: 500;">Data:</td>
+                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 600;">${formattedDate}</td>
+                        </tr>
+                        <tr style="border-bottom: 1px solid #bbdefb;">
+                            <td style="padding: 8px 0; color: #666; font-weight: 500;">Orario:</td>
+                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 600;">${appointment ? `${appointment.business.time} (${appointment.business.zoneLabel})` : 'Non specificato'}</td>
+                        </tr>
+                        ${appointment && appointment.customer ? `
+                        <tr style="border-bottom: 1px solid #bbdefb;">
+                            <td style="padding: 8px 0; color: #666; font-weight: 500;">Orario cliente:</td>
+                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 600;">${appointment.customer.date}, ${appointment.customer.time} (${appointment.customer.zoneLabel})</td>
+                        </tr>` : ''}
+                        <tr>
+                            <td style="padding: 8px 0; color: #666; font-weight: 500;">Durata:</td>
+                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 600;">${durationMinutes} minuti</td>
+                        </tr>
+                    </table>
+                </div>
+            </div>
+            
+            <!-- Payment Section -->
+            <div style="margin-bottom: 30px;">
+                <h3 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 14px; font-weight: 600; text-transform: uppercase; letter-spacing: 1px; border-bottom: 2px solid #27ae60; padding-bottom: 8px;">💰 Pagamento</h3>
+                
+                <div style="background: #e8f5e9; border-left: 4px solid #27ae60; padding: 20px;">
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <tr style="border-bottom: 1px solid #c3e6cb;">
+                            <td style="padding: 8px 0; color: #666; font-weight: 500; width: 30%;">Importo:</td>
+                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 700; font-size: 18px;">${finalAmount}</td>
+                        </tr>
+                        ${bookingData.depositAmount ? `
+                        <tr style="border-bottom: 1px solid #c3e6cb;">
+                            <td style="padding: 8px 0; color: #666; font-weight: 500;">Acconto:</td>
+                            <td style="padding: 8px 0; color: #e67e22; font-weight: 600;">${formatMoney(bookingData.depositAmount, bookingData.currency)} pagato, saldo ${formatMoney(bookingData.amount - bookingData.depositAmount, bookingData.currency)} da incassare</td>
+                        </tr>` : ''}
+                        ${bookingData.discount ? `
+                        <tr style="border-bottom: 1px solid #c3e6cb;">
+                            <td style="padding: 8px 0; color: #666; font-weight: 500;">Sconto:</td>
+                            <td style="padding: 8px 0; color: #27ae60; font-weight: 600;">${bookingData.discount.code} (-${formatMoney(bookingData.discount.discountAmount, bookingData.currency)})</td>
+                        </tr>` : ''}
+                        ${bookingData.giftVoucher ? `
+                        <tr style="border-bottom: 1px solid #c3e6cb;">
+                            <td style="padding: 8px 0; color: #666; font-weight: 500;">Buono regalo:</td>
+                            <td style="padding: 8px 0; color: #27ae60; font-weight: 600;">${bookingData.giftVoucher.code} (-${formatMoney(bookingData.giftVoucher.amount, bookingData.currency)})</td>
+                        </tr>` : ''}
+                        <tr style="border-bottom: 1px solid #c3e6cb;">
+                            <td style="padding: 8px 0; color: #666; font-weight: 500;">ID Stripe:</td>
+                            <td style="padding: 8px 0;"><code style="background: #f8f9fa; padding: 4px 8px; border-radius: 3px; font-size: 12px; color: #2c3e50;">${bookingData.paymentIntent || bookingData.paymentId}</code></td>
+                        </tr>
+                        <tr>
+                            <td style="padding: 8px 0; color: #666; font-weight: 500;">Timestamp:</td>
+                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 500;">${new Date().toLocaleString('it-IT')}</td>
+                        </tr>
+                    </table>
+                </div>
+            </div>
+            
+        </div>
+        
+        <!-- Footer Admin -->
+        <div style="background: #34495e; color: white; padding: 20px; text-align: center;">
+            <p style="margin: 0; font-size: 12px; text-transform: uppercase; letter-spacing: 1px; color: #bdc3c7;">
+                Sistema VFX Booking • Powered by Valentin Procida
+            </p>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Sezione email con i link firmati per annullare o spostare la prenotazione
+ */
+function createManageBookingSection(bookingData) {
+    const links = createBookingManageLinks(bookingData);
+    if (!links) return '';
+
+    return `
+            <!-- Manage Booking -->
+            <div style="text-align: center; padding: 25px; margin-bottom: 30px; border: 1px solid #e9ecef;">
+                <h3 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 16px; font-weight: 600;">Devi cambiare programma?</h3>
+                <a href="${links.rescheduleUrl}" style="background: #3498db; color: white; padding: 12px 24px; text-decoration: none; font-weight: 600; font-size: 14px; display: inline-block; border-radius: 5px; margin: 5px;">📅 Sposta appuntamento</a>
+                <a href="${links.cancelUrl}" style="background: #95a5a6; color: white; padding: 12px 24px; text-decoration: none; font-weight: 600; font-size: 14px; display: inline-block; border-radius: 5px; margin: 5px;">✖ Annulla prenotazione</a>
+                <p style="margin: 15px 0 0 0; color: #999; font-size: 12px; line-height: 1.5;">
+                    Rimborsi e spostamenti seguono la nostra policy di cancellazione.
+                </p>
+            </div>
+            `;
+}
+
+/**
+ * Sezione email con il saldo ancora da pagare e il link per pagarlo (solo prenotazioni con acconto)
+ */
+function createBalanceDueSection(bookingData) {
+    if (!bookingData.depositAmount) return '';
+
+    const balanceDue = bookingData.balanceDue !== undefined ? bookingData.balanceDue : bookingData.amount - bookingData.depositAmount;
+    const paymentUrl = createBalancePaymentUrl(bookingData);
+    const policy = getDepositPolicy(getService(bookingData.serviceId) || getService());
+
+    return `
+            <!-- Balance Due -->
+            <div style="text-align: center; padding: 25px; margin-bottom: 30px; background: #fef5e7; border: 1px solid #f8c471;">
+                <h3 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 16px; font-weight: 600;">Saldo da pagare: ${formatMoney(balanceDue, bookingData.currency)}</h3>
+                <p style="margin: 0 0 15px 0; color: #555; font-size: 14px; line-height: 1.5;">
+                    Puoi saldare quando vuoi prima dell'appuntamento.<br>
+                    Se il saldo non risulterà pagato ti invieremo un promemoria ${policy.balanceReminderHoursBefore || 48} ore prima.
+                </p>
+                ${paymentUrl ? `<a href="${paymentUrl}" style="background: #e67e22; color: white; padding: 12px 24px; text-decoration: none; font-weight: 600; font-size: 14px; display: inline-block; border-radius: 5px;">💳 Paga il saldo</a>` : ''}
+            </div>
+            `;
+}
+
+function createReferralInviteSection(bookingData) {
+    const referralCode = bookingData.referralCode ? getDiscountCode(bookingData.referralCode) : null;
+    if (!referralCode) return '';
+
+    const config = getReferralConfig();
+
+    return `
+            <!-- Referral -->
+            <div style="text-align: center; padding: 25px; margin-bottom: 30px; border: 2px dashed #27ae60;">
+                <h3 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 16px; font-weight: 600;">🤝 Invita un amico</h3>
+                <p style="margin: 0 0 15px 0; color: #555; font-size: 14px; line-height: 1.5;">
+                    Con il tuo codice personale i tuoi amici hanno il ${referralCode.value}% di sconto sulla prima consulenza.<br>
+                    Per ogni amico che prenota ricevi un codice sconto del ${config.rewardPercent}%.
+                </p>
+                <p style="margin: 0; color: #27ae60; font-size: 22px; font-weight: 700; letter-spacing: 2px; font-family: monospace;">${referralCode.code}</p>
+            </div>
+            `;
+}
+
+function createReferralRewardTemplate(reward, referralCode, bookingData) {
+    const validUntil = reward.validUntil ? formatInTimeZone(new Date(reward.validUntil), getBusinessTimeZone()).date : null;
+    const referrerName = referralCode && referralCode.referrerName ? referralCode.referrerName : null;
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Premio Invito</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        
+        <!-- Header -->
+        <div style="background: #27ae60; padding: 40px 30px; text-align: center;">
+            <div style="font-size: 40px; margin-bottom: 15px;">🎁</div>
+            <h1 style="margin: 0; font-size: 28px; font-weight: 300; color: white;">Grazie per l'invito!</h1>
+            <p style="margin: 15px 0 0 0; color: #d5f5e3; font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">Consulenza VFX • Valentin Procida</p>
+        </div>
+        
+        <!-- Content -->
+        <div style="padding: 40px 30px;">
+            
+            <div style="text-align: center; margin-bottom: 30px;">
+                <h2 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 24px; font-weight: 400;">${referrerName ? `Ciao ${escapeHtml(referrerName)}!` : 'Ciao!'}</h2>
+                <p style="color: #555; font-size: 16px; line-height: 1.6; margin: 0;">
+                    <strong>${escapeHtml(bookingData.customerName || bookingData.name || 'Un tuo amico')}</strong> ha prenotato una consulenza con il tuo codice invito.
+                    Ecco il tuo premio:
+                </p>
+            </div>
+            
+            <!-- Reward -->
+            <div style="text-align: center; padding: 30px; margin-bottom: 30px; border: 2px dashed #27ae60;">
+                <p style="margin: 0 0 10px 0; color: #666; font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">Sconto</p>
+                <p style="margin: 0 0 20px 0; color: #2c3e50; font-size: 32px; font-weight: 700;">${reward.value}%</p>
+                <p style="margin: 0 0 10px 0; color: #666; font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">Codice</p>
+                <p style="margin: 0; color: #27ae60; font-size: 24px; font-weight: 700; letter-spacing: 3px; font-family: monospace;">${reward.code}</p>
+                ${validUntil ? `<p style="margin: 20px 0 0 0; color: #999; font-size: 12px;">Valido fino al ${validUntil}, solo per il tuo indirizzo email</p>` : ''}
+            </div>
+            ${referralCode ? `
+            <div style="text-align: center; padding: 25px; margin-bottom: 30px; background: #f8f9fa; border: 1px solid #e9ecef;">
+                <p style="margin: 0 0 20px 0; color: #555; font-size: 14px; line-height: 1.6;">
+                    Continua a condividere il tuo codice invito <strong style="font-family: monospace;">${referralCode.code}</strong>:<br>
+                    per ogni amico che prenota ricevi un nuovo premio.
+                </p>
+                <a href="https://www.valentinprocida.it/buy.html" style="background: #27ae60; color: white; padding: 12px 24px; text-decoration: none; font-weight: 600; font-size: 14px; display: inline-block; border-radius: 5px;">📅 Prenota la tua consulenza</a>
+            </div>` : ''}
+            
+        </div>
+        
+        <!-- Footer -->
+        <div style="background: #34495e; color: white; padding: 30px; text-align: center;">
+            <div style="margin-bottom: 10px;">
+                <strong style="font-size: 18px;">Valentin Procida</strong>
+            </div>
+            <div style="color: #bdc3c7; font-size: 14px; line-height: 1.4;">
+                VFX Artist & Career Consultant<br>
+                <a href="https://www.valentinprocida.it" style="color: #3498db; text-decoration: none;">www.valentinprocida.it</a>
+            </div>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function createBalanceReminderTemplate(booking, paymentUrl) {
+    const appointment = describeAppointmentTimes(booking);
+    const service = getService(booking.serviceId) || getService();
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Promemoria Saldo</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        
+        <!-- Header -->
+        <div style="background: #e67e22; padding: 40px 30px; text-align: center;">
+            <h1 style="margin: 0; font-size: 28px; font-weight: 300; color: white;">Promemoria Saldo</h1>
+            <p style="margin: 15px 0 0 0; color: #fdebd0; font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">${service.name} • Valentin Procida</p>
+        </div>
+        
+        <!-- Content -->
+        <div style="padding: 40px 30px;">
+            
+            <div style="text-align: center; margin-bottom: 30px;">
+                <h2 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 24px; font-weight: 400;">Ciao ${escapeHtml(booking.customerName)}!</h2>
+                <p style="color: #555; font-size: 16px; line-height: 1.6; margin: 0;">
+                    La tua consulenza del <strong>${appointment.business.date}</strong> alle <strong>${appointment.business.time}</strong> si avvicina.<br>
+                    Risulta ancora da pagare il saldo di <strong>${formatMoney(booking.balanceDue, booking.currency)}</strong>.
+                </p>
+            </div>
+            
+            <!-- Pay Balance -->
+            <div style="text-align: center; padding: 30px; margin-bottom: 30px; background: #fef5e7; border: 1px solid #f8c471;">
+                <a href="${paymentUrl}" style="background: #e67e22; color: white; padding: 15px 30px; text-decoration: none; font-weight: 600; font-size: 16px; display: inline-block; border-radius: 5px;">💳 Paga il saldo</a>
+                <p style="margin: 15px 0 0 0; color: #999; font-size: 12px; line-height: 1.5;">
+                    Hai già pagato? Ignora pure questa email.
+                </p>
+            </div>
+            
+            <!-- Support -->
+            <div style="text-align: center; padding: 25px; background: #f8f9fa; border: 1px solid #e9ecef;">
+                <p style="margin: 0; color: #666; font-size: 14px; line-height: 1.5;">
+                    Per qualsiasi domanda rispondi pure a questa email.
+                </p>
+            </div>
+            
+        </div>
+        
+        <!-- Footer -->
+        <div style="background: #34495e; color: white; padding: 30px; text-align: center;">
+            <div style="margin-bottom: 10px;">
+                <strong style="font-size: 18px;">Valentin Procida</strong>
+            </div>
+            <div style="color: #bdc3c7; font-size: 14px; line-height: 1.4;">
+                VFX Artist & Career Consultant<br>
+                <a href="https://www.valentinprocida.it" style="color: #3498db; text-decoration: none;">www.valentinprocida.it</a>
+            </div>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function createBalancePaidTemplate(booking, amount) {
+    const appointment = describeAppointmentTimes(booking);
+    const service = getService(booking.serviceId) || getService();
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Saldo Ricevuto</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        
+        <!-- Header -->
+        <div style="background: #2c3e50; padding: 40px 30px; text-align: center;">
+            <div style="width: 60px; height: 60px; background: #27ae60; border-radius: 50%; margin: 0 auto 20px; display: flex; align-items: center; justify-content: center; font-size: 28px; color: white;">✓</div>
+            <h1 style="margin: 0; font-size: 28px; font-weight: 300; color: white;">Saldo Ricevuto</h1>
+            <p style="margin: 15px 0 0 0; color: #bdc3c7; font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">${service.name} • Valentin Procida</p>
+        </div>
+        
+        <!-- Content -->
+        <div style="padding: 40px 30px;">
+            
+            <div style="text-align: center; margin-bottom: 30px;">
+                <h2 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 24px; font-weight: 400;">Grazie ${escapeHtml(booking.customerName)}!</h2>
+                <p style="color: #555; font-size: 16px; line-height: 1.6; margin: 0;">
+                    Abbiamo ricevuto il saldo di <strong>${formatMoney(amount, booking.currency)}</strong> per la consulenza del
+                    <strong>${appointment.business.date}</strong> alle <strong>${appointment.business.time}</strong>.<br>
+                    La prenotazione è ora interamente pagata: trovi il documento in allegato.
+                </p>
+            </div>
+            
+            <!-- Support -->
+            <div style="text-align: center; padding: 25px; background: #f8f9fa; border: 1px solid #e9ecef;">
+                <p style="margin: 0; color: #666; font-size: 14px; line-height: 1.5;">
+                    Hai domande? Rispondi pure a questa email.<br>
+                    <strong style="color: #2c3e50;">Ci sentiamo presto!</strong>
+                </p>
+            </div>
+            
+        </div>
+        
+        <!-- Footer -->
+        <div style="background: #34495e; color: white; padding: 30px; text-align: center;">
+            <div style="margin-bottom: 10px;">
+                <strong style="font-size: 18px;">Valentin Procida</strong>
+            </div>
+            <div style="color: #bdc3c7; font-size: 14px; line-height: 1.4;">
+                VFX Artist & Career Consultant<br>
+                <a href="https://www.valentinprocida.it" style="color: #3498db; text-decoration: none;">www.valentinprocida.it</a>
+            </div>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function createGiftVoucherTemplate(voucher, { forPurchaser = false } = {}) {
+    const service = voucher.serviceId ? getService(voucher.serviceId) : null;
+    const expiresAt = formatInTimeZone(new Date(voucher.expiresAt), getBusinessTimeZone()).date;
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Buono Regalo</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        
+        <!-- Header -->
+        <div style="background: #8e44ad; padding: 40px 30px; text-align: center;">
+            <div style="font-size: 40px; margin-bottom: 15px;">🎁</div>
+            <h1 style="margin: 0; font-size: 28px; font-weight: 300; color: white;">Buono Regalo</h1>
+            <p style="margin: 15px 0 0 0; color: #e8daef; font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">Consulenza VFX • Valentin Procida</p>
+        </div>
+        
+        <!-- Content -->
+        <div style="padding: 40px 30px;">
+            
+            <div style="text-align: center; margin-bottom: 30px;">
+                <h2 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 24px; font-weight: 400;">${forPurchaser ? `Grazie ${escapeHtml(voucher.purchaserName)}!` : `Ciao ${escapeHtml(voucher.recipientName)}!`}</h2>
+                <p style="color: #555; font-size: 16px; line-height: 1.6; margin: 0;">
+                    ${forPurchaser ?
+                        `Il tuo buono regalo è stato inviato a <strong>${escapeHtml(voucher.recipientName)}</strong> (${escapeHtml(voucher.recipientEmail)}).` :
+                        `<strong>${escapeHtml(voucher.purchaserName)}</strong> ti ha regalato un buono per una consulenza VFX${service ? ` (${service.name})` : ''}.`}
+                </p>
+            </div>
+            ${voucher.message ? `
+            <!-- Message -->
+            <div style="background: #f8f9fa; border-left: 4px solid #8e44ad; padding: 20px; margin-bottom: 30px;">
+                <p style="margin: 0; color: #2c3e50; font-size: 16px; line-height: 1.6; font-style: italic;">"${escapeHtml(voucher.message)}"</p>
+            </div>` : ''}
+            
+            <!-- Voucher -->
+            <div style="text-align: center; padding: 30px; margin-bottom: 30px; border: 2px dashed #8e44ad;">
+                <p style="margin: 0 0 10px 0; color: #666; font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">Valore</p>
+                <p style="margin: 0 0 20px 0; color: #2c3e50; font-size: 32px; font-weight: 700;">${formatMoney(voucher.initialAmount, voucher.currency)}</p>
+                <p style="margin: 0 0 10px 0; color: #666; font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">Codice</p>
+                <p style="margin: 0; color: #8e44ad; font-size: 24px; font-weight: 700; letter-spacing: 3px; font-family: monospace;">${voucher.code}</p>
+                <p style="margin: 20px 0 0 0; color: #999; font-size: 12px;">Valido fino al ${expiresAt}</p>
+            </div>
+            
+            <!-- How To -->
+            <div style="text-align: center; padding: 25px; margin-bottom: 30px; background: #f8f9fa; border: 1px solid #e9ecef;">
+                <p style="margin: 0 0 20px 0; color: #555; font-size: 14px; line-height: 1.6;">
+                    Scegli data e orario e inserisci il codice al momento del pagamento.<br>
+                    Se la consulenza costa meno del buono, il credito residuo resta disponibile per una prossima prenotazione.
+                </p>
+                <a href="https://www.valentinprocida.it/buy.html" style="background: #8e44ad; color: white; padding: 12px 24px; text-decoration: none; font-weight: 600; font-size: 14px; display: inline-block; border-radius: 5px;">📅 Prenota la consulenza</a>
+            </div>
+            
+        </div>
+        
+        <!-- Footer -->
+        <div style="background: #34495e; color: white; padding: 30px; text-align: center;">
+            <div style="margin-bottom: 10px;">
+                <strong style="font-size: 18px;">Valentin Procida</strong>
+            </div>
+            <div style="color: #bdc3c7; font-size: 14px; line-height: 1.4;">
+                VFX Artist & Career Consultant<br>
+                <a href="https://www.valentinprocida.it" style="color: #3498db; text-decoration: none;">www.valentinprocida.it</a>
+            </div>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function createWaitlistConfirmTemplate(entry, service, confirmUrl) {
+    const formatDate = date => parseISODateToCalendarDate(date).toLocaleDateString('it-IT', { day: 'numeric', month: 'long', year: 'numeric' });
+    const period = entry.type === 'date' ?
+        `il ${formatDate(entry.date)}` :
+        `dal ${formatDate(entry.fromDate)} al ${formatDate(entry.toDate)}`;
+    const confirmDeadline = formatInTimeZone(new Date(entry.confirmExpiresAt), getBusinessTimeZone());
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Conferma la tua iscrizione</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        
+        <!-- Header -->
+        <div style="background: #2c3e50; padding: 40px 30px; text-align: center;">
+            <h1 style="margin: 0; font-size: 28px; font-weight: 300; color: white;">Conferma la tua iscrizione</h1>
+            <p style="margin: 15px 0 0 0; color: #bdc3c7; font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">${service.name} • Valentin Procida</p>
+        </div>
+        
+        <!-- Content -->
+        <div style="padding: 40px 30px;">
+            
+            <div style="text-align: center; margin-bottom: 30px;">
+                <h2 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 24px; font-weight: 400;">Ciao ${escapeHtml(entry.name || '')}!</h2>
+                <p style="color: #555; font-size: 16px; line-height: 1.6; margin: 0;">
+                    Hai chiesto di entrare in lista d'attesa per uno slot <strong>${period}</strong>.<br>
+                    Conferma l'indirizzo email per ricevere le offerte quando si libera un posto.
+                </p>
+            </div>
+            
+            <!-- CTA -->
+            <div style="text-align: center; margin-bottom: 30px;">
+                <a href="${confirmUrl}" style="background: #27ae60; color: white; padding: 15px 30px; text-decoration: none; font-weight: 600; font-size: 16px; display: inline-block; border-radius: 5px;">✅ Conferma iscrizione</a>
+                <p style="margin: 15px 0 0 0; color: #e67e22; font-size: 14px; line-height: 1.5;">
+                    Il link è valido fino a <strong>${confirmDeadline.date}</strong> alle <strong>${confirmDeadline.time}</strong>.
+                </p>
+            </div>
+            
+            <!-- Support -->
+            <div style="text-align: center; padding: 25px; background: #f8f9fa; border: 1px solid #e9ecef;">
+                <p style="margin: 0; color: #666; font-size: 14px; line-height: 1.5;">
+                    Non hai fatto tu questa richiesta? Ignora questa email: senza conferma l'iscrizione viene cancellata.
+                </p>
+            </div>
+            
+        </div>
+        
+        <!-- Footer -->
+        <div style="background: #34495e; color: white; padding: 30px; text-align: center;">
+            <div style="margin-bottom: 10px;">
+                <strong style="font-size: 18px;">Valentin Procida</strong>
+            </div>
+            <div style="color: #bdc3c7; font-size: 14px; line-height: 1.4;">
+                VFX Artist & Career Consultant<br>
+                <a href="https://www.valentinprocida.it" style="color: #3498db; text-decoration: none;">www.valentinprocida.it</a>
+            </div>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function createWaitlistSlotAvailableTemplate(entry, service, claimUrl) {
+    const appointment = describeAppointmentTimes({
+        appointmentDate: entry.offeredSlot.date,
+        appointmentTime: entry.offeredSlot.time
+    });
+    const claimDeadline = formatInTimeZone(new Date(entry.claimExpiresAt), getBusinessTimeZone());
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Si è liberato un posto</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        
+        <!-- Header -->
+        <div style="background: #2c3e50; padding: 40px 30px; text-align: center;">
+            <h1 style="margin: 0; font-size: 28px; font-weight: 300; color: white;">Si è liberato un posto!</h1>
+            <p style="margin: 15px 0 0 0; color: #bdc3c7; font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">${service.name} • Valentin Procida</p>
+        </div>
+        
+        <!-- Content -->
+        <div style="padding: 40px 30px;">
+            
+            <div style="text-align: center; margin-bottom: 30px;">
+                <h2 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 24px; font-weight: 400;">Ciao ${escapeHtml(entry.name || '')}!</h2>
+                <p style="color: #555; font-size: 16px; line-height: 1.6; margin: 0;">
+                    Eri in lista d'attesa e si è appena liberato uno slot. L'abbiamo tenuto da parte per te.
+                </p>
+            </div>
+            
+            <!-- Slot -->
+            <div style="background: #f8f9fa; border: 1px solid #e9ecef; padding: 30px; margin-bottom: 30px; text-align: center;">
+                <p style="margin: 0 0 8px 0; color: #2c3e50; font-size: 18px; font-weight: 600;">${appointment.business.date}</p>
+                <p style="margin: 0 0 8px 0; color: #2c3e50; font-size: 18px;">ore ${appointment.business.time}</p>
+                <p style="margin: 0; color: #999; font-size: 12px;">${appointment.business.zoneLabel} • ${service.durationMinutes} minuti</p>
+            </div>
+            
+            <!-- CTA -->
+            <div style="text-align: center; margin-bottom: 30px;">
+                <a href="${claimUrl}" style="background: #27ae60; color: white; padding: 15px 30px; text-decoration: none; font-weight: 600; font-size: 16px; display: inline-block; border-radius: 5px;">✅ Prenota questo slot</a>
+                <p style="margin: 15px 0 0 0; color: #e67e22; font-size: 14px; line-height: 1.5;">
+                    Lo slot resta riservato fino a <strong>${claimDeadline.date}</strong> alle <strong>${claimDeadline.time}</strong>,<br>
+                    poi verrà offerto al prossimo iscritto.
+                </p>
+            </div>
+            
+            <!-- Support -->
+            <div style="text-align: center; padding: 25px; background: #f8f9fa; border: 1px solid #e9ecef;">
+                <p style="margin: 0; color: #666; font-size: 14px; line-height: 1.5;">
+                    Questo orario non fa per te? Nessun problema: non devi fare nulla.<br>
+                    Per qualsiasi domanda rispondi pure a questa email.
+                </p>
+            </div>
+            
+        </div>
+        
+        <!-- Footer -->
+        <div style="background: #34495e; color: white; padding: 30px; text-align: center;">
+            <div style="margin-bottom: 10px;">
+                <strong style="font-size: 18px;">Valentin Procida</strong>
+            </div>
+            <div style="color: #bdc3c7; font-size: 14px; line-height: 1.4;">
+                VFX Artist & Career Consultant<br>
+                <a href="https://www.valentinprocida.it" style="color: #3498db; text-decoration: none;">www.valentinprocida.it</a>
+            </div>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function createBookingCancelledTemplate(booking, refundAmount) {
+    const appointment = describeAppointmentTimes(booking);
+    const service = getService(booking.serviceId) || getService();
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Prenotazione Annullata</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        
+        <!-- Header -->
+        <div style="background: #7f8c8d; padding: 40px 30px; text-align: center;">
+            <h1 style="margin: 0; font-size: 28px; font-weight: 300; color: white;">Prenotazione Annullata</h1>
+            <p style="margin: 15px 0 0 0; color: #ecf0f1; font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">${service.name} • Valentin Procida</p>
+        </div>
+        
+        <!-- Content -->
+        <div style="padding: 40px 30px;">
+            
+            <div style="text-align: center; margin-bottom: 30px;">
+                <h2 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 24px; font-weight: 400;">Ciao ${escapeHtml(booking.customerName)}!</h2>
+                <p style="color: #555; font-size: 16px; line-height: 1.6; margin: 0;">
+                    La tua consulenza del <strong>${appointment.business.date}</strong> alle <strong>${appointment.business.time}</strong> è stata annullata.
+                </p>
+            </div>
+            
+            <!-- Refund -->
+            <div style="background: #f8f9fa; border: 1px solid #e9ecef; padding: 30px; margin-bottom: 30px; text-align: center;">
+                ${refundAmount > 0 ? `
+                <p style="margin: 0; color: #2c3e50; font-size: 16px; line-height: 1.6;">
+                    Riceverai un rimborso di <strong>${formatMoney(refundAmount, booking.currency)}</strong> sul metodo di pagamento utilizzato.<br>
+                    <span style="color: #666; font-size: 14px;">Di solito l'accredito richiede 5-10 giorni lavorativi.</span>
+                </p>` : `
+                <p style="margin: 0; color: #2c3e50; font-size: 16px; line-height: 1.6;">
+                    In base alla policy di cancellazione non è previsto un rimborso per questa prenotazione.
+                </p>`}
+                ${booking.giftVoucherRestoredAmount > 0 ? `
+                <p style="margin: 15px 0 0 0; color: #2c3e50; font-size: 16px; line-height: 1.6;">
+                    Sul buono regalo <strong>${booking.giftVoucher.code}</strong> sono stati riaccreditati <strong>${formatMoney(booking.giftVoucherRestoredAmount, booking.currency)}</strong>.
+                </p>` : ''}
+            </div>
+            
+            <!-- Support -->
+            <div style="text-align: center; padding: 25px; background: #f8f9fa; border: 1px solid #e9ecef;">
+                <p style="margin: 0; color: #666; font-size: 14px; line-height: 1.5;">
+                    Vuoi prenotare un'altra data? <a href="https://www.valentinprocida.it/buy.html" style="color: #3498db; text-decoration: none; font-weight: 600;">Scegli un nuovo orario</a><br>
+                    Per qualsiasi domanda rispondi pure a questa email.
+                </p>
+            </div>
+            
+        </div>
+        
+        <!-- Footer -->
+        <div style="background: #34495e; color: white; padding: 30px; text-align: center;">
+            <div style="margin-bottom: 10px;">
+                <strong style="font-size: 18px;">Valentin Procida</strong>
+            </div>
+            <div style="color: #bdc3c7; font-size: 14px; line-height: 1.4;">
+                VFX Artist & Career Consultant<br>
+                <a href="https://www.valentinprocida.it" style="color: #3498db; text-decoration: none;">www.valentinprocida.it</a>
+            </div>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function createBookingRescheduledTemplate(booking, previousBooking) {
+    const appointment = describeAppointmentTimes(booking);
+    const previousAppointment = describeAppointmentTimes(previousBooking);
+    const service = getService(booking.serviceId) || getService();
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Appuntamento Spostato</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        
+        <!-- Header -->
+        <div style="background: #3498db; padding: 40px 30px; text-align: center;">
+            <h1 style="margin: 0; font-size: 28px; font-weight: 300; color: white;">Appuntamento Spostato</h1>
+            <p style="margin: 15px 0 0 0; color: rgba(255,255,255,0.9); font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">${service.name} • Valentin Procida</p>
+        </div>
+        
+        <!-- Content -->
+        <div style="padding: 40px 30px;">
+            
+            <div style="text-align: center; margin-bottom: 30px;">
+                <h2 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 24px; font-weight: 400;">Ciao ${escapeHtml(booking.customerName)}!</h2>
+                <p style="color: #555; font-size: 16px; line-height: 1.6; margin: 0;">
+                    La tua consulenza è stata spostata. Il link Google Meet resta lo stesso.
+                </p>
+            </div>
+            
+            <!-- Appointment Details -->
+            <div style="background: #f8f9fa; border: 1px solid #e9ecef; padding: 30px; margin-bottom: 30px;">
+                <table style="width: 100%; border-collapse: collapse;">
+                    <tr style="border-bottom: 1px solid #e9ecef;">
+                        <td style="padding: 12px 0; color: #666; font-weight: 500; width: 35%;">Prima:</td>
+                        <td style="padding: 12px 0; color: #999; text-decoration: line-through;">${previousAppointment.business.date}, ${previousAppointment.business.time}</td>
+                    </tr>
+                    <tr style="border-bottom: 1px solid #e9ecef;">
+                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Nuova data:</td>
+                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">${appointment.business.date}</td>
+                    </tr>
+                    <tr${appointment.customer ? ' style="border-bottom: 1px solid #e9ecef;"' : ''}>
+                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Nuovo orario:</td>
+                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">${appointment.business.time} (${appointment.business.zoneLabel})</td>
+                    </tr>
+                    ${appointment.customer ? `
+                    <tr>
+                        <td style="padding: 12px 0; color: #666; font-weight: 500;">Il tuo orario:</td>
+                        <td style="padding: 12px 0; color: #2c3e50; font-weight: 600;">${appointment.customer.date}, ${appointment.customer.time} (${appointment.customer.zoneLabel})</td>
+                    </tr>` : ''}
+                </table>
+            </div>
+            ${booking.meetLink ? `
+            <div style="text-align: center; margin-bottom: 30px;">
+                <a href="${booking.meetLink}" style="background: #2c3e50; color: white; padding: 15px 30px; text-decoration: none; font-weight: 600; font-size: 16px; display: inline-block; border-radius: 5px;">🎥 Link Google Meet</a>
+            </div>` : ''}
+            ${createManageBookingSection(booking)}
+        </div>
+        
+        <!-- Footer -->
+        <div style="background: #34495e; color: white; padding: 30px; text-align: center;">
+            <div style="margin-bottom: 10px;">
+                <strong style="font-size: 18px;">Valentin Procida</strong>
+            </div>
+            <div style="color: #bdc3c7; font-size: 14px; line-height: 1.4;">
+                VFX Artist & Career Consultant<br>
+                <a href="https://www.valentinprocida.it" style="color: #3498db; text-decoration: none;">www.valentinprocida.it</a>
+            </div>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Notifica admin per modifiche a una prenotazione esistente (cancellazioni, spostamenti, ...)
+ */
+function createAdminBookingChangeTemplate(booking, title, details) {
+    const appointment = describeAppointmentTimes(booking);
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title} - Admin Notification</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        
+        <!-- Header Admin -->
+        <div style="background: #9b59b6; padding: 30px; text-align: center;">
+            <h1 style="margin: 0; font-size: 24px; font-weight: 600; color: white;">${title}</h1>
+            <p style="margin: 10px 0 0 0; color: rgba(255,255,255,0.9); font-size: 12px; text-transform: uppercase; letter-spacing: 1px;">Sistema VFX Booking</p>
+        </div>
+        
+        <!-- Content Admin -->
+        <div style="padding: 30px;">
+            <div style="background: #f8f9fa; border-left: 4px solid #9b59b6; padding: 20px;">
+                <table style="width: 100%; border-collapse: collapse;">
+                    <tr style="border-bottom: 1px solid #e9ecef;">
+                        <td style="padding: 8px 0; color: #666; font-weight: 500; width: 30%;">Cliente:</td>
+                        <td style="padding: 8px 0; color: #2c3e50; font-weight: 600;">${escapeHtml(booking.customerName)} (${escapeHtml(booking.customerEmail)})</td>
+                    </tr>
+                    <tr style="border-bottom: 1px solid #e9ecef;">
+                        <td style="padding: 8px 0; color: #666; font-weight: 500;">Appuntamento:</td>
+                        <td style="padding: 8px 0; color: #2c3e50; font-weight: 600;">${appointment ? `${appointment.business.date}, ${appointment.business.time}` : 'Non specificato'}</td>
+                    </tr>
+                    ${Object.entries(details).map(([label, value]) => `
+                    <tr style="border-bottom: 1px solid #e9ecef;">
+                        <td style="padding: 8px 0; color: #666; font-weight: 500;">${label}:</td>
+                        <td style="padding: 8px 0; color: #2c3e50; font-weight: 600;">${escapeHtml(value)}</td>
+                    </tr>`).join('')}
+                    <tr>
+                        <td style="padding: 8px 0; color: #666; font-weight: 500;">ID Prenotazione:</td>
+                        <td style="padding: 8px 0;"><code style="background: #f8f9fa; padding: 4px 8px; border-radius: 3px; font-size: 12px; color: #2c3e50;">${booking.id}</code></td>
+                    </tr>
+                </table>
+            </div>
+        </div>
+        
+        <!-- Footer Admin -->
+        <div style="background: #34495e; color: white; padding: 20px; text-align: center;">
+            <p style="margin: 0; font-size: 12px; text-transform: uppercase; letter-spacing: 1px; color: #bdc3c7;">
+                Sistema VFX Booking • Powered by Valentin Procida
+            </p>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Report admin della riconciliazione tra Stripe, archivio e foglio
+ */
+function createReconciliationReportTemplate(report) {
+    const section = (title, rows) => rows.length === 0 ? '' : `
+            <h2 style="margin: 25px 0 10px 0; font-size: 16px; color: #2c3e50;">${title} (${rows.length})</h2>
+            <div style="background: #f8f9fa; border-left: 4px solid #9b59b6; padding: 10px 20px;">
+                <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+                    ${rows.map(row => `
+                    <tr style="border-bottom: 1px solid #e9ecef;">
+                        <td style="padding: 8px 0;"><code style="font-size: 12px; color: #2c3e50;">${row.id}</code></td>
+                        <td style="padding: 8px 0; color: #2c3e50;">${escapeHtml(row.text)}</td>
+                    </tr>`).join('')}
+                </table>
+            </div>`;
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Riconciliazione pagamenti - Admin Notification</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        
+        <!-- Header Admin -->
+        <div style="background: #9b59b6; padding: 30px; text-align: center;">
+            <h1 style="margin: 0; font-size: 24px; font-weight: 600; color: white;">🔎 Riconciliazione pagamenti</h1>
+            <p style="margin: 10px 0 0 0; color: rgba(255,255,255,0.9); font-size: 12px; text-transform: uppercase; letter-spacing: 1px;">${report.range.from} → ${report.range.to}</p>
+        </div>
+        
+        <!-- Content Admin -->
+        <div style="padding: 30px;">
+            <p style="margin: 0; color: #666; font-size: 14px;">
+                Controllati ${report.checked.payments} pagamenti Stripe, ${report.checked.bookings} prenotazioni e ${report.checked.sheet ? `${report.checked.sheetRows} righe del foglio` : 'nessuna riga del foglio (Google Sheets non configurato)'}:
+                trovate <strong>${report.issues}</strong> anomalie.
+            </p>
+            ${section('Pagamenti senza prenotazione', report.missing.map(entry => ({
+                id: entry.paymentIntentId,
+                text: `${entry.customerEmail || 'Email sconosciuta'} • ${entry.appointmentDate || '?'} ${entry.appointmentTime || ''} • ${formatMoney(entry.amount, entry.currency)}${entry.canBackfill ? ' • recuperabile' : ` • ${entry.reason}`}`
+            })))}
+            ${section('Prenotazioni senza pagamento riuscito', report.orphaned.map(entry => ({
+                id: entry.bookingId,
+                text: `${entry.customerEmail} • ${entry.appointmentDate} • Stripe: ${entry.stripeStatus}`
+            })))}
+            ${section('Righe del foglio senza pagamento riuscito', report.sheetOrphaned.map(entry => ({
+                id: entry.paymentIntentId,
+                text: `Riga ${entry.sheetRow} • ${entry.customerEmail} • ${entry.appointmentDate} • Stripe: ${entry.stripeStatus}`
+            })))}
+            ${section('Importi non corrispondenti', report.amountMismatches.map(entry => ({
+                id: entry.paymentIntentId,
+                text: `Archivio ${formatMoney(entry.bookingAmount, entry.bookingCurrency)} • Stripe ${formatMoney(entry.stripeAmount, entry.stripeCurrency)}`
+            })))}
+            ${section('Importi del foglio non corrispondenti', report.sheetAmountMismatches.map(entry => ({
+                id: entry.paymentIntentId,
+                text: `Riga ${entry.sheetRow}: ${entry.sheetAmount || 'vuoto'} • Stripe ${formatMoney(entry.expectedAmount, entry.currency)}`
+            })))}
+            ${section('Prenotazioni assenti dal foglio', report.missingFromSheet.map(entry => ({
+                id: entry.bookingId,
+                text: `${entry.customerEmail} • ${entry.appointmentDate}${entry.lastSheetSyncError ? ` • ${entry.lastSheetSyncError}` : entry.pendingSync ? ' • sincronizzazione in attesa' : ''}`
+            })))}
+            <p style="margin: 25px 0 0 0; color: #666; font-size: 13px;">
+                I pagamenti recuperabili si registrano con <code>POST /api/admin/reconciliation/backfill</code>.
+            </p>
+        </div>
+        
+        <!-- Footer Admin -->
+        <div style="background: #34495e; color: white; padding: 20px; text-align: center;">
+            <p style="margin: 0; font-size: 12px; text-transform: uppercase; letter-spacing: 1px; color: #bdc3c7;">
+                Sistema VFX Booking • Powered by Valentin Procida
+            </p>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+// ===== SCHEDULER & EMAIL FUNCTIONS =====
+async function sendMeetingLinkEmail(bookingData, meetingInfo) {
+    console.log('📧 sendMeetingLinkEmail chiamata per:', bookingData.customerEmail);
+
+    if (!resend) {
+        console.error('❌ Resend non configurato');
+        return false;
+    }
+
+    try {
+        console.log('📧 Invio email Google Meet a:', bookingData.customerEmail);
+        await sendEmail({
+            to: bookingData.customerEmail,
+            subject: `🎥 Link Google Meet per la tua consulenza VFX - ${getAppointmentStart(bookingData).toLocaleDateString('it-IT', { timeZone: getBusinessTimeZone() })}`,
+            html: createMeetingLinkEmailTemplate(bookingData, meetingInfo),
+            attachments: [createBookingIcsAttachment({ ...bookingData, meetLink: meetingInfo.meetLink })]
+        });
+        console.log(`✅ Email Google Meet inviata con successo a ${bookingData.customerEmail}`);
+        return true;
+
+    } catch (error) {
+        console.error('❌ Errore invio email Google Meet:', error);
+        return false;
+    }
+}
+
+function extractNameFromEmail(email) {
+    const localPart = email.split('@')[0];
+    const cleanName = localPart.replace(/[0-9._-]/g, ' ').trim();
+    return cleanName || null;
+}
+
+// ===== FUNZIONI HELPER =====
+function generateInitialCodes() {
+    const firstRun = discountStore.values().length === 0;
+
+    Object.entries(DEFAULT_DISCOUNT_CODES).forEach(([code, data]) => {
+        if (!discountStore.has(code)) {
+            discountStore.put(code, { code, ...data, usedCount: 0, createdAt: new Date().toISOString(), redemptions: [] });
+        }
+    });
+
+    // I codici casuali si generano una volta sola: rigenerarli a ogni avvio renderebbe
+    // inutilizzabili quelli già distribuiti
+    if (!firstRun) {
+        console.log(`🎫 ${discountStore.values().length} codici sconto caricati dall'archivio`);
+        return;
+    }
+
+    console.log('🎫 Generazione automatica codici sconto...');
+
+    for (let i = 0; i < 5; i++) {
+        codeGenerator.createDiscountCode({
+            category: 'general',
+            maxUses: 100,
+            validUntil: new Date('2025-12-31')
+        });
+    }
+
+    for (let i = 0; i < 3; i++) {
+        codeGenerator.createDiscountCode({
+            category: 'social',
+            maxUses: 200,
+            validUntil: new Date('2025-12-31')
+        });
+    }
+
+    for (let i = 0; i < 4; i++) {
+        codeGenerator.createDiscountCode({
+            category: 'special',
+            maxUses: 50,
+            validUntil: new Date('2025-08-31')
+        });
+    }
+
+    console.log(`✅ Generati ${discountStore.values().length} codici sconto totali`);
+}
+
+/**
+ * Applica un codice sconto al prezzo. context (email, serviceId, appointmentDate, appointmentTime)
+ * serve a controllare assegnatario e regole di idoneità del codice.
+ */
+function calculateDiscountedPrice(originalPrice, discountCode, currency = getDefaultCurrency(), context = {}) {
+    const discount = getDiscountCode(discountCode);
+
+    if (!discount || !discount.active) {
+        return { valid: false, error: 'Codice sconto non valido', code: 'DISCOUNT_INVALID' };
+    }
+
+    if (isDiscountCodeExpired(discount)) {
+        return { valid: false, error: 'Codice sconto scaduto', code: 'DISCOUNT_EXPIRED' };
+    }
+
+    // Contano anche i pagamenti in corso; quelli dello stesso cliente no, perché un nuovo pagamento
+    // sostituisce il suo blocco (il controllo definitivo è in reserveDiscountCode)
+    const reserved = getActiveDiscountReservations(discount)
+        .filter(reservation => !context.email || reservation.customerEmail !== normalizeEmail(context.email)).length;
+    if (discount.maxUses && discount.usedCount + reserved >= discount.maxUses) {
+        return { valid: false, error: 'Codice sconto esaurito', code: 'DISCOUNT_EXHAUSTED' };
+    }
+
+    const ineligible = checkDiscountEligibility(discount, { ...context, originalPrice, currency });
+    if (ineligible) {
+        return { valid: false, ...ineligible };
+    }
+
+    let discountAmount = 0;
+    let finalPrice = originalPrice;
+
+    if (discount.type === 'percentage') {
+        discountAmount = Math.round(originalPrice * discount.value / 100);
+        finalPrice = originalPrice - discountAmount;
+    } else if (discount.type === 'fixed') {
+        // Il valore dei codici a importo fisso è in centesimi di euro
+        discountAmount = Math.min(convertFromEur(discount.value, currency), originalPrice);
+        finalPrice = originalPrice - discountAmount;
+    }
+
+    finalPrice = Math.max(finalPrice, 0);
+
+    return {
+        valid: true, originalPrice, discountAmount, finalPrice, currency,
+        discountCode: discount.code, discountDescription: discount.description,
+        discountType: discount.type, discountValue: discount.value
+    };
+}
+
+// ===== PROTEZIONE DEI CODICI SCONTO DAI TENTATIVI A RAFFICA =====
+// Le richieste con un codice sconto o un buono regalo sono limitate per IP e per impronta del client;
+// troppi codici inesistenti in poco tempo bloccano IP e impronta per DISCOUNT_LOCKOUT_MINUTES.
+// Il limite per IP vale sempre: l'impronta può solo aggiungere un blocco, mai toglierlo.
+// I contatori sono in memoria: un riavvio li azzera.
+const DISCOUNT_ATTEMPTS_PER_MINUTE = parseInt(process.env.DISCOUNT_ATTEMPTS_PER_MINUTE) || 10;
+const DISCOUNT_MAX_INVALID_ATTEMPTS = parseInt(process.env.DISCOUNT_MAX_INVALID_ATTEMPTS) || 5;
+const DISCOUNT_INVALID_WINDOW_MINUTES = parseInt(process.env.DISCOUNT_INVALID_WINDOW_MINUTES) || 15;
+const DISCOUNT_LOCKOUT_MINUTES = parseInt(process.env.DISCOUNT_LOCKOUT_MINUTES) || 30;
+const discountAttempts = new Map();
+// Esiti che contano come tentativo fallito: codice sconto o buono regalo inesistente
+const INVALID_CODE_ERRORS = ['DISCOUNT_INVALID', 'VOUCHER_NOT_FOUND'];
+
+/**
+ * Chiavi dei contatori: IP del client e impronta. L'impronta è un hash degli header del browser;
+ * X-Client-Fingerprint lo scelgono i client, quindi entra nell'hash ma non fa da chiave da solo.
+ * Senza X-Client-Fingerprint l'hash include l'IP, per non bloccare tutti i browser uguali.
+ */
+function getDiscountAttemptKeys(req) {
+    const clientFingerprint = String(req.headers['x-client-fingerprint'] || '').slice(0, 128);
+    const fingerprint = crypto.createHash('sha256')
+        .update([clientFingerprint || req.ip, req.headers['user-agent'], req.headers['accept-language']].join('|'))
+        .digest('hex')
+        .slice(0, 32);
+
+    return [`ip:${req.ip}`, `fp:${fingerprint}`];
+}
+
+function getDiscountAttemptState(key, now = Date.now()) {
+    const state = discountAttempts.get(key) || { requests: [], failures: [], lockedUntil: 0 };
+    state.requests = state.requests.filter(time => now - time < 60 * 1000);
+    state.failures = state.failures.filter(time => now - time < DISCOUNT_INVALID_WINDOW_MINUTES * 60 * 1000);
+    discountAttempts.set(key, state);
+    return state;
+}
+
+/**
+ * Middleware per gli endpoint che ricevono un codice sconto o un buono regalo in uno dei campi
+ * codeFields (body o parametri dell'URL): rifiuta con 429 chi è bloccato o supera il limite di richieste al minuto
+ */
+function throttleDiscountAttempts(...codeFields) {
+    return (req, res, next) => {
+        const hasCode = codeFields.some(field => (req.body && req.body[field]) || req.params[field]);
+        if (!hasCode) return next();
+
+        const now = Date.now();
+        const keys = getDiscountAttemptKeys(req);
+        const states = keys.map(key => getDiscountAttemptState(key, now));
+
+        const lockedUntil = Math.max(...states.map(state => state.lockedUntil));
+        if (lockedUntil > now) {
+            const retryAfter = Math.ceil((lockedUntil - now) / 1000);
+            res.setHeader('Retry-After', retryAfter);
+            return res.status(429).json({
+                error: 'Troppi codici non validi. Riprova più tardi.',
+                code: 'DISCOUNT_ATTEMPTS_LOCKED',
+                retryAfter
+            });
+        }
+
+        const throttled = states.filter(state => state.requests.length >= DISCOUNT_ATTEMPTS_PER_MINUTE);
+        if (throttled.length > 0) {
+            const retryAfter = Math.ceil(Math.max(...throttled.map(state => state.requests[0] + 60 * 1000 - now)) / 1000);
+            res.setHeader('Retry-After', retryAfter);
+            return res.status(429).json({
+                error: 'Troppe richieste con codice sconto o buono regalo. Riprova tra poco.',
+                code: 'DISCOUNT_ATTEMPTS_THROTTLED',
+                retryAfter
+            });
+        }
+
+        states.forEach(state => state.requests.push(now));
+        res.locals.discountAttemptKeys = keys;
+        next();
+    };
+}
+
+/**
+ * Registra un codice sconto o un buono inesistente (o disattivato); oltre DISCOUNT_MAX_INVALID_ATTEMPTS scatta il blocco.
+ * I codici validi non azzerano il conteggio, così alternarli a quelli provati non aggira il limite.
+ */
+function recordInvalidDiscountAttempt(res) {
+    const keys = res.locals.discountAttemptKeys;
+    if (!keys) return;
+
+    const now = Date.now();
+    keys.forEach(key => {
+        const state = getDiscountAttemptState(key, now);
+        state.failures.push(now);
+
+        if (state.failures.length >= DISCOUNT_MAX_INVALID_ATTEMPTS) {
+            state.lockedUntil = now + DISCOUNT_LOCKOUT_MINUTES * 60 * 1000;
+            state.failures = [];
+            console.warn(`🚨 ${key} bloccato per ${DISCOUNT_LOCKOUT_MINUTES} minuti dopo ${DISCOUNT_MAX_INVALID_ATTEMPTS} codici non validi`);
+        }
+    });
+}
+
+/**
+ * Rimuove i contatori senza richieste, errori o blocchi recenti
+ */
+function pruneDiscountAttempts() {
+    const now = Date.now();
+    discountAttempts.forEach((_, key) => {
+        const state = getDiscountAttemptState(key, now);
+        if (state.requests.length === 0 && state.failures.length === 0 && state.lockedUntil <= now) {
+            discountAttempts.delete(key);
+        }
+    });
+}
+
+// ===== MIDDLEWARE =====
+// Dietro un proxy (Render: TRUST_PROXY_HOPS=1) req.ip deve essere l'IP del client, non quello del proxy.
+// Senza configurazione X-Forwarded-For viene ignorato: altrimenti chiunque potrebbe scegliersi l'IP.
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS, 10);
+app.set('trust proxy', Number.isInteger(TRUST_PROXY_HOPS) && TRUST_PROXY_HOPS > 0 ? TRUST_PROXY_HOPS : false);
+app.use('/api/stripe-webhook', express.raw({ type: 'application/json' }));
+app.use(express.json());
+const ALLOWED_ORIGINS = [
+    process.env.FRONTEND_URL || 'http://localhost:8000',
+    'https://www.valentinprocida.it',
+    'http://localhost:3000',
+    'http://127.0.0.1:8000'
+];
+
+app.use(cors({
+    origin: ALLOWED_ORIGINS,
+    credentials: true
+}));
+
+/**
+ * Gli URL di ritorno da Stripe Checkout devono puntare al nostro sito (niente open redirect)
+ */
+function isAllowedRedirectUrl(url) {
+    try {
+        return ALLOWED_ORIGINS.includes(new URL(url).origin);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Protegge gli endpoint di amministrazione con la chiave ADMIN_API_KEY
+ * (header "Authorization: Bearer <chiave>" oppure "X-Admin-Key")
+ */
+function requireAdmin(req, res, next) {
+    const adminKey = process.env.ADMIN_API_KEY;
+
+    if (!adminKey) {
+        return res.status(503).json({ error: 'API admin non configurata (ADMIN_API_KEY mancante)' });
+    }
+
+    const authHeader = req.headers.authorization || '';
+    const providedKey = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : (req.headers['x-admin-key'] || '');
+
+    const expected = Buffer.from(adminKey);
+    const provided = Buffer.from(providedKey);
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return res.status(401).json({ error: 'Non autorizzato' });
+    }
+
+    next();
+}
+
+// ===== ENDPOINTS BASE =====
+app.get('/api/health', async (req, res) => {
+    let availabilityStatus = 'unknown';
+    let totalBookings = 0;
+    let availableDatesCount = 0;
+
+    try {
+        // Test rapido del sistema di disponibilità
+        const existingBookings = await getExistingBookings();
+        totalBookings = existingBookings.length;
+
+        const availableSlots = await getAvailableSlots();
+        availableDatesCount = Object.keys(availableSlots).length;
+
+        availabilityStatus = 'working';
+    } catch (error) {
+        availabilityStatus = 'error: ' + error.message;
+    }
+
+    res.json({
+        status: 'Server is running!',
+        timestamp: new Date(),
+
+        // Configurazioni esistenti
+        totalDiscountCodes: discountStore.values().length,
+        emailConfigured: !!resend,
+        googleSheetsConfigured: !!sheets,
+        googleCalendarConfigured: !!calendar,
+
+        // 🔥 NUOVO: Informazioni sistema disponibilità
+        availabilitySystem: {
+            status: availabilityStatus,
+            totalExistingBookings: totalBookings,
+            availableDatesCount: availableDatesCount,
+            googleSheetsIntegration: !!sheets && !!process.env.GOOGLE_SPREADSHEET_ID,
+            localStore: bookingStore.filePath,
+            pendingSheetSync: getPendingSheetSyncs().length,
+            lastChecked: new Date().toISOString()
+        },
+
+        // Info sistema
+        env: process.env.NODE_ENV || 'development',
+        keepAliveActive: process.env.NODE_ENV === 'production',
+        renderUrl: process.env.RENDER_URL,
+        uptime: `${Math.floor(process.uptime())} seconds`,
+        nextCronExecution: process.env.NODE_ENV === 'production' ? 'Check logs for cron schedule' : 'N/A',
+        memory: process.memoryUsage()
+    });
+});
+
+// ✅ NUOVO: Endpoint per testare manualmente il keep-alive
+app.get('/api/test-keepalive', async (req, res) => {
+    try {
+        console.log('🧪 Test keep-alive richiesto manualmente');
+
+        if (process.env.NODE_ENV !== 'production') {
+            return res.json({
+                success: false,
+                message: 'Keep-alive è attivo solo in produzione',
+                environment: process.env.NODE_ENV || 'development'
+            });
+        }
+
+        if (!RENDER_URL || RENDER_URL.includes('localhost')) {
+            return res.json({
+                success: false,
+                message: 'RENDER_URL non configurato',
+                renderUrl: RENDER_URL
+            });
+        }
+
+        // Esegui il ping manualmente
+        await keepServerAlive();
+
+        res.json({
+            success: true,
+            message: 'Keep-alive ping eseguito con successo',
+            timestamp: new Date().toISOString(),
+            renderUrl: RENDER_URL,
+            uptime: process.uptime()
+        });
+
+    } catch (error) {
+        console.error('❌ Errore test keep-alive:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Errore durante il test keep-alive',
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/config', (req, res) => {
+    if (!process.env.STRIPE_PUBLISHABLE_KEY) {
+        return res.status(500).json({ error: 'Stripe publishable key not configured' });
+    }
+    res.json({ publishableKey: process.env.STRIPE_PUBLISHABLE_KEY });
+});
+
+// ===== CATALOGO SERVIZI =====
+app.get('/api/services', (req, res) => {
+    const { currency, error } = resolveRequestCurrency(req);
+    if (error) {
+        return res.status(400).json({ success: false, error: error, code: 'UNSUPPORTED_CURRENCY' });
+    }
+
+    const services = getActiveServices().map(service => {
+        const depositPolicy = getDepositPolicy(service);
+        const price = getServicePrice(service, currency);
+
+        return {
+            id: service.id,
+            slug: service.slug,
+            name: service.name,
+            description: service.description,
+            durationMinutes: service.durationMinutes,
+            currency: currency,
+            price: price,
+            formattedPrice: formatMoney(price, currency),
+            prices: service.prices,
+            deposit: depositPolicy.enabled ? {
+                percent: depositPolicy.percent,
+                amount: Math.round(price * depositPolicy.percent / 100),
+                minHoursBeforeAppointment: depositPolicy.minHoursBeforeAppointment || 0
+            } : null,
+            topics: service.topics || []
+        };
+    });
+
+    res.json({
+        success: true,
+        services: services,
+        defaultServiceId: getServiceCatalog().defaultServiceId
+    });
+});
+
+// ===== NUOVI ENDPOINT API PER GESTIRE DISPONIBILITÀ =====
+
+/**
+ * Endpoint per ottenere tutti gli slot disponibili
+ */
+app.get('/api/available-slots', async (req, res) => {
+    try {
+        console.log('📅 Richiesta slot disponibili ricevuta');
+
+        const businessTimeZone = getBusinessTimeZone();
+        const clientTimeZone = req.query.timezone || businessTimeZone;
+
+        if (!isValidTimeZone(clientTimeZone)) {
+            return res.status(400).json({
+                success: false,
+                error: `Fuso orario non valido: ${clientTimeZone}`
+            });
+        }
+
+        // I servizi disattivati non si possono prenotare (come in prepareBookingPayment)
+        const service = getService(req.query.service);
+        if (!service || service.active === false) {
+            return res.status(400).json({
+                success: false,
+                error: `Servizio non disponibile: ${req.query.service}`,
+                code: 'SERVICE_NOT_FOUND'
+            });
+        }
+
+        const availableSlots = await getAvailableSlots(service);
+        const slots = listSlotInstants(availableSlots, clientTimeZone, service.durationMinutes);
+
+        // Stessi slot raggruppati per data nel fuso del client
+        const availableSlotsLocal = {};
+        slots.forEach(slot => {
+            (availableSlotsLocal[slot.localDate] = availableSlotsLocal[slot.localDate] || []).push(slot.localTime);
+        });
+
+        res.json({
+            success: true,
+            availableSlots: availableSlots,
+            serviceId: service.id,
+            durationMinutes: service.durationMinutes,
+            timezone: businessTimeZone,
+            clientTimezone: clientTimeZone,
+            slots: slots,
+            availableSlotsLocal: availableSlotsLocal,
+            totalDatesAvailable: Object.keys(availableSlots).length,
+            generatedAt: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Errore recupero slot disponibili:', error);
+
+        // Fallback: restituisci tutti i possibili slot
+        const fallbackSlots = generateAllPossibleSlots();
+
+        res.json({
+            success: true,
+            availableSlots: fallbackSlots,
+            totalDatesAvailable: Object.keys(fallbackSlots).length,
+            generatedAt: new Date().toISOString(),
+            warning: 'Fallback utilizzato - controllo prenotazioni esistenti fallito'
+        });
+    }
+});
+
+/**
+ * Endpoint per controllare la disponibilità di uno slot specifico
+ */
+app.post('/api/check-slot-availability', async (req, res) => {
+    try {
+        const slot = resolveAppointmentSlot(req.body);
+
+        if (!slot) {
+            return res.status(400).json({
+                success: false,
+                error: 'Data e orario (oppure start in formato ISO-8601) sono richiesti'
+            });
+        }
+
+        const { date, time } = slot;
+
+        const service = getService(req.body.serviceId);
+        if (!service || service.active === false) {
+            return res.status(400).json({ success: false, error: `Servizio non disponibile: ${req.body.serviceId}`, code: 'SERVICE_NOT_FOUND' });
+        }
+
+        console.log(`🔍 Controllo disponibilità slot: ${date} alle ${time} (${service.id})`);
+
+        const isBooked = await isSlotBooked(date, time, service.durationMinutes);
+        const isHeld = findOverlappingHolds(date, time, service.durationMinutes).length > 0;
+
+        res.json({
+            success: true,
+            available: !isBooked && !isHeld,
+            held: isHeld,
+            date: date,
+            time: time,
+            start: slot.start.toISOString(),
+            serviceId: service.id,
+            checkedAt: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Errore controllo disponibilità slot:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Errore interno nel controllo disponibilità',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Endpoint per vedere tutte le prenotazioni esistenti (per debug/admin)
+ */
+app.get('/api/existing-bookings', async (req, res) => {
+    try {
+        const existingBookings = await getExistingBookings();
+
+        res.json({
+            success: true,
+            bookings: existingBookings,
+            totalBookings: existingBookings.length,
+            pendingSheetSync: getPendingSheetSyncs().map(booking => ({
+                bookingId: booking.id,
+                attempts: booking.sheetSyncAttempts,
+                nextAttemptAt: booking.nextSheetSyncAt,
+                lastError: booking.lastSheetSyncError
+            })),
+            retrievedAt: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Errore recupero prenotazioni esistenti:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Errore nel recupero delle prenotazioni esistenti',
+            details: error.message
+        });
+    }
+});
+
+// ===== ENDPOINT ADMIN REGOLE DI DISPONIBILITÀ =====
+app.get('/api/admin/availability', requireAdmin, (req, res) => {
+    const config = getAvailabilityConfig();
+
+    res.json({
+        success: true,
+        config: config,
+        preview: previewAvailability(config)
+    });
+});
+
+app.put('/api/admin/availability', requireAdmin, (req, res) => {
+    try {
+        const result = saveAvailabilityConfig(req.body);
+
+        if (!result.valid) {
+            return res.status(400).json({ success: false, errors: result.errors });
+        }
+
+        res.json({ success: true, config: result.config });
+
+    } catch (error) {
+        console.error('❌ Errore salvataggio regole di disponibilità:', error);
+        res.status(500).json({ success: false, error: 'Errore nel salvataggio delle regole', details: error.message });
+    }
+});
+
+// ===== FATTURE (ADMIN) =====
+app.get('/api/admin/invoices', requireAdmin, (req, res) => {
+    const year = req.query.year ? parseInt(req.query.year) : null;
+    const invoices = invoiceStore.values()
+        .filter(invoice => !year || invoice.year === year)
+        .sort((a, b) => a.year - b.year || a.sequence - b.sequence);
+
+    res.json({
+        success: true,
+        invoices: invoices.map(invoice => ({
+            id: invoice.id,
+            number: invoice.number,
+            documentType: invoice.documentType,
+            issuedAt: invoice.issuedAt,
+            bookingId: invoice.bookingId,
+            customer: invoice.customer.name,
+            currency: invoice.currency,
+            totals: invoice.totals
+        }))
+    });
+});
+
+app.get('/api/admin/invoices/:invoiceId/pdf', requireAdmin, async (req, res) => {
+    const invoice = invoiceStore.get(req.params.invoiceId);
+    if (!invoice) {
+        return res.status(404).json({ error: 'Documento non trovato' });
+    }
+
+    try {
+        const pdf = await generateInvoicePdf(invoice);
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `attachment; filename="${invoice.documentType}-${invoice.id}.pdf"`);
+        res.send(pdf);
+    } catch (error) {
+        console.error('❌ Errore generazione PDF:', error);
+        res.status(500).json({ error: 'Errore nella generazione del PDF', details: error.message });
+    }
+});
+
+// ===== RICONCILIAZIONE PAGAMENTI (ADMIN) =====
+app.get('/api/admin/reconciliation', requireAdmin, async (req, res) => {
+    const today = getZonedParts(new Date(), getBusinessTimeZone()).date;
+    const from = req.query.from || addDaysToISODate(today, -RECONCILIATION_LOOKBACK_DAYS);
+    const to = req.query.to || today;
+
+    if (!ISO_DATE_PATTERN.test(from) || !ISO_DATE_PATTERN.test(to) || from > to) {
+        return res.status(400).json({
+            error: 'Periodo non valido',
+            details: 'Usa from e to nel formato YYYY-MM-DD, con from non successivo a to',
+            code: 'INVALID_RANGE'
+        });
+    }
+
+    try {
+        const report = await runReconciliation({ from, to });
+        res.json({ success: true, report });
+    } catch (error) {
+        console.error('❌ Errore riconciliazione pagamenti:', error);
+        res.status(500).json({ error: 'Errore durante la riconciliazione', details: error.message });
+    }
+});
+
+app.get('/api/admin/reconciliation/last', requireAdmin, (req, res) => {
+    res.json({ success: true, report: lastReconciliationReport });
+});
+
+app.post('/api/admin/reconciliation/backfill', requireAdmin, async (req, res) => {
+    const { paymentIntentIds, force = false } = req.body || {};
+
+    if (!Array.isArray(paymentIntentIds) || paymentIntentIds.length === 0 ||
+        !paymentIntentIds.every(id => typeof id === 'string' && id.startsWith('pi_'))) {
+        return res.status(400).json({
+            error: 'Pagamenti non validi',
+            details: 'paymentIntentIds deve essere un elenco di ID PaymentIntent (pi_...)',
+            code: 'INVALID_PAYMENT_INTENTS'
+        });
+    }
+
+    const results = [];
+    // In sequenza: due pagamenti potrebbero contendersi lo stesso slot
+    for (const paymentIntentId of [...new Set(paymentIntentIds)]) {
+        try {
+            results.push(await backfillBookingPayment(paymentIntentId, { force: force === true }));
+        } catch (error) {
+            console.error(`❌ Recupero pagamento ${paymentIntentId} fallito:`, error.message);
+            results.push({ paymentIntentId, result: 'error', error: error.message });
+        }
+    }
+
+    res.json({
+        success: results.every(result => result.result === 'backfilled' || result.result === 'already-recorded'),
+        results
+    });
+});
+
+// ===== FEED ICALENDAR ADMIN =====
+// I client calendario non possono inviare header, quindi il segreto è nell'URL:
+// /api/admin/calendar.ics?token=<CALENDAR_FEED_TOKEN>
+app.get('/api/admin/calendar.ics', (req, res) => {
+    const feedToken = process.env.CALENDAR_FEED_TOKEN;
+
+    if (!feedToken) {
+        return res.status(503).json({ error: 'Feed calendario non configurato (CALENDAR_FEED_TOKEN mancante)' });
+    }
+
+    const expected = Buffer.from(feedToken);
+    const provided = Buffer.from(String(req.query.token || ''));
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return res.status(401).json({ error: 'Non autorizzato' });
+    }
+
+    const now = Date.now();
+    const upcomingEvents = bookingStore.values()
+        .filter(booking => booking.status === 'Confermata' && (booking.appointmentStart || (booking.appointmentDate && booking.appointmentTime)))
+        .filter(booking => getAppointmentStart(booking).getTime() + getBookingDuration(booking) * 60 * 1000 > now)
+        .sort((a, b) => getAppointmentStart(a) - getAppointmentStart(b))
+        .flatMap(booking => createBookingIcsEvent(booking, { includeContact: true }));
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'no-store');
+    res.send(createIcsCalendar(upcomingEvents, 'PUBLISH', [
+        'X-WR-CALNAME:Consulenze VFX - Valentin Procida',
+        `X-WR-TIMEZONE:${getBusinessTimeZone()}`
+    ]));
+});
+
+// ===== LISTA D'ATTESA =====
+app.post('/api/waitlist', throttleWaitlistSignups, async (req, res) => {
+    try {
+        const { email, name, serviceId, date, withinDays } = req.body;
+
+        if (!resend || !process.env.BOOKING_LINK_SECRET) {
+            return res.status(503).json({ success: false, error: 'Lista d\'attesa non disponibile', code: 'WAITLIST_UNAVAILABLE' });
+        }
+
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!email || !emailRegex.test(email)) {
+            return res.status(400).json({ success: false, error: 'Email non valida' });
+        }
+
+        const service = getService(serviceId);
+        if (!service || service.active === false) {
+            return res.status(400).json({ success: false, error: `Servizio non disponibile: ${serviceId}` });
+        }
+
+        const horizonDays = getAvailabilityConfig().horizonDays;
+        if (date ? !ISO_DATE_PATTERN.test(date) : !(Number.isInteger(withinDays) && withinDays >= 1 && withinDays <= horizonDays)) {
+            return res.status(400).json({
+                success: false,
+                error: `Indica una data (YYYY-MM-DD) oppure withinDays tra 1 e ${horizonDays}`
+            });
+        }
+
+        const entry = addToWaitlist({ email, name, service, date, withinDays });
+        if (entry.status === 'pending') {
+            await sendWaitlistConfirmation(entry, service);
+        }
+
+        // Se nel frattempo c'è già posto lo segnaliamo subito
+        const availableSlots = await getAvailableSlots(service);
+        const availableNow = Object.fromEntries(
+            Object.entries(availableSlots).filter(([slotDate]) => waitlistEntryMatchesDate(entry, slotDate))
+        );
+
+        res.json({
+            success: true,
+            entryId: entry.id,
+            status: entry.status,
+            confirmationRequired: entry.status === 'pending',
+            availableNow: availableNow
+        });
+
+    } catch (error) {
+        console.error('❌ Errore iscrizione lista d\'attesa:', error);
+        res.status(500).json({ success: false, error: 'Errore nell\'iscrizione alla lista d\'attesa', details: error.message });
+    }
+});
+
+/**
+ * Conferma dell'iscrizione dal link ricevuto per email (POST, così l'anteprima dei link
+ * dei client di posta non conferma al posto del cliente)
+ */
+app.post('/api/waitlist/confirm', (req, res) => {
+    const result = readSignedToken(req.body && req.body.token, 'waitlist-confirm');
+    if (!result.valid) {
+        return res.status(403).json({ success: false, error: result.error, code: 'INVALID_CONFIRM_LINK' });
+    }
+
+    const entry = waitlistStore.get(result.payload.entryId);
+    if (!entry || !['pending', 'waiting'].includes(entry.status)) {
+        return res.status(410).json({ success: false, error: 'Questa iscrizione non è più attiva', code: 'WAITLIST_ENTRY_CLOSED' });
+    }
+
+    const confirmedEntry = entry.status === 'pending' ?
+        waitlistStore.update(entry.id, { status: 'waiting', confirmedAt: new Date().toISOString() }) :
+        entry;
+
+    if (entry.status === 'pending') {
+        console.log(`✅ Iscrizione di ${entry.email} alla lista d'attesa confermata`);
+    }
+
+    res.json({
+        success: true,
+        entryId: confirmedEntry.id,
+        status: confirmedEntry.status
+    });
+});
+
+/**
+ * Dettagli dello slot offerto tramite link della lista d'attesa (per precompilare la prenotazione)
+ */
+app.get('/api/waitlist/claim', (req, res) => {
+    const result = readSignedToken(req.query.token, 'waitlist-claim');
+    if (!result.valid) {
+        return res.status(403).json({ success: false, error: result.error, code: 'INVALID_CLAIM_LINK' });
+    }
+
+    const entry = waitlistStore.get(result.payload.entryId);
+    if (!entry || entry.status !== 'notified') {
+        return res.status(410).json({ success: false, error: 'Questa offerta non è più disponibile', code: 'CLAIM_EXPIRED' });
+    }
+
+    const { date, time } = entry.offeredSlot;
+    res.json({
+        success: true,
+        email: entry.email,
+        name: entry.name,
+        serviceId: entry.serviceId,
+        appointmentDate: date,
+        appointmentTime: time,
+        appointmentStart: zonedDateTimeToInstant(date, time, getBusinessTimeZone()).toISOString(),
+        claimExpiresAt: entry.claimExpiresAt
+    });
+});
+
+app.get('/api/admin/waitlist', requireAdmin, (req, res) => {
+    const entries = waitlistStore.values().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    res.json({
+        success: true,
+        entries: entries,
+        pending: entries.filter(entry => entry.status === 'pending').length,
+        waiting: entries.filter(entry => entry.status === 'waiting').length,
+        notified: entries.filter(entry => entry.status === 'notified').length
+    });
+});
+
+// ===== BUONI REGALO =====
+
+/**
+ * Acquisto di un buono regalo tramite Stripe Checkout. L'importo è libero (entro i limiti
+ * di giftVouchers, in centesimi di euro convertiti nella valuta scelta) oppure pari al prezzo di un servizio.
+ */
+app.post('/api/gift-vouchers/checkout', async (req, res) => {
+    try {
+        const { purchaserName, purchaserEmail, recipientName, recipientEmail, serviceId } = req.body;
+        const message = String(req.body.message || '').trim();
+        const successUrl = req.body.successUrl || GIFT_VOUCHER_SUCCESS_URL;
+        const cancelUrl = req.body.cancelUrl || GIFT_VOUCHER_CANCEL_URL;
+
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!purchaserName || !recipientName || !emailRegex.test(purchaserEmail || '') || !emailRegex.test(recipientEmail || '')) {
+            return res.status(400).json({ error: 'Nome ed email di chi regala e di chi riceve sono richiesti' });
+        }
+
+        // I metadata Stripe accettano al massimo 500 caratteri per valore
+        if (message.length > 300) {
+            return res.status(400).json({ error: 'Il messaggio può contenere al massimo 300 caratteri' });
+        }
+
+        if (!isAllowedRedirectUrl(successUrl) || !isAllowedRedirectUrl(cancelUrl)) {
+            return res.status(400).json({ error: 'URL di ritorno non consentito', code: 'INVALID_REDIRECT_URL' });
+        }
+
+        const { currency, error } = resolveRequestCurrency(req);
+        if (error) {
+            return res.status(400).json({ error: error, code: 'UNSUPPORTED_CURRENCY' });
+        }
+
+        const service = serviceId ? getService(serviceId) : null;
+        if (serviceId && (!service || service.active === false)) {
+            return res.status(400).json({ error: `Servizio non disponibile: ${serviceId}`, code: 'SERVICE_NOT_FOUND' });
+        }
+
+        const config = getGiftVoucherConfig();
+        const minAmount = convertFromEur(config.minAmount, currency);
+        const maxAmount = convertFromEur(config.maxAmount, currency);
+        const amount = service ? getServicePrice(service, currency) : parseInt(req.body.amount);
+
+        if (!service && !(Number.isInteger(amount) && amount >= minAmount && amount <= maxAmount)) {
+            return res.status(400).json({
+                error: `Importo non valido: scegli un valore tra ${formatMoney(minAmount, currency)} e ${formatMoney(maxAmount, currency)}`,
+                code: 'INVALID_VOUCHER_AMOUNT'
+            });
+        }
+
+        const metadata = {
+            product: 'gift-voucher',
+            amount: amount.toString(),
+            currency: currency,
+            serviceId: service ? service.id : '',
+            purchaserName: String(purchaserName).slice(0, 100),
+            purchaserEmail: purchaserEmail,
+            recipientName: String(recipientName).slice(0, 100),
+            recipientEmail: recipientEmail,
+            message: message
+        };
+
+        const session = await stripe.checkout.sessions.create({
+            mode: 'payment',
+            customer_email: purchaserEmail,
+            line_items: [{
+                quantity: 1,
+                price_data: {
+                    currency: currency,
+                    unit_amount: amount,
+                    product_data: {
+                        name: service ? `Buono regalo - ${service.name}` : 'Buono regalo consulenza VFX',
+                        description: `Per ${metadata.recipientName}, valido ${config.validityMonths} mesi`
+                    }
+                }
+            }],
+            payment_intent_data: {
+                metadata: metadata,
+                description: 'Gift voucher - Valentin Procida'
+            },
+            metadata: { product: 'gift-voucher' },
+            success_url: `${successUrl}${successUrl.includes('?') ? '&' : '?'}session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: cancelUrl
+        });
+
+        console.log(`🎁 Checkout buono regalo ${session.id}: ${formatMoney(amount, currency)} per ${recipientEmail}`);
+
+        res.json({
+            url: session.url,
+            sessionId: session.id,
+            amount: amount,
+            currency: currency
+        });
+
+    } catch (error) {
+        console.error('❌ Errore creazione Checkout buono regalo:', error);
+        res.status(500).json({ error: 'Errore nel processare il pagamento', details: error.message });
+    }
+});
+
+/**
+ * Saldo e scadenza di un buono, per mostrarli prima del pagamento (limitato come i codici sconto:
+ * il codice vale denaro)
+ */
+app.get('/api/gift-vouchers/:code', throttleDiscountAttempts('code'), (req, res) => {
+    const voucher = voucherStore.get(normalizeGiftVoucherCode(req.params.code));
+    if (!voucher) {
+        recordInvalidDiscountAttempt(res);
+        return res.status(404).json({ valid: false, error: 'Buono regalo non valido', code: 'VOUCHER_NOT_FOUND' });
+    }
+
+    const expired = new Date(voucher.expiresAt) < new Date();
+    const balance = getAvailableVoucherBalance(voucher);
+
+    res.json({
+        valid: !expired && balance > 0,
+        code: voucher.code,
+        balance: balance,
+        formattedBalance: formatMoney(balance, voucher.currency),
+        currency: voucher.currency,
+        expiresAt: voucher.expiresAt,
+        expired: expired
     });
+});
 
-    const finalAmount = (bookingData.amount / 100).toFixed(2);
+app.get('/api/admin/gift-vouchers', requireAdmin, (req, res) => {
+    const vouchers = voucherStore.values().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>New Booking - Admin Notification</title>
-</head>
-<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333;">
-    <div style="max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
-        
-        <!-- Header Admin -->
-        <div style="background: #9b59b6; padding: 30px; text-align: center;">
-            <div style="width: 50px; height: 50px; background: white; border-radius: 50%; margin: 0 auto 15px; display: flex; align-items: center; justify-content: center; font-size: 20px;">🎯</div>
-            <h1 style="margin: 0; font-size: 24px; font-weight: 600; color: white;">Nuova Prenotazione</h1>
-            <p style="margin: 10px 0 0 0; color: rgba(255,255,255,0.9); font-size: 12px; text-transform: uppercase; letter-spacing: 1px;">Sistema VFX Booking</p>
-        </div>
-        
-        <!-- Content Admin -->
-        <div style="padding: 30px;">
-            
-            <!-- Customer Section -->
-            <div style="margin-bottom: 30px;">
-                <h3 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 14px; font-weight: 600; text-transform: uppercase; letter-spacing: 1px; border-bottom: 2px solid #9b59b6; padding-bottom: 8px;">👤 Cliente</h3>
-                
-                <div style="background: #f8f9fa; border-left: 4px solid #9b59b6; padding: 20px;">
-                    <table style="width: 100%; border-collapse: collapse;">
-                        <tr style="border-bottom: 1px solid #e9ecef;">
-                            <td style="padding: 8px 0; color: #666; font-weight: 500; width: 30%;">Nome:</td>
-                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 600;">${bookingData.customerName || bookingData.name}</td>
-                        </tr>
-                        <tr style="border-bottom: 1px solid #e9ecef;">
-                            <td style="padding: 8px 0; color: #666; font-weight: 500;">Email:</td>
-                            <td style="padding: 8px 0;"><a href="mailto:${bookingData.customerEmail || bookingData.email}" style="color: #9b59b6; text-decoration: none; font-weight: 500;">${bookingData.customerEmail || bookingData.email}</a></td>
-                        </tr>
-                        <tr style="border-bottom: 1px solid #e9ecef;">
-                            <td style="padding: 8px 0; color: #666; font-weight: 500;">Telefono:</td>
-                            <td style="padding: 8px 0;"><a href="tel:${bookingData.customerPhone || bookingData.phone}" style="color: #9b59b6; text-decoration: none; font-weight: 500;">${bookingData.customerPhone || bookingData.phone}</a></td>
-                        </tr>
-                        ${bookingData.company ? `
-                        <tr>
-                            <td style="padding: 8px 0; color: #666; font-weight: 500;">Azienda:</td>
-                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 600;">${bookingData.company}</td>
-                        </tr>` : ''}
-                    </table>
-                </div>
-            </div>
-            
-            <!-- Appointment Section -->
-            <div style="margin-bottom: 30px;">
-                <h3 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 14px; font-weight: 600; text-transform: uppercase; letter-spacing: 1px; border-bottom: 2px solid #3498db; padding-bottom: 8px;">📅 Appuntamento</h3>
-                
-                <div style="background: #e3f2fd; border-left: 4px solid #3498db; padding: 20px;">
-                    <table style="width: 100%; border-collapse: collapse;">
-                        <tr style="border-bottom: 1px solid #bbdefb;">
-                            <td style="padding: 8px 0; color: #666; font-weight: 500; width: 30%;">Data:</td>
-                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 600;">${formattedDate}</td>
-                        </tr>
-                        <tr style="border-bottom: 1px solid #bbdefb;">
-                            <td style="padding: 8px 0; color: #666; font-weight: 500;">Orario:</td>
-                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 600;">${bookingData.appointmentTime || 'Non specificato'}</td>
-                        </tr>
-                        <tr>
-                            <td style="padding: 8px 0; color: #666; font-weight: 500;">Durata:</td>
-                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 600;">90 minuti</td>
-                        </tr>
-                    </table>
-                </div>
-            </div>
-            
-            <!-- Payment Section -->
-            <div style="margin-bottom: 30px;">
-                <h3 style="color: #2c3e50; margin: 0 0 15px 0; font-size: 14px; font-weight: 600; text-transform: uppercase; letter-spacing: 1px; border-bottom: 2px solid #27ae60; padding-bottom: 8px;">💰 Pagamento</h3>
-                
-                <div style="background: #e8f5e9; border-left: 4px solid #27ae60; padding: 20px;">
-                    <table style="width: 100%; border-collapse: collapse;">
-                        <tr style="border-bottom: 1px solid #c3e6cb;">
-                            <td style="padding: 8px 0; color: #666; font-weight: 500; width: 30%;">Importo:</td>
-                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 700; font-size: 18px;">€${finalAmount}</td>
-                        </tr>
-                        ${bookingData.discount ? `
-                        <tr style="border-bottom: 1px solid #c3e6cb;">
-                            <td style="padding: 8px 0; color: #666; font-weight: 500;">Sconto:</td>
-                            <td style="padding: 8px 0; color: #27ae60; font-weight: 600;">${bookingData.discount.code} (-€${(bookingData.discount.discountAmount / 100).toFixed(2)})</td>
-                        </tr>` : ''}
-                        <tr style="border-bottom: 1px solid #c3e6cb;">
-                            <td style="padding: 8px 0; color: #666; font-weight: 500;">ID Stripe:</td>
-                            <td style="padding: 8px 0;"><code style="background: #f8f9fa; padding: 4px 8px; border-radius: 3px; font-size: 12px; color: #2c3e50;">${bookingData.paymentIntent || bookingData.paymentId}</code></td>
-                        </tr>
-                        <tr>
-                            <td style="padding: 8px 0; color: #666; font-weight: 500;">Timestamp:</td>
-                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 500;">${new Date().toLocaleString('it-IT')}</td>
-                        </tr>
-                    </table>
-                </div>
-            </div>
-            
-        </div>
-        
-        <!-- Footer Admin -->
-        <div style="background: #34495e; color: white; padding: 20px; text-align: center;">
-            <p style="margin: 0; font-size: 12px; text-transform: uppercase; letter-spacing: 1px; color: #bdc3c7;">
-                Sistema VFX Booking • Powered by Valentin Procida
-            </p>
-        </div>
-    </div>
-</body>
-</html>`;
+    res.json({
+        success: true,
+        vouchers: vouchers.map(voucher => ({
+            code: voucher.code,
+            initialAmount: voucher.initialAmount,
+            balance: voucher.balance,
+            currency: voucher.currency,
+            purchaserEmail: voucher.purchaserEmail,
+            recipientEmail: voucher.recipientEmail,
+            paymentIntentId: voucher.paymentIntentId,
+            redemptions: voucher.redemptions,
+            createdAt: voucher.createdAt,
+            expiresAt: voucher.expiresAt,
+            deliveredAt: voucher.deliveredAt || null,
+            lastDeliveryError: voucher.lastDeliveryError || null
+        }))
+    });
+});
+
+/**
+ * Reinvia il buono al destinatario (email mai arrivata o persa)
+ */
+app.post('/api/admin/gift-vouchers/:code/resend', requireAdmin, async (req, res) => {
+    const voucher = voucherStore.get(normalizeGiftVoucherCode(req.params.code));
+    if (!voucher) {
+        return res.status(404).json({ success: false, error: 'Buono regalo non trovato', code: 'VOUCHER_NOT_FOUND' });
+    }
+
+    if (!resend) {
+        return res.status(503).json({ success: false, error: 'Email non configurate', code: 'EMAIL_NOT_CONFIGURED' });
+    }
+
+    const delivered = await deliverGiftVoucher(voucher);
+    const updated = voucherStore.get(voucher.code);
+    if (!delivered) {
+        return res.status(502).json({ success: false, error: 'Invio del buono non riuscito', details: updated.lastDeliveryError, code: 'VOUCHER_DELIVERY_FAILED' });
+    }
+
+    console.log(`📧 Buono regalo ${voucher.code} reinviato a ${voucher.recipientEmail} dall'admin`);
+    res.json({ success: true, code: updated.code, recipientEmail: updated.recipientEmail, deliveredAt: updated.deliveredAt });
+});
+
+// ===== CODICI SCONTO (ADMIN) =====
+const DISCOUNT_BATCH_MAX_COUNT = 500;
+
+function describeDiscountCodeForAdmin(discount) {
+    return {
+        code: discount.code,
+        type: discount.type,
+        value: discount.value,
+        description: discount.description,
+        category: discount.category || null,
+        active: discount.active,
+        maxUses: discount.maxUses,
+        usedCount: discount.usedCount,
+        reservedCount: getActiveDiscountReservations(discount).length,
+        validUntil: discount.validUntil,
+        isExpired: isDiscountCodeExpired(discount),
+        assignedTo: discount.assignedTo || null,
+        rules: discount.rules || null,
+        createdAt: discount.createdAt || null,
+        redemptions: discount.redemptions
+    };
 }
 
-// ===== SCHEDULER & EMAIL FUNCTIONS =====
-function scheduleReminderEmail(bookingData, meetingInfo, sendImmediately = true) {
-    console.log('📧 scheduleReminderEmail chiamata con:', {
-        appointmentDate: bookingData.appointmentDate,
-        appointmentTime: bookingData.appointmentTime,
-        meetingInfo: meetingInfo ? 'PRESENTE' : 'MANCANTE',
-        sendImmediately: sendImmediately
-    });
+/**
+ * Esporta i codici in CSV (separatore virgola, campi tra virgolette se necessario)
+ */
+function discountCodesToCsv(codes) {
+    const columns = ['code', 'type', 'value', 'description', 'category', 'active', 'maxUses', 'usedCount', 'validUntil', 'assignedTo', 'createdAt'];
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
 
-    if (!meetingInfo) {
-        console.error('❌ meetingInfo è null - non posso programmare email Google Meet');
-        return;
+    return [columns.join(','), ...codes.map(discount => columns.map(column => escape(discount[column])).join(','))].join('\n') + '\n';
+}
+
+function sendDiscountCodesCsv(res, codes, filename) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(discountCodesToCsv(codes));
+}
+
+app.get('/api/admin/discount-codes', requireAdmin, (req, res) => {
+    const codes = discountStore.values()
+        .filter(discount => !req.query.category || discount.category === req.query.category)
+        .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+
+    if (req.query.format === 'csv') {
+        return sendDiscountCodesCsv(res, codes, 'codici-sconto.csv');
     }
 
-    // ✅ FIX: Se sendImmediately è true, invia subito
-    if (sendImmediately) {
-        console.log('📧 Invio IMMEDIATO dell\'email Google Meet (come richiesto)');
-        sendMeetingLinkEmail(bookingData, meetingInfo);
-        return;
+    res.json({ success: true, codes: codes.map(describeDiscountCodeForAdmin) });
+});
+
+app.post('/api/admin/discount-codes', requireAdmin, (req, res) => {
+    const { valid, errors, values } = validateDiscountCodeInput(req.body || {});
+    if (!valid) {
+        return res.status(400).json({ success: false, errors });
     }
 
-    // Logica originale per invio programmato (solo se sendImmediately = false)
-    const appointmentDate = new Date(bookingData.appointmentDate);
-    const [hours, minutes] = bookingData.appointmentTime.split(':');
+    if (values.customCode && !codeGenerator.isCodeUnique(values.customCode)) {
+        return res.status(409).json({ error: 'Codice già esistente', details: values.customCode, code: 'CODE_EXISTS' });
+    }
 
-    const meetingTime = new Date(appointmentDate);
-    meetingTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
+    const discount = codeGenerator.createDiscountCode(values);
+    console.log(`🎫 Codice sconto ${discount.code} creato dall'admin`);
+    res.status(201).json({ success: true, discountCode: describeDiscountCodeForAdmin(discountStore.get(discount.code)) });
+});
 
-    const reminderTime = new Date(meetingTime.getTime() - 24 * 60 * 60 * 1000);
-    const now = new Date();
+app.post('/api/admin/discount-codes/batch', requireAdmin, (req, res) => {
+    const { count, ...options } = req.body || {};
+
+    if (!Number.isInteger(count) || count < 1 || count > DISCOUNT_BATCH_MAX_COUNT) {
+        return res.status(400).json({ success: false, errors: [`count deve essere un intero tra 1 e ${DISCOUNT_BATCH_MAX_COUNT}`] });
+    }
+    if (options.customCode !== undefined) {
+        return res.status(400).json({ success: false, errors: ['customCode non è ammesso nella generazione in blocco'] });
+    }
+
+    const { valid, errors, values } = validateDiscountCodeInput(options);
+    if (!valid) {
+        return res.status(400).json({ success: false, errors });
+    }
+
+    const codes = Array.from({ length: count }, () => discountStore.get(codeGenerator.createDiscountCode(values).code));
+    console.log(`🎫 Generati ${count} codici sconto in blocco (${values.category || 'casuali'})`);
+
+    if (req.query.format === 'csv') {
+        return sendDiscountCodesCsv(res, codes, `codici-sconto-${new Date().toISOString().slice(0, 10)}.csv`);
+    }
+
+    res.status(201).json({ success: true, codes: codes.map(describeDiscountCodeForAdmin) });
+});
+
+app.patch('/api/admin/discount-codes/:code', requireAdmin, (req, res) => {
+    const discount = getDiscountCode(req.params.code);
+    if (!discount) {
+        return res.status(404).json({ error: 'Codice sconto non trovato', code: 'CODE_NOT_FOUND' });
+    }
+
+    const { valid, errors, values } = validateDiscountCodeInput(req.body || {}, discount);
+    if (!valid) {
+        return res.status(400).json({ success: false, errors });
+    }
+
+    const updated = discountStore.update(discount.code, { ...values, updatedAt: new Date().toISOString() });
+    console.log(`✏️ Codice sconto ${discount.code} modificato dall'admin`);
+    res.json({ success: true, discountCode: describeDiscountCodeForAdmin(updated) });
+});
+
+app.post('/api/admin/discount-codes/:code/deactivate', requireAdmin, (req, res) => {
+    const discount = getDiscountCode(req.params.code);
+    if (!discount) {
+        return res.status(404).json({ error: 'Codice sconto non trovato', code: 'CODE_NOT_FOUND' });
+    }
+
+    const updated = discountStore.update(discount.code, { active: false, updatedAt: new Date().toISOString() });
+    console.log(`⛔ Codice sconto ${discount.code} disattivato dall'admin`);
+    res.json({ success: true, discountCode: describeDiscountCodeForAdmin(updated) });
+});
 
-    console.log('⏰ Tempi calcolati:', {
-        appointmentTime: meetingTime.toLocaleString('it-IT'),
-        reminderTime: reminderTime.toLocaleString('it-IT'),
-        now: now.toLocaleString('it-IT'),
-        isInPast: reminderTime <= now
+app.delete('/api/admin/discount-codes/:code', requireAdmin, (req, res) => {
+    const discount = getDiscountCode(req.params.code);
+    if (!discount) {
+        return res.status(404).json({ error: 'Codice sconto non trovato', code: 'CODE_NOT_FOUND' });
+    }
+
+    // Lo storico degli utilizzi serve per rimborsi e contestazioni: i codici già usati si disattivano
+    if (discount.redemptions.length > 0) {
+        return res.status(409).json({
+            error: 'Codice già utilizzato',
+            details: 'I codici con utilizzi registrati non si possono eliminare: disattivali',
+            code: 'CODE_IN_USE'
+        });
+    }
+
+    discountStore.delete(discount.code);
+    console.log(`🗑️ Codice sconto ${discount.code} eliminato dall'admin`);
+    res.json({ success: true });
+});
+
+// ===== REFERRAL (ADMIN) =====
+app.get('/api/admin/referrals', requireAdmin, (req, res) => {
+    const referralCodes = discountStore.values().filter(discount => discount.category === 'referral');
+    const referredEmails = new Set(referralCodes.flatMap(referralCode =>
+        referralCode.redemptions.filter(redemption => !redemption.rolledBackAt).map(redemption => redemption.customerEmail)));
+
+    // Le catene partono dai clienti che non sono stati a loro volta invitati
+    const chains = referralCodes
+        .filter(referralCode => !referredEmails.has(referralCode.referrerEmail))
+        .map(referralCode => buildReferralChain(referralCode))
+        .filter(chain => chain.conversions.length > 0 || req.query.all === 'true');
+
+    const rewards = discountStore.values().filter(discount => discount.category === 'referral-reward');
+    const conversions = referralCodes.reduce((total, referralCode) =>
+        total + referralCode.redemptions.filter(redemption => !redemption.rolledBackAt).length, 0);
+
+    res.json({
+        success: true,
+        summary: {
+            referralCodes: referralCodes.length,
+            activeReferrers: referralCodes.filter(referralCode => referralCode.usedCount > 0).length,
+            conversions,
+            conversionRate: referralCodes.length > 0 ? Math.round(conversions / referralCodes.length * 100) / 100 : 0,
+            rewardsIssued: rewards.length,
+            rewardsUsed: rewards.filter(reward => reward.usedCount > 0).length
+        },
+        chains
     });
+});
 
-    if (reminderTime <= now) {
-        console.log('📧 Reminder time nel passato, invio IMMEDIATO dell\'email Google Meet');
-        sendMeetingLinkEmail(bookingData, meetingInfo);
-        return;
+// ===== ENDPOINTS EMAIL E CODICI SCONTO =====
+app.post('/api/send-discount-email', async (req, res) => {
+    try {
+        const { email, name } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email richiesta' });
+        }
+
+        if (!resend) {
+            return res.status(500).json({ error: 'Servizio email non configurato' });
+        }
+
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({ error: 'Email non valida' });
+        }
+
+        const newCode = codeGenerator.createDiscountCode({
+            category: 'welcome',
+            description: 'Email Signup Discount - Sconto 10%',
+            maxUses: 1,
+            validUntil: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+            assignedTo: email
+        });
+
+        const recipientName = name || extractNameFromEmail(email);
+
+        await sendEmail({
+            to: email,
+            subject: '🎉 Your 10% Discount Code - VFX Consultation',
+            html: createDiscountEmailTemplate(recipientName, newCode.code, 10)
+        });
+
+        console.log(`✅ Codice sconto ${newCode.code} generato e inviato a ${email}`);
+
+        res.json({
+            success: true,
+            message: 'Discount code sent successfully',
+            code: newCode.code,
+            email: email
+        });
+
+    } catch (error) {
+        console.error('Errore invio email discount:', error);
+        res.status(500).json({
+            error: 'Errore nell\'invio dell\'email',
+            details: error.message
+        });
+    }
+});
+
+app.post('/api/validate-discount', throttleDiscountAttempts('code'), async (req, res) => {
+    try {
+        const { code, serviceId, email } = req.body;
+        if (!code) return res.status(400).json({ error: 'Codice sconto richiesto' });
+
+        const service = getService(serviceId);
+        if (!service) return res.status(400).json({ error: `Servizio non trovato: ${serviceId}` });
+
+        const { currency, error } = resolveRequestCurrency(req);
+        if (error) return res.status(400).json({ error: error, code: 'UNSUPPORTED_CURRENCY' });
+
+        // Email e appuntamento sono facoltativi: se presenti si controllano anche le regole che li riguardano
+        const slot = resolveAppointmentSlot({
+            start: req.body.appointmentStart,
+            date: req.body.appointmentDate,
+            time: req.body.appointmentTime
+        });
+
+        const originalAmount = getServicePrice(service, currency);
+        const result = calculateDiscountedPrice(originalAmount, code, currency, {
+            email, serviceId: service.id, appointmentDate: slot && slot.date, appointmentTime: slot && slot.time
+        });
+
+        if (!result.valid) {
+            if (result.code === 'DISCOUNT_INVALID') recordInvalidDiscountAttempt(res);
+            return res.status(400).json({ error: result.error, code: result.code });
+        }
+
+        console.log('Codice sconto validato:', code, result);
+        res.json({
+            valid: true, originalPrice: result.originalPrice, discountAmount: result.discountAmount,
+            finalPrice: result.finalPrice, discountCode: result.discountCode,
+            currency: currency, description: result.discountDescription,
+            savings: formatMoney(result.discountAmount, currency)
+        });
+    } catch (error) {
+        console.error('Errore validazione codice sconto:', error);
+        res.status(500).json({ error: 'Errore nella validazione del codice sconto' });
     }
+});
 
-    const timeUntilReminder = reminderTime.getTime() - now.getTime();
-    const hoursUntil = timeUntilReminder / (1000 * 60 * 60);
+// ===== ENDPOINTS STRIPE =====
+// Stripe Checkout: una sessione deve durare almeno 30 minuti
+const CHECKOUT_SESSION_MINUTES = Math.max(30, parseInt(process.env.CHECKOUT_SESSION_MINUTES) || 30);
+const CHECKOUT_SUCCESS_URL = process.env.CHECKOUT_SUCCESS_URL || 'https://www.valentinprocida.it/booking-success.html';
+const CHECKOUT_CANCEL_URL = process.env.CHECKOUT_CANCEL_URL || 'https://www.valentinprocida.it/buy.html';
 
-    console.log(`⏰ Email Google Meet programmata per: ${reminderTime.toLocaleString('it-IT')} (tra ${hoursUntil.toFixed(1)} ore)`);
+/**
+ * Controlli comuni a PaymentIntent e Checkout Session: servizio, slot, sconto e blocco dello slot.
+ * Restituisce { error: { status, body } } oppure i dati del pagamento con lo slot già bloccato.
+ */
+async function prepareBookingPayment(body, { currency = getDefaultCurrency(), holdMinutes = SLOT_HOLD_TTL_MINUTES } = {}) {
+    const { email, name, phone, company, appointmentStart, discountCode, timezone, serviceId } = body;
 
-    setTimeout(() => {
-        console.log('🚀 Timer scaduto - invio email Google Meet ora');
-        sendMeetingLinkEmail(bookingData, meetingInfo);
-    }, timeUntilReminder);
-}
+    if (!email || !name) {
+        return { error: { status: 400, body: { error: 'Email e nome sono richiesti' } } };
+    }
 
-async function sendMeetingLinkEmail(bookingData, meetingInfo) {
-    console.log('📧 sendMeetingLinkEmail chiamata per:', bookingData.customerEmail);
+    const service = getService(serviceId);
+    if (!service || service.active === false) {
+        return { error: { status: 400, body: { error: `Servizio non disponibile: ${serviceId}`, code: 'SERVICE_NOT_FOUND' } } };
+    }
 
-    if (!resend) {
-        console.error('❌ Resend non configurato');
-        return;
+    const slot = resolveAppointmentSlot({
+        start: appointmentStart,
+        date: body.appointmentDate,
+        time: body.appointmentTime
+    });
+
+    if (!slot) {
+        return { error: { status: 400, body: { error: 'Data e orario dell\'appuntamento sono richiesti (appointmentStart in formato ISO-8601 oppure appointmentDate + appointmentTime)' } } };
     }
 
-    try {
-        console.log('📧 Invio email Google Meet a:', bookingData.customerEmail);
-        await sendEmail({
-            to: bookingData.customerEmail,
-            subject: `🎥 Link Google Meet per la tua consulenza VFX - ${new Date(bookingData.appointmentDate).toLocaleDateString('it-IT')}`,
-            html: createMeetingLinkEmailTemplate(bookingData, meetingInfo)
-        });
-        console.log(`✅ Email Google Meet inviata con successo a ${bookingData.customerEmail}`);
+    if (timezone && !isValidTimeZone(timezone)) {
+        return { error: { status: 400, body: { error: `Fuso orario non valido: ${timezone}` } } };
+    }
 
-    } catch (error) {
-        console.error('❌ Errore invio email Google Meet:', error);
+    const { billing, error: billingError } = validateBillingDetails(body.billing);
+    if (billingError) {
+        return { error: { status: 400, body: { error: billingError, code: 'INVALID_BILLING_DETAILS' } } };
     }
-}
 
-function extractNameFromEmail(email) {
-    const localPart = email.split('@')[0];
-    const cleanName = localPart.replace(/[0-9._-]/g, ' ').trim();
-    return cleanName || null;
-}
+    const { date: appointmentDate, time: appointmentTime } = slot;
+    const customerTimezone = timezone || getBusinessTimeZone();
 
-// ===== FUNZIONI HELPER =====
-function generateInitialCodes() {
-    console.log('🎫 Generazione automatica codici sconto...');
+    if (!process.env.STRIPE_SECRET_KEY) {
+        throw new Error('Stripe secret key not configured');
+    }
 
-    for (let i = 0; i < 5; i++) {
-        const code = codeGenerator.createDiscountCode({
-            category: 'general',
-            maxUses: 100,
-            validUntil: new Date('2025-12-31')
-        });
-        discountCodes[code.code] = {
-            type: code.type, value: code.value, description: code.description,
-            active: code.active, maxUses: code.maxUses, usedCount: code.usedCount,
-            validUntil: code.validUntil
+    if (!isSlotOffered(appointmentDate, appointmentTime)) {
+        return {
+            error: {
+                status: 400,
+                body: { error: 'L\'orario selezionato non è prenotabile. Seleziona un altro orario.', code: 'SLOT_NOT_OFFERED' }
+            }
         };
     }
 
-    for (let i = 0; i < 3; i++) {
-        const code = codeGenerator.createDiscountCode({
-            category: 'social',
-            maxUses: 200,
-            validUntil: new Date('2025-12-31')
-        });
-        discountCodes[code.code] = {
-            type: code.type, value: code.value, description: code.description,
-            active: code.active, maxUses: code.maxUses, usedCount: code.usedCount,
-            validUntil: code.validUntil
+    // 🔥 NUOVO: Controlla se lo slot è ancora disponibile
+    console.log(`🔍 Controllo finale disponibilità: ${appointmentDate} alle ${appointmentTime}`);
+
+    const isBooked = await isSlotBooked(appointmentDate, appointmentTime, service.durationMinutes);
+
+    if (isBooked) {
+        console.log(`❌ Slot ${appointmentDate} alle ${appointmentTime} già prenotato!`);
+        return {
+            error: {
+                status: 409,
+                body: { error: 'Questo slot è stato appena prenotato da un altro cliente. Seleziona un altro orario.', code: 'SLOT_ALREADY_BOOKED' }
+            }
         };
     }
 
-    for (let i = 0; i < 4; i++) {
-        const code = codeGenerator.createDiscountCode({
-            category: 'special',
-            maxUses: 50,
-            validUntil: new Date('2025-08-31')
+    let originalAmount = getServicePrice(service, currency);
+    let finalAmount = originalAmount;
+    let discountInfo = null;
+
+    if (discountCode) {
+        const discountResult = calculateDiscountedPrice(originalAmount, discountCode, currency, {
+            email, serviceId: service.id, appointmentDate, appointmentTime
         });
-        discountCodes[code.code] = {
-            type: code.type, value: code.value, description: code.description,
-            active: code.active, maxUses: code.maxUses, usedCount: code.usedCount,
-            validUntil: code.validUntil
+        if (!discountResult.valid) {
+            return { error: { status: 400, body: { error: discountResult.error, code: discountResult.code } } };
+        }
+
+        finalAmount = discountResult.finalPrice;
+        discountInfo = {
+            code: discountResult.discountCode,
+            description: discountResult.discountDescription,
+            originalAmount: discountResult.originalPrice,
+            discountAmount: discountResult.discountAmount,
+            finalAmount: discountResult.finalPrice
         };
     }
 
-    console.log(`✅ Generati ${Object.keys(discountCodes).length} codici sconto totali`);
-}
+    // Acconto: ora si addebita solo una parte, il saldo si paga dal link nelle email
+    let depositInfo = null;
+    if (body.paymentOption === 'deposit') {
+        depositInfo = calculateDeposit(service, finalAmount, slot.start);
+        if (depositInfo.error) {
+            return { error: { status: 400, body: { error: depositInfo.error, code: 'DEPOSIT_NOT_AVAILABLE' } } };
+        }
+    } else if (body.paymentOption && body.paymentOption !== 'full') {
+        return { error: { status: 400, body: { error: `Modalità di pagamento non valida: ${body.paymentOption}`, code: 'INVALID_PAYMENT_OPTION' } } };
+    }
+
+    // Buono regalo: copre tutto o parte dell'importo, il resto si paga con carta
+    let giftVoucherInfo = null;
+    if (body.giftVoucherCode) {
+        if (depositInfo) {
+            return { error: { status: 400, body: { error: 'Il buono regalo non si può usare insieme all\'acconto', code: 'VOUCHER_WITH_DEPOSIT' } } };
+        }
 
-function calculateDiscountedPrice(originalPrice, discountCode) {
-    const discount = discountCodes[discountCode.toUpperCase()];
+        const voucherCheck = checkGiftVoucher(body.giftVoucherCode, currency);
+        if (voucherCheck.error) {
+            return { error: { status: 400, body: { error: voucherCheck.error, code: voucherCheck.code } } };
+        }
 
-    if (!discount || !discount.active) {
-        return { valid: false, error: 'Codice sconto non valido' };
+        // Stripe non accetta addebiti sotto i 50 centesimi: in quel caso il buono ne lascia 50 alla carta
+        let voucherAmount = Math.min(voucherCheck.available, finalAmount);
+        if (finalAmount - voucherAmount > 0 && finalAmount - voucherAmount < 50) {
+            voucherAmount = Math.max(0, finalAmount - 50);
+        }
+
+        giftVoucherInfo = {
+            code: voucherCheck.voucher.code,
+            amount: voucherAmount,
+            remainingBalance: voucherCheck.available - voucherAmount
+        };
     }
 
-    if (discount.validUntil && new Date() > discount.validUntil) {
-        return { valid: false, error: 'Codice sconto scaduto' };
+    // Senza addebito si conferma solo se è il buono regalo a coprire l'intero importo:
+    // uno sconto che azzera il prezzo non basta, e sotto i 50 centesimi Stripe rifiuta la carta
+    const coveredByGiftVoucher = Boolean(giftVoucherInfo) && giftVoucherInfo.amount > 0 && giftVoucherInfo.amount === finalAmount;
+    const chargeAmount = depositInfo ? depositInfo.depositAmount : finalAmount - (giftVoucherInfo ? giftVoucherInfo.amount : 0);
+
+    if (!coveredByGiftVoucher && chargeAmount < 50) {
+        return {
+            error: {
+                status: 400,
+                body: { error: 'L\'importo da pagare è troppo basso per il pagamento con carta', code: 'AMOUNT_BELOW_MINIMUM' }
+            }
+        };
     }
 
-    if (discount.maxUses && discount.usedCount >= discount.maxUses) {
-        return { valid: false, error: 'Codice sconto esaurito' };
+    // Cliente arrivato dal link della lista d'attesa: il blocco a suo nome lascia il posto al pagamento
+    if (body.waitlistClaimToken) {
+        releaseWaitlistClaimHold(body.waitlistClaimToken, appointmentDate, appointmentTime);
     }
 
-    let discountAmount = 0;
-    let finalPrice = originalPrice;
+    // 🔒 Blocca lo slot finché il pagamento non si conclude
+    const hold = createSlotHold(appointmentDate, appointmentTime, email, service, { ttlMinutes: holdMinutes });
 
-    if (discount.type === 'percentage') {
-        discountAmount = Math.round(originalPrice * discount.value / 100);
-        finalPrice = originalPrice - discountAmount;
-    } else if (discount.type === 'fixed') {
-        discountAmount = Math.min(discount.value, originalPrice);
-        finalPrice = originalPrice - discountAmount;
+    if (!hold) {
+        console.log(`❌ Slot ${appointmentDate} alle ${appointmentTime} bloccato da un altro pagamento in corso`);
+        return {
+            error: {
+                status: 409,
+                body: { error: 'Un altro cliente sta completando il pagamento per questo slot. Seleziona un altro orario.', code: 'SLOT_ON_HOLD' }
+            }
+        };
     }
 
-    finalPrice = Math.max(finalPrice, 0);
+    if (discountInfo) {
+        const reservation = reserveDiscountCode(discountInfo.code, hold.id, email);
+        if (reservation.error) {
+            releaseSlotHold(hold.id, 'codice sconto non più disponibile');
+            return { error: { status: 409, body: { error: reservation.error, code: reservation.code } } };
+        }
+    }
+
+    if (giftVoucherInfo) {
+        reserveGiftVoucher(giftVoucherInfo.code, hold.id, giftVoucherInfo.amount);
+    }
+
+    console.log(`✅ Slot ${appointmentDate} alle ${appointmentTime} bloccato, procedo con il pagamento`);
 
     return {
-        valid: true, originalPrice, discountAmount, finalPrice,
-        discountCode: discountCode.toUpperCase(), discountDescription: discount.description,
-        discountType: discount.type, discountValue: discount.value
+        service,
+        slot,
+        hold,
+        originalAmount,
+        finalAmount,
+        chargeAmount,
+        coveredByGiftVoucher,
+        currency,
+        discountInfo,
+        depositInfo,
+        giftVoucherInfo,
+        metadata: {
+            email, name, phone: phone || '', company: company || '',
+            product: 'vfx-consultation', productId: service.id,
+            serviceName: service.name,
+            durationMinutes: service.durationMinutes.toString(),
+            appointmentDate: appointmentDate,
+            appointmentTime: appointmentTime,
+            appointmentStart: slot.start.toISOString(),
+            customerTimezone: customerTimezone,
+            currency: currency,
+            originalAmount: originalAmount.toString(),
+            discountCode: discountCode || '',
+            discountAmount: discountInfo ? discountInfo.discountAmount.toString() : '0',
+            finalAmount: finalAmount.toString(),
+            paymentOption: depositInfo ? 'deposit' : 'full',
+            depositAmount: depositInfo ? depositInfo.depositAmount.toString() : '',
+            balanceAmount: depositInfo ? depositInfo.balanceAmount.toString() : '0',
+            giftVoucherCode: giftVoucherInfo ? giftVoucherInfo.code : '',
+            giftVoucherAmount: giftVoucherInfo ? giftVoucherInfo.amount.toString() : '0',
+            billing: billing ? JSON.stringify(billing) : '',
+            holdId: hold.id
+        }
     };
 }
 
-// ===== MIDDLEWARE =====
-app.use('/api/stripe-webhook', express.raw({ type: 'application/json' }));
-app.use(express.json());
-app.use(cors({
-    origin: [
-        process.env.FRONTEND_URL || 'http://localhost:8000',
-        'https://www.valentinprocida.it',
-        'http://localhost:3000',
-        'http://127.0.0.1:8000'
-    ],
-    credentials: true
-}));
+/**
+ * Prenotazione interamente coperta dal buono regalo: nessun addebito Stripe, viene evasa subito
+ */
+async function fulfillGiftVoucherBooking(payment) {
+    const bookingId = `gv_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const bookingData = bookingDataFromPaymentIntent({ id: bookingId, amount: 0, currency: payment.currency, metadata: payment.metadata });
+    const { booking } = await fulfillBooking(bookingData, { source: 'gift-voucher' });
 
-// ===== ENDPOINTS BASE =====
-app.get('/api/health', async (req, res) => {
-    let availabilityStatus = 'unknown';
-    let totalBookings = 0;
-    let availableDatesCount = 0;
+    return {
+        paidWithGiftVoucher: true,
+        bookingId: booking.id,
+        amount: 0,
+        totalAmount: payment.finalAmount,
+        currency: payment.currency,
+        discountInfo: payment.discountInfo,
+        giftVoucherInfo: payment.giftVoucherInfo,
+        serviceId: payment.service.id,
+        durationMinutes: payment.service.durationMinutes,
+        appointmentStart: payment.slot.start.toISOString(),
+        appointmentDate: payment.slot.date,
+        appointmentTime: payment.slot.time,
+        timezone: getBusinessTimeZone()
+    };
+}
 
+app.post('/api/create-payment-intent', throttleDiscountAttempts('discountCode', 'giftVoucherCode'), async (req, res) => {
     try {
-        // Test rapido del sistema di disponibilità
-        const existingBookings = await getExistingBookings();
-        totalBookings = existingBookings.length;
+        const { currency, error } = resolveRequestCurrency(req);
+        if (error) {
+            return res.status(400).json({ error: error, code: 'UNSUPPORTED_CURRENCY' });
+        }
 
-        const availableSlots = await getAvailableSlots();
-        availableDatesCount = Object.keys(availableSlots).length;
+        const payment = await prepareBookingPayment(req.body, { currency });
+        if (payment.error) {
+            if (INVALID_CODE_ERRORS.includes(payment.error.body.code)) recordInvalidDiscountAttempt(res);
+            return res.status(payment.error.status).json(payment.error.body);
+        }
 
-        availabilityStatus = 'working';
-    } catch (error) {
-        availabilityStatus = 'error: ' + error.message;
-    }
+        const { service, slot, hold, finalAmount, chargeAmount, discountInfo, depositInfo, giftVoucherInfo, metadata } = payment;
 
-    res.json({
-        status: 'Server is running!',
-        timestamp: new Date(),
+        if (payment.coveredByGiftVoucher) {
+            return res.json(await fulfillGiftVoucherBooking(payment));
+        }
 
-        // Configurazioni esistenti
-        totalDiscountCodes: Object.keys(discountCodes).length,
-        emailConfigured: !!resend,
-        googleSheetsConfigured: !!sheets,
-        googleCalendarConfigured: !!calendar,
+        let paymentIntent;
+        try {
+            paymentIntent = await stripe.paymentIntents.create({
+                amount: chargeAmount,
+                currency: currency,
+                automatic_payment_methods: { enabled: true },
+                metadata: metadata,
+                description: `${service.name} with Valentin Procida`
+            });
+        } catch (error) {
+            releaseSlotHold(hold.id, 'creazione PaymentIntent fallita');
+            throw error;
+        }
 
-        // 🔥 NUOVO: Informazioni sistema disponibilità
-        availabilitySystem: {
-            status: availabilityStatus,
-            totalExistingBookings: totalBookings,
-            availableDatesCount: availableDatesCount,
-            googleSheetsIntegration: !!sheets && !!process.env.GOOGLE_SPREADSHEET_ID,
-            lastChecked: new Date().toISOString()
-        },
+        attachPaymentIntentToHold(hold.id, paymentIntent.id);
 
-        // Info sistema
-        env: process.env.NODE_ENV || 'development',
-        keepAliveActive: process.env.NODE_ENV === 'production',
-        renderUrl: process.env.RENDER_URL,
-        uptime: `${Math.floor(process.uptime())} seconds`,
-        nextCronExecution: process.env.NODE_ENV === 'production' ? 'Check logs for cron schedule' : 'N/A',
-        memory: process.memoryUsage()
-    });
+        res.json({
+            clientSecret: paymentIntent.client_secret,
+            paymentIntentId: paymentIntent.id,
+            amount: chargeAmount,
+            totalAmount: finalAmount,
+            currency: currency,
+            discountInfo,
+            depositInfo,
+            giftVoucherInfo,
+            serviceId: service.id,
+            durationMinutes: service.durationMinutes,
+            appointmentStart: slot.start.toISOString(),
+            appointmentDate: slot.date,
+            appointmentTime: slot.time,
+            timezone: getBusinessTimeZone(),
+            slotVerified: true,
+            verifiedAt: new Date().toISOString(),
+            holdExpiresAt: hold.expiresAt
+        });
+
+    } catch (error) {
+        console.error('❌ Errore creazione payment intent:', error);
+        res.status(500).json({
+            error: 'Errore nel processare il pagamento',
+            details: error.message
+        });
+    }
 });
 
-// ✅ NUOVO: Endpoint per testare manualmente il keep-alive
-app.get('/api/test-keepalive', async (req, res) => {
+/**
+ * Pagamento tramite pagina Stripe Checkout ospitata (utile per link in email e sui social).
+ * Stessi controlli del PaymentIntent; lo slot resta bloccato fino alla scadenza della sessione.
+ */
+app.post('/api/create-checkout-session', throttleDiscountAttempts('discountCode', 'giftVoucherCode'), async (req, res) => {
     try {
-        console.log('🧪 Test keep-alive richiesto manualmente');
+        const successUrl = req.body.successUrl || CHECKOUT_SUCCESS_URL;
+        const cancelUrl = req.body.cancelUrl || CHECKOUT_CANCEL_URL;
 
-        if (process.env.NODE_ENV !== 'production') {
-            return res.json({
-                success: false,
-                message: 'Keep-alive è attivo solo in produzione',
-                environment: process.env.NODE_ENV || 'development'
-            });
+        if (!isAllowedRedirectUrl(successUrl) || !isAllowedRedirectUrl(cancelUrl)) {
+            return res.status(400).json({ error: 'URL di ritorno non consentito', code: 'INVALID_REDIRECT_URL' });
         }
 
-        if (!RENDER_URL || RENDER_URL.includes('localhost')) {
-            return res.json({
-                success: false,
-                message: 'RENDER_URL non configurato',
-                renderUrl: RENDER_URL
+        const { currency, error } = resolveRequestCurrency(req);
+        if (error) {
+            return res.status(400).json({ error: error, code: 'UNSUPPORTED_CURRENCY' });
+        }
+
+        // Il blocco dura un minuto in più della sessione, così la scadenza arriva prima da Stripe
+        const payment = await prepareBookingPayment(req.body, { currency, holdMinutes: CHECKOUT_SESSION_MINUTES + 1 });
+        if (payment.error) {
+            if (INVALID_CODE_ERRORS.includes(payment.error.body.code)) recordInvalidDiscountAttempt(res);
+            return res.status(payment.error.status).json(payment.error.body);
+        }
+
+        const { service, slot, hold, finalAmount, chargeAmount, discountInfo, depositInfo, giftVoucherInfo, metadata } = payment;
+
+        if (payment.coveredByGiftVoucher) {
+            return res.json({ url: null, ...await fulfillGiftVoucherBooking(payment) });
+        }
+
+        let session;
+        try {
+            session = await stripe.checkout.sessions.create({
+                mode: 'payment',
+                customer_email: metadata.email,
+                line_items: [{
+                    quantity: 1,
+                    price_data: {
+                        currency: currency,
+                        unit_amount: chargeAmount,
+                        product_data: {
+                            name: depositInfo ? `${service.name} - acconto ${depositInfo.percent}%` : service.name,
+                            description: `${describeAppointmentTimes(metadata).business.date}, ${slot.time} (${service.durationMinutes} minuti)`
+                        }
+                    }
+                }],
+                payment_intent_data: {
+                    metadata: metadata,
+                    description: `${service.name} with Valentin Procida`
+                },
+                metadata: { holdId: hold.id, product: 'vfx-consultation' },
+                success_url: `${successUrl}${successUrl.includes('?') ? '&' : '?'}session_id={CHECKOUT_SESSION_ID}`,
+                cancel_url: cancelUrl,
+                expires_at: Math.floor(Date.now() / 1000) + CHECKOUT_SESSION_MINUTES * 60
             });
+        } catch (error) {
+            releaseSlotHold(hold.id, 'creazione Checkout Session fallita');
+            throw error;
         }
 
-        // Esegui il ping manualmente
-        await keepServerAlive();
+        attachCheckoutSessionToHold(hold.id, session.id);
 
         res.json({
-            success: true,
-            message: 'Keep-alive ping eseguito con successo',
-            timestamp: new Date().toISOString(),
-            renderUrl: RENDER_URL,
-            uptime: process.uptime()
+            url: session.url,
+            sessionId: session.id,
+            amount: chargeAmount,
+            totalAmount: finalAmount,
+            currency: currency,
+            discountInfo,
+            depositInfo,
+            giftVoucherInfo,
+            serviceId: service.id,
+            durationMinutes: service.durationMinutes,
+            appointmentStart: slot.start.toISOString(),
+            appointmentDate: slot.date,
+            appointmentTime: slot.time,
+            timezone: getBusinessTimeZone(),
+            expiresAt: new Date(session.expires_at * 1000).toISOString()
         });
 
     } catch (error) {
-        console.error('❌ Errore test keep-alive:', error);
+        console.error('❌ Errore creazione Checkout Session:', error);
         res.status(500).json({
-            success: false,
-            message: 'Errore durante il test keep-alive',
-            error: error.message
+            error: 'Errore nel processare il pagamento',
+            details: error.message
         });
     }
 });
 
-app.get('/api/config', (req, res) => {
-    if (!process.env.STRIPE_PUBLISHABLE_KEY) {
-        return res.status(500).json({ error: 'Stripe publishable key not configured' });
-    }
-    res.json({ publishableKey: process.env.STRIPE_PUBLISHABLE_KEY });
-});
-
-// ===== NUOVI ENDPOINT API PER GESTIRE DISPONIBILITÀ =====
-
 /**
- * Endpoint per ottenere tutti gli slot disponibili
+ * Stato di una Checkout Session, per la pagina di ritorno dopo il pagamento
  */
-app.get('/api/available-slots', async (req, res) => {
+app.get('/api/checkout-session/:sessionId', async (req, res) => {
     try {
-        console.log('📅 Richiesta slot disponibili ricevuta');
+        let session;
+        try {
+            session = await stripe.checkout.sessions.retrieve(req.params.sessionId);
+        } catch (error) {
+            if (error.code === 'resource_missing') {
+                return res.status(404).json({ error: 'Sessione non trovata' });
+            }
+            throw error;
+        }
 
-        const availableSlots = await getAvailableSlots();
+        if (!session.metadata || !['vfx-consultation', 'gift-voucher'].includes(session.metadata.product)) {
+            return res.status(404).json({ error: 'Sessione non trovata' });
+        }
+
+        const booking = session.payment_intent ? bookingStore.get(session.payment_intent) : null;
+        const voucher = session.payment_intent ?
+            voucherStore.values().find(candidate => candidate.paymentIntentId === session.payment_intent) : null;
 
         res.json({
-            success: true,
-            availableSlots: availableSlots,
-            totalDatesAvailable: Object.keys(availableSlots).length,
-            generatedAt: new Date().toISOString()
+            status: session.status,
+            paymentStatus: session.payment_status,
+            booking: booking ? describeBookingForCustomer(booking) : null,
+            giftVoucher: voucher ? {
+                recipientName: voucher.recipientName,
+                amount: voucher.initialAmount,
+                currency: voucher.currency,
+                expiresAt: voucher.expiresAt
+            } : null
         });
 
     } catch (error) {
-        console.error('❌ Errore recupero slot disponibili:', error);
+        console.error('❌ Errore lettura Checkout Session:', error);
+        res.status(500).json({ error: 'Errore nel recupero della sessione', details: error.message });
+    }
+});
 
-        // Fallback: restituisci tutti i possibili slot
-        const fallbackSlots = generateAllPossibleSlots();
+/**
+ * Conferma della prenotazione dal browser dopo il pagamento.
+ * Accetta solo l'ID del PaymentIntent: i dati vengono letti da Stripe, non dal client.
+ */
+app.post('/api/booking-confirmation', async (req, res) => {
+    try {
+        const paymentIntentId = req.body.paymentIntentId || req.body.paymentIntent || req.body.paymentId;
+
+        if (typeof paymentIntentId !== 'string' || !paymentIntentId.startsWith('pi_')) {
+            return res.status(400).json({ error: 'paymentIntentId richiesto' });
+        }
+
+        let paymentIntent;
+        try {
+            paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+        } catch (error) {
+            if (error.code === 'resource_missing') {
+                return res.status(404).json({ error: 'Pagamento non trovato', code: 'PAYMENT_NOT_FOUND' });
+            }
+            throw error;
+        }
+
+        const verificationError = verifyBookingPaymentIntent(paymentIntent);
+        if (verificationError) {
+            console.warn(`⚠️ Conferma rifiutata per ${paymentIntentId}: ${verificationError.error}`);
+            return res.status(verificationError.status).json({ error: verificationError.error, code: verificationError.code });
+        }
+
+        const { booking, fulfillment } = await fulfillBooking(bookingDataFromPaymentIntent(paymentIntent), { source: 'booking-confirmation' });
+
+        if (booking.slotConflictWith) {
+            return res.status(409).json({
+                error: 'Lo slot è stato prenotato da un altro cliente',
+                details: booking.status === 'Rimborsata' ? 'Il pagamento è stato rimborsato' : 'Il pagamento verrà rimborsato',
+                code: 'SLOT_ALREADY_BOOKED',
+                bookingId: booking.id,
+                refundAmount: booking.refundAmount
+            });
+        }
 
         res.json({
             success: true,
-            availableSlots: fallbackSlots,
-            totalDatesAvailable: Object.keys(fallbackSlots).length,
-            generatedAt: new Date().toISOString(),
-            warning: 'Fallback utilizzato - controllo prenotazioni esistenti fallito'
+            bookingId: booking.id,
+            completedSteps: Object.keys(fulfillment.steps).filter(step => isFulfillmentStepDone(fulfillment, step))
         });
+
+    } catch (error) {
+        console.error('Errore in booking confirmation:', error);
+        res.status(500).json({ error: 'Failed to process booking confirmation' });
     }
 });
 
 /**
- * Endpoint per controllare la disponibilità di uno slot specifico
+ * Endpoint per rilasciare lo slot quando il cliente abbandona il pagamento.
+ * Richiede il client_secret del PaymentIntent, noto solo a chi ha avviato il pagamento.
  */
-app.post('/api/check-slot-availability', async (req, res) => {
+app.post('/api/release-slot-hold', async (req, res) => {
     try {
-        const { date, time } = req.body;
+        const { paymentIntentId, clientSecret } = req.body;
 
-        if (!date || !time) {
-            return res.status(400).json({
-                success: false,
-                error: 'Data e orario sono richiesti'
-            });
+        if (typeof paymentIntentId !== 'string' || !paymentIntentId.startsWith('pi_') || typeof clientSecret !== 'string') {
+            return res.status(400).json({ error: 'paymentIntentId e clientSecret richiesti' });
+        }
+
+        const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId).catch(error => {
+            if (error.code === 'resource_missing') return null;
+            throw error;
+        });
+        const expected = Buffer.from(paymentIntent && paymentIntent.client_secret || '');
+        const provided = Buffer.from(clientSecret);
+
+        if (!paymentIntent || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            return res.status(403).json({ error: 'Non autorizzato', code: 'INVALID_CLIENT_SECRET' });
+        }
+
+        const hold = releaseHoldForPaymentIntent(paymentIntentId, 'annullato dal cliente');
+        if (hold) {
+            await cancelPaymentIntentQuietly(paymentIntentId);
         }
 
-        console.log(`🔍 Controllo disponibilità slot: ${date} alle ${time}`);
+        res.json({ success: true, released: !!hold });
+
+    } catch (error) {
+        console.error('❌ Errore rilascio slot:', error);
+        res.status(500).json({ error: 'Errore nel rilascio dello slot', details: error.message });
+    }
+});
+
+// ===== GESTIONE PRENOTAZIONE DA PARTE DEL CLIENTE (LINK FIRMATI) =====
+// Prenotazioni con un'operazione di cancellazione o spostamento in corso
+const bookingsInProgress = new Set();
 
-        const isBooked = await isSlotBooked(date, time);
+/**
+ * Verifica il token del link e restituisce la prenotazione, oppure risponde con l'errore
+ */
+function authorizeBookingLink(req, res) {
+    const { bookingId } = req.params;
+    const token = req.query.token || (req.body && req.body.token);
 
-        res.json({
-            success: true,
-            available: !isBooked,
-            date: date,
-            time: time,
-            checkedAt: new Date().toISOString()
-        });
+    const result = readSignedToken(token, 'manage-booking');
+    if (!result.valid || result.payload.bookingId !== bookingId) {
+        res.status(403).json({ success: false, error: result.error || 'Link non valido', code: 'INVALID_BOOKING_LINK' });
+        return null;
+    }
 
-    } catch (error) {
-        console.error('❌ Errore controllo disponibilità slot:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Errore interno nel controllo disponibilità',
-            details: error.message
-        });
+    const booking = bookingStore.get(bookingId);
+    if (!booking) {
+        res.status(404).json({ success: false, error: 'Prenotazione non trovata', code: 'BOOKING_NOT_FOUND' });
+        return null;
     }
+
+    return booking;
+}
+
+function describeBookingForCustomer(booking) {
+    const service = getService(booking.serviceId) || getService();
+    return {
+        id: booking.id,
+        status: booking.status,
+        serviceId: service.id,
+        serviceName: service.name,
+        durationMinutes: getBookingDuration(booking),
+        appointmentDate: booking.appointmentDate,
+        appointmentTime: booking.appointmentTime,
+        appointmentStart: getAppointmentStart(booking).toISOString(),
+        timezone: getBusinessTimeZone(),
+        customerName: booking.customerName,
+        amount: booking.amount,
+        currency: booking.currency,
+        amountPaid: getBookingAmountPaid(booking),
+        balanceDue: booking.balanceDue || 0,
+        paymentStatus: booking.paymentStatus || 'Saldato'
+    };
+}
+
+/**
+ * Dettagli della prenotazione e cosa prevede la policy se il cliente annulla ora
+ */
+app.get('/api/bookings/:bookingId', (req, res) => {
+    const booking = authorizeBookingLink(req, res);
+    if (!booking) return;
+
+    res.json({
+        success: true,
+        booking: describeBookingForCustomer(booking),
+        policy: evaluateCancellationPolicy(booking)
+    });
 });
 
 /**
- * Endpoint per vedere tutte le prenotazioni esistenti (per debug/admin)
+ * Evento della prenotazione in formato iCalendar, da importare in qualsiasi calendario
  */
-app.get('/api/existing-bookings', async (req, res) => {
-    try {
-        const existingBookings = await getExistingBookings();
+app.get('/api/bookings/:bookingId/calendar.ics', (req, res) => {
+    const booking = authorizeBookingLink(req, res);
+    if (!booking) return;
+
+    const cancelled = booking.status !== 'Confermata';
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="consulenza.ics"');
+    res.send(createIcsCalendar(createBookingIcsEvent(booking, { cancelled }), 'PUBLISH'));
+});
 
-        res.json({
-            success: true,
-            bookings: existingBookings,
-            totalBookings: existingBookings.length,
-            retrievedAt: new Date().toISOString()
-        });
+app.post('/api/bookings/:bookingId/cancel', async (req, res) => {
+    const booking = authorizeBookingLink(req, res);
+    if (!booking) return;
 
-    } catch (error) {
-        console.error('❌ Errore recupero prenotazioni esistenti:', error);
-        res.status(500).json({
+    if (bookingsInProgress.has(booking.id)) {
+        return res.status(409).json({ success: false, error: 'Operazione già in corso per questa prenotazione', code: 'BOOKING_BUSY' });
+    }
+
+    const policy = evaluateCancellationPolicy(booking);
+    if (!policy.canCancel) {
+        return res.status(409).json({
             success: false,
-            error: 'Errore nel recupero delle prenotazioni esistenti',
-            details: error.message
+            error: booking.status === 'Confermata' ? 'L\'appuntamento è già iniziato o concluso' : `Prenotazione non annullabile (stato: ${booking.status})`,
+            code: 'CANCELLATION_NOT_ALLOWED'
         });
     }
-});
 
-// ===== ENDPOINTS EMAIL E CODICI SCONTO =====
-app.post('/api/send-discount-email', async (req, res) => {
+    bookingsInProgress.add(booking.id);
     try {
-        const { email, name } = req.body;
-
-        if (!email) {
-            return res.status(400).json({ error: 'Email richiesta' });
-        }
-
-        if (!resend) {
-            return res.status(500).json({ error: 'Servizio email non configurato' });
+        // Il rimborso si registra sulla prenotazione prima di chiamare Stripe: se la richiesta viene
+        // ripetuta dopo un errore si riusano importo e chiave di idempotenza del primo tentativo,
+        // anche se nel frattempo la policy è passata a un'altra fascia
+        const refundPlan = booking.cancellationRefund || { amount: policy.refundAmount, percent: policy.refundPercent };
+        if (!booking.cancellationRefund) {
+            updateBooking(booking.id, { cancellationRefund: { ...refundPlan, requestedAt: new Date().toISOString() } });
         }
 
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
-            return res.status(400).json({ error: 'Email non valida' });
-        }
+        // Con acconto e saldo il rimborso può essere diviso su due pagamenti
+        const refunds = refundPlan.amount > 0 ? await refundBookingPayments(booking, refundPlan.amount, {
+            idempotencyKey: `cancel-${booking.id}-${refundPlan.amount}`,
+            metadata: { bookingId: booking.id, reason: 'customer_cancellation' }
+        }) : [];
 
-        const newCode = codeGenerator.createDiscountCode({
-            category: 'welcome',
-            description: 'Email Signup Discount - Sconto 10%',
-            maxUses: 1,
-            validUntil: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
-        });
-
-        discountCodes[newCode.code] = {
-            type: newCode.type,
-            value: newCode.value,
-            description: newCode.description,
-            active: newCode.active,
-            maxUses: newCode.maxUses,
-            usedCount: newCode.usedCount,
-            validUntil: newCode.validUntil,
-            assignedTo: email,
-            createdAt: new Date()
-        };
+        refunds.forEach(refund => {
+            console.log(`💸 Rimborso ${refund.id} di ${formatMoney(refund.amount, booking.currency)} per ${booking.id}`);
+        });
 
-        const recipientName = name || extractNameFromEmail(email);
+        const giftVoucherRestored = restoreGiftVoucherBalance(booking, refundPlan.percent);
 
-        await sendEmail({
-            to: email,
-            subject: '🎉 Your 10% Discount Code - VFX Consultation',
-            html: createDiscountEmailTemplate(recipientName, newCode.code, 10)
+        const cancelledBooking = updateBooking(booking.id, {
+            status: 'Cancellata',
+            cancelledAt: new Date().toISOString(),
+            cancelledBy: 'cliente',
+            refundAmount: refunds.reduce((total, refund) => total + refund.amount, 0),
+            refundId: refunds.length > 0 ? refunds.map(refund => refund.id).join(', ') : null,
+            giftVoucherRestoredAmount: giftVoucherRestored
         });
 
-        console.log(`✅ Codice sconto ${newCode.code} generato e inviato a ${email}`);
+        console.log(`✖ Prenotazione ${booking.id} annullata dal cliente`);
+
+        // Il codice sconto torna disponibile; i rimborsi Stripe successivi trovano la prenotazione già annullata
+        rollbackDiscountUsage(booking.id);
+        revokeReferralReward(booking.id, 'prenotazione annullata dal cliente');
+
+        notifyWaitlistForFreedSlot(cancelledBooking.appointmentDate, cancelledBooking.appointmentTime);
+
+        await deleteGoogleCalendarEvent(cancelledBooking);
+
+        if (resend) {
+            try {
+                await sendEmail({
+                    to: cancelledBooking.customerEmail,
+                    subject: '✖ Consulenza VFX Annullata - Valentin Procida',
+                    html: createBookingCancelledTemplate(cancelledBooking, cancelledBooking.refundAmount),
+                    attachments: [createBookingIcsAttachment(cancelledBooking, { cancelled: true })]
+                });
+
+                if (process.env.ADMIN_EMAIL) {
+                    await sendEmail({
+                        to: process.env.ADMIN_EMAIL,
+                        subject: `✖ Prenotazione annullata: ${cancelledBooking.customerName} - ${cancelledBooking.appointmentDate}`,
+                        html: createAdminBookingChangeTemplate(cancelledBooking, 'Prenotazione Annullata', {
+                            'Annullata da': 'Cliente (link email)',
+                            'Rimborso': `${formatMoney(cancelledBooking.refundAmount, cancelledBooking.currency)} (${refundPlan.percent}%)`,
+                            ...(giftVoucherRestored > 0 ? { 'Riaccredito buono': `${formatMoney(giftVoucherRestored, cancelledBooking.currency)} su ${cancelledBooking.giftVoucher.code}` } : {})
+                        })
+                    });
+                }
+            } catch (emailError) {
+                console.error('Errore invio email cancellazione:', emailError);
+            }
+        }
 
         res.json({
             success: true,
-            message: 'Discount code sent successfully',
-            code: newCode.code,
-            email: email
+            booking: describeBookingForCustomer(cancelledBooking),
+            refundAmount: cancelledBooking.refundAmount,
+            refundPercent: refundPlan.percent,
+            giftVoucherRestoredAmount: giftVoucherRestored
         });
 
     } catch (error) {
-        console.error('Errore invio email discount:', error);
-        res.status(500).json({
-            error: 'Errore nell\'invio dell\'email',
-            details: error.message
-        });
+        console.error('❌ Errore cancellazione prenotazione:', error);
+        res.status(500).json({ success: false, error: 'Errore durante la cancellazione', details: error.message });
+    } finally {
+        bookingsInProgress.delete(booking.id);
     }
 });
 
-app.post('/api/validate-discount', async (req, res) => {
-    try {
-        const { code, amount } = req.body;
-        if (!code) return res.status(400).json({ error: 'Codice sconto richiesto' });
-
-        const originalAmount = amount || 15000;
-        const result = calculateDiscountedPrice(originalAmount, code);
-
-        if (!result.valid) return res.status(400).json({ error: result.error });
+app.post('/api/bookings/:bookingId/reschedule', async (req, res) => {
+    const booking = authorizeBookingLink(req, res);
+    if (!booking) return;
 
-        console.log('Codice sconto validato:', code, result);
-        res.json({
-            valid: true, originalPrice: result.originalPrice, discountAmount: result.discountAmount,
-            finalPrice: result.finalPrice, discountCode: result.discountCode,
-            description: result.discountDescription, savings: `€${(result.discountAmount / 100).toFixed(2)}`
-        });
-    } catch (error) {
-        console.error('Errore validazione codice sconto:', error);
-        res.status(500).json({ error: 'Errore nella validazione del codice sconto' });
+    if (bookingsInProgress.has(booking.id)) {
+        return res.status(409).json({ success: false, error: 'Operazione già in corso per questa prenotazione', code: 'BOOKING_BUSY' });
     }
-});
 
-// ===== ENDPOINTS STRIPE =====
-app.post('/api/create-payment-intent', async (req, res) => {
+    // La prenotazione si blocca prima dell'attesa del calendario, così due spostamenti
+    // concorrenti non possono superare entrambi il controllo
+    bookingsInProgress.add(booking.id);
     try {
-        const { email, name, phone, company, appointmentDate, appointmentTime, discountCode } = req.body;
-
-        if (!email || !name) {
-            return res.status(400).json({ error: 'Email e nome sono richiesti' });
+        const policy = evaluateCancellationPolicy(booking);
+        if (!policy.canReschedule) {
+            return res.status(409).json({
+                success: false,
+                error: `L'appuntamento può essere spostato fino a ${policy.rescheduleMinHoursBefore} ore prima e per un numero limitato di volte`,
+                code: 'RESCHEDULE_NOT_ALLOWED'
+            });
         }
 
-        if (!appointmentDate || !appointmentTime) {
-            return res.status(400).json({ error: 'Data e orario dell\'appuntamento sono richiesti' });
+        const slot = resolveAppointmentSlot({
+            start: req.body.appointmentStart,
+            date: req.body.appointmentDate,
+            time: req.body.appointmentTime
+        });
+        if (!slot) {
+            return res.status(400).json({ success: false, error: 'Nuova data e orario richiesti (appointmentStart oppure appointmentDate + appointmentTime)' });
         }
 
-        if (!process.env.STRIPE_SECRET_KEY) {
-            throw new Error('Stripe secret key not configured');
+        if (!isSlotOffered(slot.date, slot.time)) {
+            return res.status(400).json({ success: false, error: 'L\'orario selezionato non è prenotabile', code: 'SLOT_NOT_OFFERED' });
         }
 
-        // 🔥 NUOVO: Controlla se lo slot è ancora disponibile
-        console.log(`🔍 Controllo finale disponibilità: ${appointmentDate} alle ${appointmentTime}`);
-
-        const isBooked = await isSlotBooked(appointmentDate, appointmentTime);
+        await refreshCalendarBusyIntervals();
 
-        if (isBooked) {
-            console.log(`❌ Slot ${appointmentDate} alle ${appointmentTime} già prenotato!`);
-            return res.status(409).json({
-                error: 'Questo slot è stato appena prenotato da un altro cliente. Seleziona un altro orario.',
-                code: 'SLOT_ALREADY_BOOKED'
-            });
+        // Controllo e aggiornamento senza await in mezzo: nessun altro pagamento può prendere lo slot
+        const { start, end } = getSlotInterval(slot.date, slot.time, getBookingDuration(booking));
+        const isTaken = getBusyIntervals().some(interval => interval.id !== booking.id && overlapsInterval(start, end, interval));
+        if (isTaken) {
+            return res.status(409).json({ success: false, error: 'Lo slot selezionato non è più disponibile', code: 'SLOT_ALREADY_BOOKED' });
         }
 
-        console.log(`✅ Slot ${appointmentDate} alle ${appointmentTime} ancora disponibile, procedo con il pagamento`);
+        const rescheduledBooking = updateBooking(booking.id, {
+            appointmentDate: slot.date,
+            appointmentTime: slot.time,
+            appointmentStart: slot.start.toISOString(),
+            rescheduleCount: (booking.rescheduleCount || 0) + 1,
+            balanceReminderSentAt: null,
+            rescheduleHistory: [
+                ...(booking.rescheduleHistory || []),
+                { from: getAppointmentStart(booking).toISOString(), to: slot.start.toISOString(), at: new Date().toISOString() }
+            ]
+        });
 
-        let originalAmount = 15000;
-        let finalAmount = originalAmount;
-        let discountInfo = null;
+        console.log(`📅 Prenotazione ${booking.id} spostata a ${slot.date} alle ${slot.time}`);
 
-        if (discountCode) {
-            const discountResult = calculateDiscountedPrice(originalAmount, discountCode);
-            if (!discountResult.valid) {
-                return res.status(400).json({ error: discountResult.error });
-            }
+        await moveGoogleCalendarEvent(rescheduledBooking);
 
-            finalAmount = discountResult.finalPrice;
-            discountInfo = {
-                code: discountResult.discountCode,
-                description: discountResult.discountDescription,
-                originalAmount: discountResult.originalPrice,
-                discountAmount: discountResult.discountAmount,
-                finalAmount: discountResult.finalPrice
-            };
-        }
+        // Lo slot precedente si è liberato (dopo lo spostamento dell'evento, che altrimenti lo occuperebbe ancora)
+        notifyWaitlistForFreedSlot(booking.appointmentDate, booking.appointmentTime);
 
-        const paymentIntent = await stripe.paymentIntents.create({
-            amount: finalAmount,
-            currency: 'eur',
-            automatic_payment_methods: { enabled: true },
-            metadata: {
-                email, name, phone: phone || '', company: company || '',
-                product: 'vfx-consultation', productId: 'cons-001',
-                appointmentDate: appointmentDate || '',
-                appointmentTime: appointmentTime || '',
-                originalAmount: originalAmount.toString(),
-                discountCode: discountCode || '',
-                discountAmount: discountInfo ? discountInfo.discountAmount.toString() : '0',
-                finalAmount: finalAmount.toString()
-            },
-            description: 'VFX Career Consultation with Valentin Procida'
-        });
+        if (resend) {
+            try {
+                await sendEmail({
+                    to: rescheduledBooking.customerEmail,
+                    subject: '📅 Consulenza VFX Spostata - Valentin Procida',
+                    html: createBookingRescheduledTemplate(rescheduledBooking, booking),
+                    attachments: [createBookingIcsAttachment(rescheduledBooking)]
+                });
+
+                if (process.env.ADMIN_EMAIL) {
+                    const previous = describeAppointmentTimes(booking).business;
+                    await sendEmail({
+                        to: process.env.ADMIN_EMAIL,
+                        subject: `📅 Prenotazione spostata: ${rescheduledBooking.customerName} - ${rescheduledBooking.appointmentDate}`,
+                        html: createAdminBookingChangeTemplate(rescheduledBooking, 'Prenotazione Spostata', {
+                            'Orario precedente': `${previous.date}, ${previous.time}`
+                        })
+                    });
+                }
+            } catch (emailError) {
+                console.error('Errore invio email spostamento:', emailError);
+            }
+        }
 
-        res.json({
-            clientSecret: paymentIntent.client_secret,
-            paymentIntentId: paymentIntent.id,
-            discountInfo,
-            slotVerified: true,
-            verifiedAt: new Date().toISOString()
-        });
+        res.json({ success: true, booking: describeBookingForCustomer(rescheduledBooking) });
 
     } catch (error) {
-        console.error('❌ Errore creazione payment intent:', error);
-        res.status(500).json({
-            error: 'Errore nel processare il pagamento',
-            details: error.message
-        });
+        console.error('❌ Errore spostamento prenotazione:', error);
+        res.status(500).json({ success: false, error: 'Errore durante lo spostamento', details: error.message });
+    } finally {
+        bookingsInProgress.delete(booking.id);
     }
 });
 
-app.post('/api/booking-confirmation', async (req, res) => {
-    try {
-        const bookingData = req.body;
+/**
+ * Pagamento del saldo dal link nelle email: crea una sessione Stripe Checkout per l'importo residuo.
+ * Il saldo viene registrato dal webhook (recordBalancePayment).
+ */
+app.post('/api/bookings/:bookingId/pay-balance', async (req, res) => {
+    const booking = authorizeBookingLink(req, res);
+    if (!booking) return;
 
-        await saveBookingToGoogleSheets(bookingData);
+    if (booking.status !== 'Confermata' || !(booking.balanceDue > 0)) {
+        return res.status(409).json({
+            success: false,
+            error: booking.status === 'Confermata' ? 'Nessun saldo da pagare per questa prenotazione' : `Prenotazione non attiva (stato: ${booking.status})`,
+            code: 'NO_BALANCE_DUE'
+        });
+    }
 
-        const meetingInfo = await createGoogleMeetEvent(bookingData);
+    if (bookingsInProgress.has(booking.id)) {
+        return res.status(409).json({ success: false, error: 'Operazione già in corso per questa prenotazione', code: 'BOOKING_BUSY' });
+    }
 
-        if (resend) {
-            await sendEmail({
-                to: bookingData.customerEmail || bookingData.email,
-                subject: '✅ Consulenza VFX Confermata - Valentin Procida',
-                html: createBookingConfirmationTemplate(bookingData)
-            });
-            console.log('📧 Email di conferma inviata al cliente');
+    bookingsInProgress.add(booking.id);
+    try {
+        const service = getService(booking.serviceId) || getService();
+        const appointment = describeAppointmentTimes(booking);
+        const paymentUrl = createBalancePaymentUrl(booking);
+        const metadata = {
+            product: 'vfx-consultation-balance',
+            bookingId: booking.id,
+            balanceAmount: booking.balanceDue.toString(),
+            currency: booking.currency
+        };
 
-            if (meetingInfo) {
-                scheduleReminderEmail(bookingData, meetingInfo);
-            }
-        }
+        // Una sola sessione aperta per prenotazione, così il saldo non viene pagato due volte
+        await expireCheckoutSessionQuietly(booking.balanceCheckoutSessionId);
+
+        const session = await stripe.checkout.sessions.create({
+            mode: 'payment',
+            customer_email: booking.customerEmail,
+            line_items: [{
+                quantity: 1,
+                price_data: {
+                    currency: booking.currency,
+                    unit_amount: booking.balanceDue,
+                    product_data: {
+                        name: `${service.name} - saldo`,
+                        description: `${appointment.business.date}, ${appointment.business.time} (${getBookingDuration(booking)} minuti)`
+                    }
+                }
+            }],
+            payment_intent_data: {
+                metadata: metadata,
+                description: `${service.name} with Valentin Procida (saldo)`
+            },
+            metadata: metadata,
+            success_url: `${paymentUrl}&status=paid`,
+            cancel_url: paymentUrl
+        });
 
-        if (resend && process.env.ADMIN_EMAIL) {
-            await sendEmail({
-                to: process.env.ADMIN_EMAIL,
-                subject: `🎯 Nuova Prenotazione: ${bookingData.customerName || bookingData.name} - ${bookingData.appointmentDate || 'Data da confermare'}`,
-                html: createAdminNotificationTemplate(bookingData)
-            });
-            console.log('📧 Notifica admin inviata');
-        }
+        updateBooking(booking.id, { balanceCheckoutSessionId: session.id });
+        console.log(`🛒 Checkout saldo ${session.id} creato per ${booking.id}`);
 
-        res.json({ success: true });
+        res.json({
+            success: true,
+            url: session.url,
+            sessionId: session.id,
+            amount: booking.balanceDue,
+            currency: booking.currency,
+            expiresAt: new Date(session.expires_at * 1000).toISOString()
+        });
 
     } catch (error) {
-        console.error('Errore in booking confirmation:', error);
-        res.status(500).json({ error: 'Failed to process booking confirmation' });
+        console.error('❌ Errore creazione Checkout saldo:', error);
+        res.status(500).json({ success: false, error: 'Errore nel processare il pagamento', details: error.message });
+    } finally {
+        bookingsInProgress.delete(booking.id);
     }
 });
 
@@ -1720,9 +7939,27 @@ app.post('/api/stripe-webhook', async (req, res) => {
         return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
+    // Stripe può consegnare lo stesso evento più volte
+    if (stripeEventStore.has(event.id)) {
+        console.log(`ℹ️ Evento ${event.id} (${event.type}) già elaborato - ignorato`);
+        return res.json({ received: true, duplicate: true });
+    }
+
     switch (event.type) {
         case 'payment_intent.succeeded':
             const paymentIntent = event.data.object;
+
+            // Saldo di una prenotazione con acconto (Checkout dal link nelle email)
+            if (paymentIntent.metadata.product === 'vfx-consultation-balance') {
+                await recordBalancePayment(paymentIntent);
+                break;
+            }
+
+            if (paymentIntent.metadata.product === 'gift-voucher') {
+                await issueGiftVoucher(paymentIntent);
+                break;
+            }
+
             console.log('💰 Pagamento completato!', {
                 id: paymentIntent.id,
                 email: paymentIntent.metadata.email,
@@ -1732,61 +7969,18 @@ app.post('/api/stripe-webhook', async (req, res) => {
             });
 
             if (paymentIntent.metadata.discountCode) {
-                const discount = discountCodes[paymentIntent.metadata.discountCode.toUpperCase()];
-                if (discount) {
-                    discount.usedCount++;
-                    console.log(`Codice ${paymentIntent.metadata.discountCode} utilizzato. Nuovo conteggio: ${discount.usedCount}`);
-                }
-
-                const savings = parseInt(paymentIntent.metadata.discountAmount) / 100;
-                console.log(`🎉 Cliente ha risparmiato €${savings.toFixed(2)} con il codice ${paymentIntent.metadata.discountCode}`);
+                const savings = formatMoney(parseInt(paymentIntent.metadata.discountAmount), paymentIntent.currency);
+                console.log(`🎉 Cliente ha risparmiato ${savings} con il codice ${paymentIntent.metadata.discountCode}`);
             }
 
-            const bookingData = {
-                customerName: paymentIntent.metadata.name,
-                customerEmail: paymentIntent.metadata.email,
-                customerPhone: paymentIntent.metadata.phone,
-                company: paymentIntent.metadata.company,
-                appointmentDate: paymentIntent.metadata.appointmentDate,
-                appointmentTime: paymentIntent.metadata.appointmentTime,
-                amount: paymentIntent.amount,
-                paymentIntent: paymentIntent.id,
-                discount: paymentIntent.metadata.discountCode ? {
-                    code: paymentIntent.metadata.discountCode,
-                    discountAmount: parseInt(paymentIntent.metadata.discountAmount)
-                } : null,
-                timestamp: new Date().toISOString()
-            };
-
-            await saveBookingToGoogleSheets(bookingData);
-
-            const meetingInfo = await createGoogleMeetEvent(bookingData);
-
-            if (resend) {
-                try {
-                    await sendEmail({
-                        to: bookingData.customerEmail,
-                        subject: '✅ Consulenza VFX Confermata - Valentin Procida',
-                        html: createBookingConfirmationTemplate(bookingData)
-                    });
-                    console.log('📧 Email di conferma automatica inviata al cliente');
-
-                    if (meetingInfo) {
-                        scheduleReminderEmail(bookingData, meetingInfo);
-                    }
-
-                    if (process.env.ADMIN_EMAIL) {
-                        await sendEmail({
-                            to: process.env.ADMIN_EMAIL,
-                            subject: `🎯 Nuova Prenotazione: ${bookingData.customerName} - ${bookingData.appointmentDate || 'Data da confermare'}`,
-                            html: createAdminNotificationTemplate(bookingData)
-                        });
-                        console.log('📧 Notifica admin automatica inviata');
-                    }
-                } catch (emailError) {
-                    console.error('Errore invio email automatica:', emailError);
-                }
+            const verificationError = verifyBookingPaymentIntent(paymentIntent);
+            if (verificationError) {
+                console.error(`❌ Pagamento ${paymentIntent.id} non evaso: ${verificationError.error}`);
+                break;
             }
+
+            const bookingData = bookingDataFromPaymentIntent(paymentIntent);
+            await fulfillBooking(bookingData, { source: 'webhook', eventId: event.id });
             break;
 
         case 'payment_intent.payment_failed':
@@ -1796,12 +7990,142 @@ app.post('/api/stripe-webhook', async (req, res) => {
                 error: failedPayment.last_payment_error?.message,
                 discountCode: failedPayment.metadata.discountCode || 'Nessuno'
             });
+            // Il blocco resta fino alla scadenza: il cliente può ritentare con lo stesso PaymentIntent,
+            // e alla scadenza expireSlotHolds annulla il PaymentIntent insieme al blocco
+            break;
+
+        case 'payment_intent.canceled':
+            const canceledPayment = event.data.object;
+            console.log('🚫 Pagamento annullato:', {
+                id: canceledPayment.id,
+                reason: canceledPayment.cancellation_reason
+            });
+            releaseHoldForPaymentIntent(canceledPayment.id, 'pagamento annullato');
+
+            if (bookingStore.has(canceledPayment.id)) {
+                await applyPaymentReversal(canceledPayment.id, 'Annullata', 'Pagamento annullato', {
+                    'Motivo': canceledPayment.cancellation_reason || 'non indicato'
+                });
+            }
+            break;
+
+        case 'checkout.session.completed':
+            const completedSession = event.data.object;
+            console.log('🛒 Checkout completato:', {
+                id: completedSession.id,
+                paymentIntent: completedSession.payment_intent,
+                paymentStatus: completedSession.payment_status
+            });
+
+            if (completedSession.metadata.product === 'vfx-consultation-balance' && completedSession.payment_status === 'paid') {
+                await recordBalancePayment(await stripe.paymentIntents.retrieve(completedSession.payment_intent));
+                break;
+            }
+
+            if (completedSession.metadata.product === 'gift-voucher' && completedSession.payment_status === 'paid') {
+                await issueGiftVoucher(await stripe.paymentIntents.retrieve(completedSession.payment_intent));
+                break;
+            }
+
+            if (completedSession.metadata.product !== 'vfx-consultation' || completedSession.payment_status !== 'paid') {
+                break;
+            }
+
+            const checkoutPayment = await stripe.paymentIntents.retrieve(completedSession.payment_intent);
+            const checkoutVerificationError = verifyBookingPaymentIntent(checkoutPayment);
+            if (checkoutVerificationError) {
+                console.error(`❌ Checkout ${completedSession.id} non evaso: ${checkoutVerificationError.error}`);
+                break;
+            }
+
+            await fulfillBooking(bookingDataFromPaymentIntent(checkoutPayment), { source: 'checkout', eventId: event.id });
+            break;
+
+        case 'checkout.session.expired':
+            const expiredSession = event.data.object;
+            console.log('⌛ Checkout scaduto:', { id: expiredSession.id });
+
+            const expiredHold = releaseHoldForCheckoutSession(expiredSession.id, 'Checkout Session scaduta');
+            if (expiredHold) {
+                notifyWaitlistForFreedSlot(expiredHold.date, expiredHold.time);
+            }
+            break;
+
+        case 'charge.refunded':
+            const refundedCharge = event.data.object;
+            const refundedBooking = findBookingByPaymentIntent(refundedCharge.payment_intent);
+            const isFullRefund = refundedCharge.amount_refunded >= refundedCharge.amount;
+            console.log('💸 Rimborso registrato:', {
+                paymentIntent: refundedCharge.payment_intent,
+                amountRefunded: refundedCharge.amount_refunded,
+                full: isFullRefund
+            });
+
+            if (!refundedBooking) {
+                console.warn(`⚠️ Nessuna prenotazione per il pagamento ${refundedCharge.payment_intent} (rimborso)`);
+                break;
+            }
+
+            // Il rimborso del solo saldo non annulla l'appuntamento
+            if (refundedBooking.balancePaymentIntent === refundedCharge.payment_intent) {
+                updateBooking(refundedBooking.id, { balanceRefundedAmount: refundedCharge.amount_refunded });
+                break;
+            }
+
+            updateBooking(refundedBooking.id, { refundedAmount: refundedCharge.amount_refunded });
+
+            // Un rimborso parziale (gesto commerciale) non annulla l'appuntamento;
+            // quello legato a una cancellazione dal link email è già stato gestito
+            if (isFullRefund && refundedBooking.status === 'Confermata') {
+                await applyPaymentReversal(refundedBooking.id, 'Rimborsata', 'Prenotazione rimborsata', {
+                    'Rimborso': formatMoney(refundedCharge.amount_refunded, refundedCharge.currency)
+                });
+            }
+            break;
+
+        case 'charge.dispute.created':
+            const openedDispute = event.data.object;
+            const disputedPaymentId = await getDisputePaymentIntentId(openedDispute);
+            console.log('⚖️ Contestazione aperta:', { id: openedDispute.id, paymentIntent: disputedPaymentId, reason: openedDispute.reason });
+
+            const disputedBooking = findBookingByPaymentIntent(disputedPaymentId);
+            if (disputedBooking && disputedBooking.balancePaymentIntent === disputedPaymentId) {
+                await recordBalanceDispute(disputedBooking, openedDispute);
+                break;
+            }
+
+            await applyPaymentReversal(disputedPaymentId, 'Contestata', 'Pagamento contestato', {
+                'Motivo': openedDispute.reason,
+                'Importo contestato': formatMoney(openedDispute.amount, openedDispute.currency),
+                'Scadenza risposta': openedDispute.evidence_details && openedDispute.evidence_details.due_by ?
+                    new Date(openedDispute.evidence_details.due_by * 1000).toLocaleDateString('it-IT') : 'n/d'
+            });
+            break;
+
+        case 'charge.dispute.closed':
+            const closedDispute = event.data.object;
+            const closedPaymentId = await getDisputePaymentIntentId(closedDispute);
+            console.log('⚖️ Contestazione chiusa:', { id: closedDispute.id, paymentIntent: closedPaymentId, status: closedDispute.status });
+
+            const closedDisputeBooking = findBookingByPaymentIntent(closedPaymentId);
+            if (closedDisputeBooking && closedDisputeBooking.balancePaymentIntent === closedPaymentId) {
+                await recordBalanceDispute(closedDisputeBooking, closedDispute);
+                break;
+            }
+
+            // Solo una contestazione persa rende definitivo lo storno; negli altri casi l'incasso resta
+            if (closedDispute.status === 'lost') {
+                await applyPaymentReversal(closedPaymentId, 'Contestazione persa', 'Contestazione chiusa', { 'Esito': closedDispute.status });
+            } else {
+                await restoreDisputedBooking(closedPaymentId, { 'Esito': closedDispute.status });
+            }
             break;
 
         default:
             console.log(`Evento non gestito: ${event.type}`);
     }
 
+    stripeEventStore.put(event.id, { id: event.id, type: event.type, processedAt: new Date().toISOString() });
     res.json({ received: true });
 });
 
@@ -1911,19 +8235,19 @@ app.post('/api/force-google-meet-email', async (req, res) => {
 });
 
 // ===== ALTRI ENDPOINTS =====
-app.get('/api/discount-stats', (req, res) => {
-    const stats = Object.entries(discountCodes).map(([code, data]) => ({
-        code, description: data.description, type: data.type, value: data.value,
+app.get('/api/discount-stats', requireAdmin, (req, res) => {
+    const stats = discountStore.values().map(data => ({
+        code: data.code, description: data.description, type: data.type, value: data.value,
         active: data.active, usedCount: data.usedCount, maxUses: data.maxUses,
         remainingUses: data.maxUses ? data.maxUses - data.usedCount : 'Unlimited',
         validUntil: data.validUntil, assignedTo: data.assignedTo || null,
-        isExpired: data.validUntil ? new Date() > data.validUntil : false
+        isExpired: isDiscountCodeExpired(data)
     }));
 
     const generatorStats = codeGenerator.getStats();
 
     res.json({
-        discountCodes: stats, totalCodes: Object.keys(discountCodes).length,
+        discountCodes: stats, totalCodes: stats.length,
         generatorStats: generatorStats,
         summary: {
             activeCodes: stats.filter(s => s.active && !s.isExpired).length,
@@ -1943,6 +8267,7 @@ app.use(/^\/api\/.*/, (req, res) => {
         availableEndpoints: [
             'GET /api/health',
             'GET /api/config',
+            'GET /api/services',
             'GET /ping',
             'GET /api/test-keepalive',
             'GET /api/available-slots',
@@ -1953,8 +8278,39 @@ app.use(/^\/api\/.*/, (req, res) => {
             'POST /api/send-discount-email',
             'POST /api/validate-discount',
             'POST /api/create-payment-intent',
+            'POST /api/create-checkout-session',
+            'GET /api/checkout-session/:sessionId',
             'POST /api/booking-confirmation',
+            'POST /api/release-slot-hold',
+            'GET /api/bookings/:bookingId',
+            'GET /api/bookings/:bookingId/calendar.ics',
+            'POST /api/bookings/:bookingId/cancel',
+            'POST /api/bookings/:bookingId/reschedule',
+            'POST /api/bookings/:bookingId/pay-balance',
+            'POST /api/gift-vouchers/checkout',
+            'GET /api/gift-vouchers/:code',
+            'GET /api/admin/gift-vouchers',
+            'POST /api/admin/gift-vouchers/:code/resend',
             'GET /api/discount-stats',
+            'GET /api/admin/discount-codes',
+            'POST /api/admin/discount-codes',
+            'POST /api/admin/discount-codes/batch',
+            'PATCH /api/admin/discount-codes/:code',
+            'POST /api/admin/discount-codes/:code/deactivate',
+            'DELETE /api/admin/discount-codes/:code',
+            'GET /api/admin/referrals',
+            'GET /api/admin/availability',
+            'PUT /api/admin/availability',
+            'POST /api/waitlist',
+            'POST /api/waitlist/confirm',
+            'GET /api/waitlist/claim',
+            'GET /api/admin/waitlist',
+            'GET /api/admin/calendar.ics',
+            'GET /api/admin/invoices',
+            'GET /api/admin/invoices/:invoiceId/pdf',
+            'GET /api/admin/reconciliation',
+            'GET /api/admin/reconciliation/last',
+            'POST /api/admin/reconciliation/backfill',
             'POST /api/stripe-webhook'
         ]
     });
@@ -1963,10 +8319,31 @@ app.use(/^\/api\/.*/, (req, res) => {
 // ===== INIZIALIZZAZIONE SERVER =====
 async function startServer() {
     try {
+        if (process.env.NODE_ENV === 'production' && !process.env.DATA_DIR) {
+            throw new Error('DATA_DIR non configurato: in produzione l\'archivio locale deve stare su un disco persistente (vedi Dockerfile)');
+        }
+
         // Inizializza tutti i servizi
+        loadAvailabilityConfig();
+        loadServiceCatalog();
         await initGoogleServices();
+        await importBookingsFromGoogleSheets();
         generateInitialCodes();
 
+        // Replicatore Google Sheets: riprova le prenotazioni non ancora sincronizzate
+        runSheetReplicator();
+        setInterval(runSheetReplicator, 60 * 1000); // Ogni minuto
+
+        // Passi di evasione falliti (Calendar, email) per le prenotazioni arrivate dal webhook
+        setInterval(retryFailedFulfillments, 15 * 60 * 1000); // Ogni 15 minuti
+
+        // Buoni regalo pagati ma mai arrivati al destinatario
+        setInterval(retryUndeliveredGiftVouchers, 15 * 60 * 1000); // Ogni 15 minuti
+
+        // Libera gli slot bloccati da pagamenti mai completati
+        expireSlotHolds();
+        setInterval(expireSlotHolds, 60 * 1000); // Ogni minuto
+
         // Verifica configurazione email Resend
         if (resend) {
             console.log('📧 Resend email configurato correttamente');
@@ -1974,14 +8351,36 @@ async function startServer() {
             console.warn('⚠️ Resend non configurato - email disabilitate');
         }
 
+        // Promemoria per i saldi non ancora pagati
+        sendBalanceReminders();
+        setInterval(sendBalanceReminders, 15 * 60 * 1000); // Ogni 15 minuti
+
+        // Riconciliazione giornaliera tra Stripe, archivio e foglio (a orario fisso: il server
+        // può riavviarsi più volte al giorno)
+        cron.schedule('30 6 * * *', runScheduledReconciliation, { timezone: getBusinessTimeZone() }); // Ogni giorno alle 6:30
+
+        // Iscrizioni alla lista d'attesa per date passate o offerte scadute
+        setInterval(expireWaitlistEntries, 60 * 60 * 1000); // Ogni ora
+
+        // Contatori dei tentativi con codice sconto non più rilevanti
+        setInterval(pruneDiscountAttempts, 10 * 60 * 1000); // Ogni 10 minuti
+
+        if (process.env.NODE_ENV === 'production' && app.get('trust proxy') === false) {
+            console.warn('⚠️ TRUST_PROXY_HOPS non configurato: dietro un proxy i limiti sui codici sconto e sulla lista d\'attesa vedono solo l\'IP del proxy');
+        }
+
+        // Eventi Stripe già elaborati oltre il periodo di conservazione
+        pruneProcessedStripeEvents();
+        setInterval(pruneProcessedStripeEvents, 24 * 60 * 60 * 1000); // Ogni giorno
+
         // Cleanup automatico codici scaduti ogni ora
         setInterval(() => {
             let deactivatedCount = 0;
             const now = new Date();
 
-            Object.entries(discountCodes).forEach(([code, data]) => {
-                if (data.validUntil && now > data.validUntil && data.active) {
-                    data.active = false;
+            discountStore.values().forEach(data => {
+                if (data.active && isDiscountCodeExpired(data, now)) {
+                    discountStore.update(data.code, { active: false });
                     deactivatedCount++;
                 }
             });
@@ -1999,22 +8398,24 @@ async function startServer() {
             console.log(`📧 Email configured: ${!!resend}`);
             console.log(`📊 Google Sheets configured: ${!!sheets}`);
             console.log(`📅 Google Calendar configured: ${!!calendar}`);
-            console.log(`🎫 Codici sconto disponibili: ${Object.keys(discountCodes).length}`);
+            console.log(`🎫 Codici sconto disponibili: ${discountStore.values().length}`);
             console.log(`🏓 Keep-alive attivo: ${process.env.NODE_ENV === 'production'}`);
-            console.log(`🛡️ Sistema anti-doppie prenotazioni: ${!!sheets ? 'ATTIVO' : 'FALLBACK LOCALE'}`);
+            console.log(`🛡️ Sistema anti-doppie prenotazioni: ATTIVO (archivio locale: ${bookingStore.filePath})`);
             console.log(`🌐 Server ready at: http://localhost:${PORT}`);
 
             console.log('\n🎯 Codici sconto disponibili:');
-            Object.entries(discountCodes).slice(0, 5).forEach(([code, data]) => {
-                console.log(`- ${code}: ${data.description}`);
+            discountStore.values().slice(0, 5).forEach(data => {
+                console.log(`- ${data.code}: ${data.description}`);
             });
-            console.log(`... e altri ${Math.max(0, Object.keys(discountCodes).length - 5)} codici\n`);
+            console.log(`... e altri ${Math.max(0, discountStore.values().length - 5)} codici\n`);
 
             // Informazioni sistema di disponibilità
             console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
             console.log('🛡️ SISTEMA ANTI-DOPPIE PRENOTAZIONI');
             console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+            console.log(`💾 Archivio locale: ${bookingStore.values().length} prenotazioni`);
             console.log(`📊 Google Sheets: ${!!sheets ? 'CONFIGURATO' : 'NON CONFIGURATO'}`);
+            console.log(`🔄 Prenotazioni in attesa di sincronizzazione: ${getPendingSheetSyncs().length}`);
             console.log(`🔗 Spreadsheet ID: ${process.env.GOOGLE_SPREADSHEET_ID ? 'CONFIGURATO' : 'MANCANTE'}`);
             console.log(`✅ Controllo real-time: ATTIVO`);
             console.log(`🔒 Prevenzione race conditions: ATTIVA`);
@@ -2022,7 +8423,7 @@ async function startServer() {
 
             if (!sheets) {
                 console.log('⚠️  WARNING: Google Sheets non configurato!');
-                console.log('   🔧 Il sistema funzionerà con fallback locale');
+                console.log('   🔧 Le prenotazioni restano nell\'archivio locale e verranno sincronizzate appena configurato');
                 console.log('   📋 Per attivare il controllo completo:');
                 console.log('      1. Configura GOOGLE_SERVICE_ACCOUNT_KEY');
                 console.log('      2. Configura GOOGLE_SPREADSHEET_ID');
@@ -2089,4 +8490,26 @@ process.on('uncaughtException', (err) => {
 });
 
 // ===== AVVIO SERVER =====
-startServer();
+// Solo se eseguito direttamente (npm start): i test importano il modulo per le funzioni esportate
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = {
+    loadAvailabilityConfig,
+    loadServiceCatalog,
+    zonedDateTimeToInstant,
+    getZonedParts,
+    getBusinessTimeZone,
+    evaluateCancellationPolicy,
+    bookingStore,
+    removeBookingIntervals,
+    invoiceStore,
+    issueInvoiceForBooking,
+    calculateVatBreakdown,
+    calculateDeposit,
+    parseSheetAmount,
+    formatMoney,
+    validateDiscountRules,
+    checkDiscountEligibility
+};
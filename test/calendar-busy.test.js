@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { removeBookingIntervals, bookingStore } = require('./helpers');
+
+const at = iso => new Date(iso).getTime();
+
+// Consulenza di 90 minuti: 10:00-11:30 a Roma, 08:00-09:30 UTC
+bookingStore.put('bk_confirmed', {
+    id: 'bk_confirmed', status: 'Confermata', serviceId: 'cons-001', durationMinutes: 90,
+    appointmentDate: '2026-06-10', appointmentTime: '10:00', calendarEventId: 'ev_1'
+});
+bookingStore.put('bk_cancelled', {
+    id: 'bk_cancelled', status: 'Cancellata', serviceId: 'cons-001', durationMinutes: 90,
+    appointmentDate: '2026-06-11', appointmentTime: '10:00', calendarEventId: 'ev_2'
+});
+bookingStore.put('bk_no_event', {
+    id: 'bk_no_event', status: 'Confermata', serviceId: 'cons-001', durationMinutes: 90,
+    appointmentDate: '2026-06-12', appointmentTime: '10:00', calendarEventId: null
+});
+
+test('removeBookingIntervals: l\'evento di una prenotazione confermata non è un impegno', () => {
+    const intervals = [{ start: at('2026-06-10T08:00:00Z'), end: at('2026-06-10T09:30:00Z'), calendarId: 'primary' }];
+    assert.deepEqual(removeBookingIntervals(intervals), []);
+});
+
+test('removeBookingIntervals: resta la parte di un impegno adiacente unito dal free/busy', () => {
+    const intervals = [{ start: at('2026-06-10T08:00:00Z'), end: at('2026-06-10T10:30:00Z'), calendarId: 'primary' }];
+    assert.deepEqual(removeBookingIntervals(intervals), [
+        { start: at('2026-06-10T09:30:00Z'), end: at('2026-06-10T10:30:00Z'), calendarId: 'primary' }
+    ]);
+});
+
+test('removeBookingIntervals: un impegno che contiene la prenotazione viene diviso in due', () => {
+    const intervals = [{ start: at('2026-06-10T07:00:00Z'), end: at('2026-06-10T11:00:00Z'), calendarId: 'primary' }];
+    assert.deepEqual(removeBookingIntervals(intervals), [
+        { start: at('2026-06-10T07:00:00Z'), end: at('2026-06-10T08:00:00Z'), calendarId: 'primary' },
+        { start: at('2026-06-10T09:30:00Z'), end: at('2026-06-10T11:00:00Z'), calendarId: 'primary' }
+    ]);
+});
+
+test('removeBookingIntervals: prenotazioni annullate o senza evento non si sottraggono', () => {
+    const intervals = [
+        { start: at('2026-06-11T08:00:00Z'), end: at('2026-06-11T09:30:00Z'), calendarId: 'primary' },
+        { start: at('2026-06-12T08:00:00Z'), end: at('2026-06-12T09:30:00Z'), calendarId: 'primary' }
+    ];
+    assert.deepEqual(removeBookingIntervals(intervals), intervals);
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateCancellationPolicy } = require('./helpers');
+
+const now = new Date('2026-06-01T10:00:00Z');
+const hoursFromNow = hours => new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString();
+
+function booking(changes = {}) {
+    return { status: 'Confermata', serviceId: 'cons-001', amount: 15000, appointmentStart: hoursFromNow(72), ...changes };
+}
+
+test('evaluateCancellationPolicy: fasce di rimborso di services.json', () => {
+    assert.equal(evaluateCancellationPolicy(booking(), now).refundPercent, 100);
+    assert.equal(evaluateCancellationPolicy(booking({ appointmentStart: hoursFromNow(48) }), now).refundPercent, 100);
+    assert.equal(evaluateCancellationPolicy(booking({ appointmentStart: hoursFromNow(30) }), now).refundPercent, 50);
+    assert.equal(evaluateCancellationPolicy(booking({ appointmentStart: hoursFromNow(10) }), now).refundPercent, 0);
+});
+
+test('evaluateCancellationPolicy: il rimborso si calcola su quanto versato', () => {
+    const policy = evaluateCancellationPolicy(booking({ appointmentStart: hoursFromNow(30), amountPaid: 4500 }), now);
+    assert.equal(policy.refundAmount, 2250);
+    assert.equal(evaluateCancellationPolicy(booking(), now).refundAmount, 15000);
+});
+
+test('evaluateCancellationPolicy: annullamento solo prima dell\'appuntamento e per prenotazioni confermate', () => {
+    assert.equal(evaluateCancellationPolicy(booking({ appointmentStart: hoursFromNow(1) }), now).canCancel, true);
+    assert.equal(evaluateCancellationPolicy(booking({ appointmentStart: hoursFromNow(-1) }), now).canCancel, false);
+    assert.equal(evaluateCancellationPolicy(booking({ status: 'Cancellata' }), now).canCancel, false);
+});
+
+test('evaluateCancellationPolicy: spostamenti entro il preavviso e il numero massimo', () => {
+    const policy = evaluateCancellationPolicy(booking(), now);
+    assert.equal(policy.canReschedule, true);
+    assert.equal(policy.reschedulesLeft, 2);
+
+    assert.equal(evaluateCancellationPolicy(booking({ appointmentStart: hoursFromNow(10) }), now).canReschedule, false);
+
+    const exhausted = evaluateCancellationPolicy(booking({ rescheduleCount: 2 }), now);
+    assert.equal(exhausted.canReschedule, false);
+    assert.equal(exhausted.reschedulesLeft, 0);
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateDeposit } = require('./helpers');
+
+const now = new Date('2026-06-01T10:00:00Z');
+const hoursFromNow = hours => new Date(now.getTime() + hours * 60 * 60 * 1000);
+const service = { id: 'cons-001' };
+
+test('calculateDeposit: acconto secondo depositPolicy di services.json', () => {
+    assert.deepEqual(calculateDeposit(service, 15000, hoursFromNow(100), now), { percent: 30, depositAmount: 4500, balanceAmount: 10500 });
+});
+
+test('calculateDeposit: la policy del servizio prevale su quella generale', () => {
+    const custom = { id: 'cons-custom', depositPolicy: { percent: 50 } };
+    assert.deepEqual(calculateDeposit(custom, 15000, hoursFromNow(100), now), { percent: 50, depositAmount: 7500, balanceAmount: 7500 });
+
+    const disabled = { id: 'cons-custom', depositPolicy: { enabled: false } };
+    assert.ok(calculateDeposit(disabled, 15000, hoursFromNow(100), now).error);
+});
+
+test('calculateDeposit: niente acconto a ridosso dell\'appuntamento', () => {
+    assert.ok(calculateDeposit(service, 15000, hoursFromNow(71), now).error);
+    assert.equal(calculateDeposit(service, 15000, hoursFromNow(72), now).depositAmount, 4500);
+});
+
+test('calculateDeposit: acconto e saldo devono superare il minimo Stripe', () => {
+    assert.ok(calculateDeposit(service, 150, hoursFromNow(100), now).error);
+    assert.equal(calculateDeposit(service, 200, hoursFromNow(100), now).error, undefined);
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateDiscountRules, checkDiscountEligibility, bookingStore } = require('./helpers');
+
+function discount(changes = {}) {
+    return { code: 'TEST10', redemptions: [], rules: null, assignedTo: null, ...changes };
+}
+
+test('validateDiscountRules: normalizza le regole valide', () => {
+    const { errors, rules } = validateDiscountRules({
+        allowedEmails: [' Mario@Example.com '],
+        allowedDomains: ['@Unimi.it'],
+        firstBookingOnly: true,
+        minOrderAmount: 10000,
+        weekdays: ['monday', 'monday', 'friday'],
+        timeWindow: { from: '09:00', to: '13:00' },
+        serviceIds: ['cons-001'],
+        maxUsesPerCustomer: 1
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(rules, {
+        allowedEmails: ['mario@example.com'],
+        allowedDomains: ['unimi.it'],
+        firstBookingOnly: true,
+        minOrderAmount: 10000,
+        maxUsesPerCustomer: 1,
+        weekdays: ['monday', 'friday'],
+        timeWindow: { from: '09:00', to: '13:00' },
+        serviceIds: ['cons-001']
+    });
+});
+
+test('validateDiscountRules: segnala regole sconosciute o non valide', () => {
+    assert.deepEqual(validateDiscountRules(null).errors, ['rules deve essere un oggetto o null']);
+    assert.deepEqual(validateDiscountRules([]).errors, ['rules deve essere un oggetto o null']);
+
+    const { errors } = validateDiscountRules({
+        maxDiscount: 5,
+        allowedEmails: ['non-una-email'],
+        minOrderAmount: -1,
+        weekdays: ['lunedì'],
+        timeWindow: { from: '13:00', to: '09:00' },
+        serviceIds: ['cons-999']
+    });
+    assert.equal(errors.length, 6);
+    assert.ok(errors.includes('rules.maxDiscount: regola sconosciuta'));
+});
+
+test('checkDiscountEligibility: codici personali e codici invito', () => {
+    const personal = discount({ assignedTo: 'Mario@example.com' });
+    assert.equal(checkDiscountEligibility(personal, { email: 'mario@example.com' }), null);
+    assert.equal(checkDiscountEligibility(personal, { email: 'luigi@example.com' }).code, 'DISCOUNT_NOT_ASSIGNED_TO_CUSTOMER');
+
+    const referral = discount({ referrerEmail: 'mario@example.com' });
+    assert.equal(checkDiscountEligibility(referral, { email: 'Mario@Example.com' }).code, 'DISCOUNT_OWN_REFERRAL');
+});
+
+test('checkDiscountEligibility: indirizzi e domini ammessi, sottodomini compresi', () => {
+    const code = discount({ rules: { allowedEmails: ['mario@example.com'], allowedDomains: ['unimi.it'] } });
+    assert.equal(checkDiscountEligibility(code, { email: 'mario@example.com' }), null);
+    assert.equal(checkDiscountEligibility(code, { email: 'studente@studenti.unimi.it' }), null);
+    assert.equal(checkDiscountEligibility(code, { email: 'studente@notunimi.it' }).code, 'DISCOUNT_EMAIL_NOT_ALLOWED');
+    // Senza email il controllo è rimandato alla creazione del pagamento
+    assert.equal(checkDiscountEligibility(code, {}), null);
+});
+
+test('checkDiscountEligibility: prima prenotazione e utilizzi per cliente', () => {
+    bookingStore.put('bk_existing', { id: 'bk_existing', status: 'Confermata', customerEmail: 'cliente@example.com' });
+
+    const firstOnly = discount({ rules: { firstBookingOnly: true } });
+    assert.equal(checkDiscountEligibility(firstOnly, { email: 'CLIENTE@example.com' }).code, 'DISCOUNT_FIRST_BOOKING_ONLY');
+    assert.equal(checkDiscountEligibility(firstOnly, { email: 'nuovo@example.com' }), null);
+
+    const oncePerCustomer = discount({
+        rules: { maxUsesPerCustomer: 1 },
+        redemptions: [
+            { customerEmail: 'mario@example.com' },
+            { customerEmail: 'luigi@example.com', rolledBackAt: '2026-01-01T00:00:00.000Z' }
+        ]
+    });
+    assert.equal(checkDiscountEligibility(oncePerCustomer, { email: 'mario@example.com' }).code, 'DISCOUNT_CUSTOMER_LIMIT_REACHED');
+    assert.equal(checkDiscountEligibility(oncePerCustomer, { email: 'luigi@example.com' }), null);
+});
+
+test('checkDiscountEligibility: servizio, importo minimo, giorno e fascia oraria', () => {
+    const code = discount({
+        rules: { serviceIds: ['cons-001'], minOrderAmount: 10000, weekdays: ['wednesday'], timeWindow: { from: '09:00', to: '13:00' } }
+    });
+    const order = { serviceId: 'cons-001', originalPrice: 15000, currency: 'eur', appointmentDate: '2026-06-10', appointmentTime: '10:00' };
+
+    assert.equal(checkDiscountEligibility(code, order), null);
+    assert.equal(checkDiscountEligibility(code, { ...order, serviceId: 'cons-002' }).code, 'DISCOUNT_SERVICE_NOT_ALLOWED');
+    assert.equal(checkDiscountEligibility(code, { ...order, originalPrice: 5000 }).code, 'DISCOUNT_MIN_AMOUNT_NOT_REACHED');
+    assert.equal(checkDiscountEligibility(code, { ...order, appointmentDate: '2026-06-11' }).code, 'DISCOUNT_DAY_NOT_ALLOWED');
+    assert.equal(checkDiscountEligibility(code, { ...order, appointmentTime: '13:00' }).code, 'DISCOUNT_TIME_NOT_ALLOWED');
+});
@@ -0,0 +1,15 @@
+// Carica server.js senza avviarlo, con l'archivio locale in una cartella temporanea
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vfx-booking-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_dummy';
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const server = require('../server');
+server.loadAvailabilityConfig();
+server.loadServiceCatalog();
+
+module.exports = server;
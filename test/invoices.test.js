@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { issueInvoiceForBooking, invoiceStore, calculateVatBreakdown, getZonedParts, getBusinessTimeZone } = require('./helpers');
+
+// L'anno della numerazione è quello nel fuso dell'attività
+const year = getZonedParts(new Date(), getBusinessTimeZone()).year;
+
+function booking(id, changes = {}) {
+    return {
+        id, paymentIntent: `pi_${id}`, serviceId: 'cons-001', amount: 15000, currency: 'eur',
+        customerName: 'Mario Rossi', customerEmail: 'mario@example.com',
+        appointmentDate: '2026-06-10', appointmentTime: '10:00', ...changes
+    };
+}
+
+test('issueInvoiceForBooking: numerazione progressiva per anno, senza buchi', () => {
+    // Un documento dell'anno precedente non conta per la numerazione dell'anno in corso
+    invoiceStore.put(`${year - 1}-0057`, { id: `${year - 1}-0057`, year: year - 1, sequence: 57, paymentIntentId: 'pi_old' });
+
+    const first = issueInvoiceForBooking(booking('a'));
+    const second = issueInvoiceForBooking(booking('b'));
+
+    assert.equal(first.number, `${year}/0001`);
+    assert.equal(second.number, `${year}/0002`);
+    assert.equal(second.sequence, first.sequence + 1);
+});
+
+test('issueInvoiceForBooking: un solo documento per pagamento', () => {
+    const again = issueInvoiceForBooking(booking('a'));
+    assert.equal(again.number, `${year}/0001`);
+
+    const balance = issueInvoiceForBooking(booking('a'), { paymentIntentId: 'pi_a_saldo', amount: 10500, kind: 'saldo' });
+    assert.equal(balance.number, `${year}/0003`);
+    assert.match(balance.items[0].description, /^Saldo di /);
+});
+
+test('issueInvoiceForBooking: fattura solo con partita IVA, altrimenti ricevuta', () => {
+    assert.equal(issueInvoiceForBooking(booking('c')).documentType, 'ricevuta');
+
+    const billing = { name: 'Studio VFX Srl', vatNumber: '01234567897', address: 'Via Roma 1', postalCode: '00100', city: 'Roma' };
+    assert.equal(issueInvoiceForBooking(booking('d', { billing })).documentType, 'fattura');
+});
+
+test('calculateVatBreakdown: scorporo dell\'IVA dal prezzo lordo', () => {
+    assert.deepEqual(calculateVatBreakdown(12200, 22), { netAmount: 10000, vatAmount: 2200, grossAmount: 12200, vatRate: 22 });
+    assert.deepEqual(calculateVatBreakdown(15000, 0), { netAmount: 15000, vatAmount: 0, grossAmount: 15000, vatRate: 0 });
+});
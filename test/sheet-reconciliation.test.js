@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSheetAmount, formatMoney } = require('./helpers');
+
+test('parseSheetAmount: formati italiano e inglese', () => {
+    assert.equal(parseSheetAmount('€ 1.234,50'), 123450);
+    assert.equal(parseSheetAmount('$1,234.50'), 123450);
+    assert.equal(parseSheetAmount('£99.99'), 9999);
+    assert.equal(parseSheetAmount('1.234'), 123400);
+});
+
+test('parseSheetAmount: importi senza decimali', () => {
+    assert.equal(parseSheetAmount('100'), 10000);
+    assert.equal(parseSheetAmount('€ 150'), 15000);
+});
+
+test('parseSheetAmount: legge gli importi scritti dal replicatore', () => {
+    assert.equal(parseSheetAmount(formatMoney(15000, 'eur')), 15000);
+    assert.equal(parseSheetAmount(formatMoney(123456, 'usd')), 123456);
+    assert.equal(parseSheetAmount(formatMoney(4500, 'gbp')), 4500);
+});
+
+test('parseSheetAmount: null per celle vuote o illeggibili', () => {
+    assert.equal(parseSheetAmount(''), null);
+    assert.equal(parseSheetAmount(undefined), null);
+    assert.equal(parseSheetAmount('n/d'), null);
+});
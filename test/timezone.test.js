@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { zonedDateTimeToInstant, getZonedParts } = require('./helpers');
+
+test('zonedDateTimeToInstant: ora solare e ora legale a Roma', () => {
+    assert.equal(zonedDateTimeToInstant('2026-01-15', '10:00', 'Europe/Rome').toISOString(), '2026-01-15T09:00:00.000Z');
+    assert.equal(zonedDateTimeToInstant('2026-07-15', '10:00', 'Europe/Rome').toISOString(), '2026-07-15T08:00:00.000Z');
+});
+
+test('zonedDateTimeToInstant: giorni di cambio ora', () => {
+    // 29 marzo 2026: alle 2:00 si passa alle 3:00
+    assert.equal(zonedDateTimeToInstant('2026-03-29', '01:30', 'Europe/Rome').toISOString(), '2026-03-29T00:30:00.000Z');
+    assert.equal(zonedDateTimeToInstant('2026-03-29', '03:30', 'Europe/Rome').toISOString(), '2026-03-29T01:30:00.000Z');
+    // 25 ottobre 2026: alle 3:00 si torna alle 2:00
+    assert.equal(zonedDateTimeToInstant('2026-10-25', '01:30', 'Europe/Rome').toISOString(), '2026-10-24T23:30:00.000Z');
+    assert.equal(zonedDateTimeToInstant('2026-10-25', '04:00', 'Europe/Rome').toISOString(), '2026-10-25T03:00:00.000Z');
+});
+
+test('zonedDateTimeToInstant: altri fusi orari', () => {
+    assert.equal(zonedDateTimeToInstant('2026-07-15', '09:00', 'America/New_York').toISOString(), '2026-07-15T13:00:00.000Z');
+    assert.equal(zonedDateTimeToInstant('2026-07-15', '09:00', 'UTC').toISOString(), '2026-07-15T09:00:00.000Z');
+    assert.equal(zonedDateTimeToInstant('2026-01-01', '00:30', 'Asia/Tokyo').toISOString(), '2025-12-31T15:30:00.000Z');
+});
+
+test('getZonedParts riporta data e orario locali dell\'istante', () => {
+    const instant = zonedDateTimeToInstant('2026-12-31', '23:45', 'Europe/Rome');
+    const parts = getZonedParts(instant, 'Europe/Rome');
+    assert.equal(parts.date, '2026-12-31');
+    assert.equal(parts.time, '23:45');
+    assert.equal(getZonedParts(instant, 'UTC').time, '22:45');
+});